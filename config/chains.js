@@ -0,0 +1,140 @@
+/**
+ * Registry of supported EVM chains: RPC endpoints, block explorers, native currency
+ * and the confirmation depth we wait for before treating a transaction as settled.
+ * `confirmations` makes a transaction "safe"; `finalityDepth` makes it "finalized" when the RPC
+ * does not answer the `finalized` block tag.
+ *
+ * RPC URLs can be overridden per chain with CHAIN_<chainId>_RPC_URLS (comma-separated).
+ */
+
+const MONAD_TESTNET_CHAIN_ID = 10143;
+const ETHEREUM_MAINNET_CHAIN_ID = 1;
+
+// Etherscan's v2 API serves every chain it indexes from one endpoint (selected with chainid)
+const etherscanV2 = () => ({
+  name: 'etherscan',
+  type: 'etherscan',
+  baseUrl: 'https://api.etherscan.io/v2/api',
+  apiKey: process.env.ETHERSCAN_API_KEY
+});
+
+const CHAINS = {
+  [MONAD_TESTNET_CHAIN_ID]: () => ({
+    name: 'Monad Testnet',
+    nativeSymbol: 'MON',
+    confirmations: 1,
+    finalityDepth: 3,
+    // Monad charges the gas limit rather than the gas used
+    chargesGasLimit: true,
+    rpcUrls: [process.env.MONAD_RPC_URL || 'https://testnet-rpc.monad.xyz'],
+    explorers: [
+      {
+        name: 'monadscan',
+        type: 'etherscan',
+        baseUrl: 'https://testnet.monadscan.com/api',
+        apiKey: process.env.MONADSCAN_API_KEY
+      },
+      {
+        name: 'monadexplorer',
+        type: 'monadexplorer',
+        baseUrl: 'https://testnet.monadexplorer.com/api',
+        apiKey: process.env.MONADEXPLORER_API_KEY
+      }
+    ]
+  }),
+  [ETHEREUM_MAINNET_CHAIN_ID]: () => ({
+    name: 'Ethereum Mainnet',
+    nativeSymbol: 'ETH',
+    confirmations: 12,
+    finalityDepth: 64,
+    rpcUrls: [process.env.ETHEREUM_RPC_URL || 'https://ethereum-rpc.publicnode.com'],
+    explorers: [etherscanV2()]
+  }),
+  11155111: () => ({
+    name: 'Sepolia',
+    nativeSymbol: 'ETH',
+    confirmations: 6,
+    finalityDepth: 64,
+    rpcUrls: ['https://ethereum-sepolia-rpc.publicnode.com'],
+    explorers: [etherscanV2()]
+  }),
+  8453: () => ({
+    name: 'Base',
+    nativeSymbol: 'ETH',
+    confirmations: 10,
+    finalityDepth: 1800,
+    rpcUrls: ['https://mainnet.base.org'],
+    explorers: [etherscanV2()]
+  }),
+  42161: () => ({
+    name: 'Arbitrum One',
+    nativeSymbol: 'ETH',
+    confirmations: 10,
+    finalityDepth: 14400,
+    rpcUrls: ['https://arb1.arbitrum.io/rpc'],
+    explorers: [etherscanV2()]
+  }),
+  137: () => ({
+    name: 'Polygon PoS',
+    nativeSymbol: 'POL',
+    confirmations: 64,
+    finalityDepth: 256,
+    rpcUrls: ['https://polygon-rpc.com'],
+    explorers: [etherscanV2()]
+  })
+};
+
+/**
+ * Chain used when a request does not specify one.
+ * DEFAULT_CHAIN_ID wins; otherwise a lone ETHEREUM_RPC_URL keeps the old Ethereum fallback.
+ */
+const getDefaultChainId = () => {
+  if (process.env.DEFAULT_CHAIN_ID) {
+    return parseInt(process.env.DEFAULT_CHAIN_ID, 10);
+  }
+  if (!process.env.MONAD_RPC_URL && process.env.ETHEREUM_RPC_URL) {
+    return ETHEREUM_MAINNET_CHAIN_ID;
+  }
+  return MONAD_TESTNET_CHAIN_ID;
+};
+
+/**
+ * Check whether a chain id is in the registry
+ */
+const isSupportedChain = (chainId) => Object.prototype.hasOwnProperty.call(CHAINS, Number(chainId));
+
+/**
+ * Resolve a chain's configuration (defaults to the default chain)
+ * @param {number|string} chainId - EVM chain id
+ * @returns {Object} - chainId, name, nativeSymbol, confirmations, finalityDepth, rpcUrls, explorers and,
+ *   where the whole gas limit is charged, chargesGasLimit
+ */
+const getChain = (chainId) => {
+  const id = chainId === undefined || chainId === null || chainId === '' ? getDefaultChainId() : Number(chainId);
+  if (!isSupportedChain(id)) {
+    throw new Error(`Unsupported chain: ${chainId}`);
+  }
+
+  const chain = { chainId: id, ...CHAINS[id]() };
+  const override = process.env[`CHAIN_${id}_RPC_URLS`];
+  if (override) {
+    chain.rpcUrls = override.split(',').map(url => url.trim()).filter(Boolean);
+  }
+  return chain;
+};
+
+/**
+ * Summary of every registered chain (for health checks and docs)
+ */
+const listChains = () => Object.keys(CHAINS).map(id => {
+  const { chainId, name, nativeSymbol, confirmations, finalityDepth } = getChain(id);
+  return { chainId, name, nativeSymbol, confirmations, finalityDepth };
+});
+
+module.exports = {
+  MONAD_TESTNET_CHAIN_ID,
+  getDefaultChainId,
+  isSupportedChain,
+  getChain,
+  listChains
+};
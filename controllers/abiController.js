@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const ContractAbi = require('../models/ContractAbi');
+const blockchainService = require('../utils/blockchain');
+const logger = require('../config/logger');
+const { abiCacheKey } = require('../utils/cacheKeys');
+
+/**
+ * Shape a registry entry for API responses (the ABI itself only when asked for)
+ */
+const formatAbiVersion = (entry, includeAbi = false) => ({
+  id: entry._id.toString(),
+  chainId: entry.chainId,
+  address: ethers.getAddress(entry.address),
+  version: entry.version,
+  label: entry.label,
+  summary: entry.summary,
+  uploadedBy: entry.uploadedBy,
+  createdAt: entry.createdAt,
+  ...(includeAbi ? { abi: entry.abi } : {})
+});
+
+/**
+ * The registry lives in MongoDB; answer 503 instead of waiting on a missing connection
+ */
+const registryUnavailable = (res) => {
+  if (mongoose.connection.readyState === 1) return false;
+
+  res.status(503).json({
+    success: false,
+    error: 'ABI registry unavailable: MongoDB is not connected'
+  });
+  return true;
+};
+
+/**
+ * Upload a new ABI version for a contract (admin)
+ */
+const uploadAbi = async (req, res) => {
+  try {
+    if (registryUnavailable(res)) return;
+
+    const { chainId, address, abi, label, uploadedBy } = req.body;
+    const contractInterface = new ethers.Interface(abi);
+    const latest = await ContractAbi.findLatest(chainId, address);
+
+    const entry = await ContractAbi.create({
+      chainId,
+      address,
+      version: latest ? latest.version + 1 : 1,
+      abi,
+      label: label || null,
+      summary: {
+        functions: contractInterface.fragments.filter(fragment => fragment.type === 'function').length,
+        events: contractInterface.fragments.filter(fragment => fragment.type === 'event').length,
+        errors: contractInterface.fragments.filter(fragment => fragment.type === 'error').length
+      },
+      uploadedBy: uploadedBy || 'admin'
+    });
+
+    // A cached explorer ABI would otherwise shadow the new upload for up to 24 hours
+    await blockchainService.deleteCachedData(abiCacheKey(address, chainId));
+
+    logger.info('ABI uploaded to registry', {
+      chainId,
+      address,
+      version: entry.version,
+      ip: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatAbiVersion(entry)
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'Another version was uploaded at the same time, please retry'
+      });
+    }
+
+    logger.error('Failed to upload ABI:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload ABI'
+    });
+  }
+};
+
+/**
+ * List the ABI versions registered for a contract, newest first
+ */
+const listAbiVersions = async (req, res) => {
+  try {
+    if (registryUnavailable(res)) return;
+
+    const { chainId, address } = req.params;
+    const versions = await ContractAbi.find({ chainId, address: address.toLowerCase() })
+      .sort({ version: -1 })
+      .select('-abi -__v');
+
+    res.json({
+      success: true,
+      data: {
+        chainId,
+        address: ethers.getAddress(address),
+        versions: versions.map(entry => formatAbiVersion(entry))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to list ABI versions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list ABI versions'
+    });
+  }
+};
+
+/**
+ * Get one ABI version, including the ABI
+ */
+const getAbiVersion = async (req, res) => {
+  try {
+    if (registryUnavailable(res)) return;
+
+    const { chainId, address, version } = req.params;
+    const entry = await ContractAbi.findOne({ chainId, address: address.toLowerCase(), version });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'ABI version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatAbiVersion(entry, true)
+    });
+
+  } catch (error) {
+    logger.error('Failed to get ABI version:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve ABI version'
+    });
+  }
+};
+
+/**
+ * Delete one ABI version, or every version when no version is given (admin).
+ * Deleting the latest version makes the previous one current again.
+ */
+const deleteAbi = async (req, res) => {
+  try {
+    if (registryUnavailable(res)) return;
+
+    const { chainId, address, version } = req.params;
+    const filter = { chainId, address: address.toLowerCase() };
+    if (version !== undefined) {
+      filter.version = version;
+    }
+
+    const { deletedCount } = await ContractAbi.deleteMany(filter);
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: version !== undefined ? 'ABI version not found' : 'No ABI registered for this contract'
+      });
+    }
+
+    await blockchainService.deleteCachedData(abiCacheKey(address, chainId));
+
+    logger.info('ABI deleted from registry', {
+      chainId,
+      address,
+      version: version ?? 'all',
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      data: { deleted: deletedCount }
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete ABI:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete ABI'
+    });
+  }
+};
+
+module.exports = {
+  uploadAbi,
+  listAbiVersions,
+  getAbiVersion,
+  deleteAbi
+};
@@ -1,8 +1,93 @@
 const blockchainService = require('../utils/blockchain');
 const aiService = require('../services/aiService');
+const disputeService = require('../services/disputeService');
 const Dispute = require('../models/Dispute');
 const logger = require('../config/logger');
 const { isValidTransactionHash, isValidAddress } = require('../utils/validation');
+const { getAllowedTransitions, PENDING_TRANSACTION_STATES } = require('../utils/disputeLifecycle');
+const { DISPUTE_CACHE_TTL, disputeCacheKeys, logsCacheKey } = require('../utils/cacheKeys');
+const { getChain, listChains } = require('../config/chains');
+
+/**
+ * Shape a stored Dispute document like the resolveDispute response data
+ */
+const formatDispute = (dispute) => ({
+  disputeId: dispute._id.toString(),
+  status: dispute.status,
+  chainId: dispute.chainId,
+  txHash: dispute.txHash,
+  disputeType: dispute.disputeType || 'token',
+  contractAddress: dispute.contractAddress || null,
+  toAddress: dispute.toAddress || null,
+  transactionStatus: dispute.transactionStatus,
+  finality: dispute.finality || null,
+  pendingTransaction: dispute.pendingTransaction || null,
+  revertReason: dispute.revertReason || null,
+  aiSolution: dispute.aiSolution || null,
+  verdict: dispute.verdict || null,
+  ruleFindings: dispute.ruleFindings || [],
+  verification: dispute.verification || null,
+  parsedLogs: dispute.parsedLogs,
+  contractState: dispute.contractState,
+  balanceSnapshots: dispute.balanceSnapshots || null,
+  approvalAnalysis: dispute.approvalAnalysis || null,
+  trace: dispute.trace || null,
+  nativeTransfer: dispute.nativeTransfer || null,
+  feeAnalysis: dispute.feeAnalysis || null,
+  nftMetadata: dispute.nftMetadata || null,
+  transactionDetails: dispute.transactionDetails,
+  statusHistory: dispute.statusHistory,
+  createdAt: dispute.createdAt,
+  resolvedAt: dispute.resolvedAt
+});
+
+/**
+ * Every cache key a dispute resolution is stored under
+ */
+const disputeDataCacheKeys = ({ disputeId, txHash, contractAddress, toAddress, chainId }) => [
+  ...(disputeId ? [disputeCacheKeys.byId(disputeId)] : []),
+  disputeCacheKeys.byTx(txHash, chainId),
+  disputeCacheKeys.byRequest(txHash, contractAddress, toAddress, chainId)
+];
+
+/**
+ * Drop every cached copy of a dispute so readers fall back to MongoDB
+ */
+const invalidateDisputeCache = async (dispute) => {
+  await blockchainService.deleteCachedData(...disputeDataCacheKeys(formatDispute(dispute)));
+};
+
+/**
+ * Bring a response's confirmation count and finality up to date (finalized responses never change)
+ */
+const refreshFinality = async (data) => {
+  if (!data.finality || data.finality.state === 'finalized') return data;
+
+  try {
+    const finality = await blockchainService.forChain(data.chainId).getFinality(data.finality);
+    return { ...data, finality };
+  } catch (error) {
+    logger.warn('Failed to refresh finality:', error.message);
+    return data;
+  }
+};
+
+/**
+ * Read a cached response, dropping it (and its other keys) if its block was reorganized away
+ * @returns {Object|null} - Cached data with current finality, or null on a miss
+ */
+const getCanonicalCachedData = async (cacheKey, keysOf) => {
+  const cached = await blockchainService.getCachedData(cacheKey);
+  if (!cached) return null;
+
+  const data = await refreshFinality(cached);
+  if (data.finality && !data.finality.canonical) {
+    logger.warn('Dropping cached response for a reorganized block', { cacheKey, blockNumber: data.finality.blockNumber });
+    await blockchainService.deleteCachedData(...keysOf(cached));
+    return null;
+  }
+  return data;
+};
 
 /**
  * Main dispute resolution endpoint
@@ -11,119 +96,49 @@ const resolveDispute = async (req, res) => {
   const startTime = Date.now();
   
   try {
-    const { txHash, contractAddress, toAddress, disputeDescription } = req.body;
+    const { txHash, toAddress, disputeDescription, chainId, scanRange } = req.body;
+    const runAsync = req.body.async === true || req.query.async === 'true';
+
+    // Native transfers need no token contract; token disputes always name one (enforced by validation)
+    const disputeType = req.body.disputeType || 'token';
+    const contractAddress = disputeType === 'native' ? req.body.contractAddress || null : req.body.contractAddress;
     
     logger.info('Dispute resolution request received', {
       txHash,
-      contractAddress,
+      disputeType,
+      contractAddress: contractAddress || 'not provided',
       toAddress: toAddress || 'not provided',
-      disputeDescriptionLength: disputeDescription.length
+      chainId: chainId || 'default',
+      disputeDescriptionLength: disputeDescription.length,
+      mode: runAsync ? 'async' : 'sync'
     });
 
-    // Step 1: Get transaction receipt and details
-    const [receipt, transaction] = await Promise.all([
-      blockchainService.getTransactionReceipt(txHash),
-      blockchainService.getTransaction(txHash)
-    ]);
-
-    if (!receipt) {
-      return res.status(404).json({
-        success: false,
-        error: 'Transaction not found or not yet mined'
-      });
-    }
-
-    // Step 2: Parse logs and determine contract type
-    const parsedLogs = await blockchainService.parseLogs(receipt.logs, contractAddress);
-    
-    // Step 3: Get contract state (balances, ownership)
-    const contractState = await blockchainService.getContractState(
-      contractAddress, 
-      toAddress || null, 
-      parsedLogs
-    );
-
-    // Step 4: Get historical logs if needed (last 1000 blocks)
-    let historicalLogs = [];
-    if (parsedLogs.transfers.length === 0) {
-      historicalLogs = await blockchainService.getHistoricalLogs(contractAddress);
-      const historicalParsedLogs = await blockchainService.parseLogs(historicalLogs, contractAddress);
-      parsedLogs.transfers.push(...historicalParsedLogs.transfers);
-    }
-
-    // Step 5: Determine transaction status and analyze patterns
-    const transactionStatus = receipt.status === 1 ? 'success' : 'failed';
-    const patternAnalysis = blockchainService.analyzeTransactionPattern(transaction, receipt, parsedLogs);
+    const params = { txHash, disputeType, contractAddress, toAddress, disputeDescription, chainId, scanRange };
 
-    // Step 6: Prepare data for AI analysis
-    const disputeData = {
-      txHash,
-      contractAddress,
-      toAddress: toAddress || null,
-      disputeDescription,
-      parsedLogs,
-      contractState,
-      transactionStatus,
-      patternAnalysis,
-      transactionDetails: {
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed?.toString(),
-        status: receipt.status,
-        from: transaction?.from,
-        to: transaction?.to,
-        value: transaction?.value?.toString()
-      }
-    };
-
-    // Step 7: Get AI resolution
-    const aiSolution = await aiService.resolveDispute(disputeData);``
-
-    // Step 8: Prepare response
-    const response = {
-      success: true,
-      data: {
-        txHash,
-        contractAddress,
-        toAddress: toAddress || null,
-        transactionStatus,
-        aiSolution,
-        parsedLogs,
-        contractState,
-        transactionDetails: disputeData.transactionDetails
-      }
-    };
+    // Async mode: hand the resolution to the job worker and return immediately
+    if (runAsync) {
+      const job = await disputeService.enqueueResolution(params);
+      const basePath = req.baseUrl || '';
 
-    // Step 9: Store in database if MongoDB is available
-    try {
-      const dispute = new Dispute({
-        txHash,
-        contractAddress,
-        toAddress: toAddress || null,
-        disputeDescription,
-        aiSolution,
-        parsedLogs,
-        contractState,
-        transactionStatus,
-        resolvedAt: new Date()
+      return res.status(202).json({
+        success: true,
+        data: {
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `${basePath}/jobs/${job.id}`,
+          eventsUrl: `${basePath}/jobs/${job.id}/events`
+        }
       });
-      await dispute.save();
-      logger.info('Dispute saved to database', { txHash });
-    } catch (dbError) {
-      logger.warn('Failed to save dispute to database:', dbError.message);
     }
 
-    // Step 10: Cache results
-    const cacheKey = `dispute:${txHash}:${contractAddress}:${toAddress || 'null'}`;
-    await blockchainService.cacheData(cacheKey, response.data, 3600); // Cache for 1 hour
+    const data = await disputeService.resolve(params);
 
-    const processingTime = Date.now() - startTime;
-    logger.info('Dispute resolution completed', {
-      txHash,
-      processingTime: `${processingTime}ms`
+    // 202 while the transaction has no receipt: the pending dispute is resolved by the watcher
+    res.status(PENDING_TRANSACTION_STATES.includes(data.transactionStatus) ? 202 : 200).json({
+      success: true,
+      data
     });
 
-    res.json(response);
-
   } catch (error) {
     const processingTime = Date.now() - startTime;
     logger.error('Dispute resolution failed', {
@@ -136,7 +151,7 @@ const resolveDispute = async (req, res) => {
     if (error.message.includes('Transaction not found')) {
       return res.status(404).json({
         success: false,
-        error: 'Transaction not found'
+        error: error.message
       });
     }
 
@@ -166,12 +181,24 @@ const resolveDispute = async (req, res) => {
  */
 const getDisputeHistory = async (req, res) => {
   try {
-    const { txHash, limit = 10, offset = 0 } = req.query;
+    const { txHash, chainId, status, refundRecommendation, isFakeDispute, limit = 10, offset = 0 } = req.query;
     
     const query = {};
+    if (chainId) {
+      query.chainId = chainId;
+    }
     if (txHash) {
       query.txHash = txHash;
     }
+    if (status) {
+      query.status = status;
+    }
+    if (refundRecommendation) {
+      query['verdict.refundRecommendation'] = refundRecommendation;
+    }
+    if (isFakeDispute !== undefined) {
+      query['verdict.isFakeDispute'] = isFakeDispute === 'true';
+    }
 
     const disputes = await Dispute.find(query)
       .sort({ createdAt: -1 })
@@ -202,13 +229,206 @@ const getDisputeHistory = async (req, res) => {
   }
 };
 
+/**
+ * Get a single dispute by id (Redis first, then MongoDB)
+ */
+const getDisputeById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const cacheKey = disputeCacheKeys.byId(id);
+
+    const cached = await getCanonicalCachedData(cacheKey, disputeDataCacheKeys);
+    if (cached) {
+      return res.json({
+        success: true,
+        cacheHit: true,
+        data: cached
+      });
+    }
+
+    const dispute = await Dispute.findById(id).select('-__v');
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dispute not found'
+      });
+    }
+
+    const data = await refreshFinality(formatDispute(dispute));
+    await blockchainService.cacheData(cacheKey, data, DISPUTE_CACHE_TTL);
+
+    res.json({
+      success: true,
+      cacheHit: false,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Failed to get dispute:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve dispute'
+    });
+  }
+};
+
+/**
+ * Get the latest dispute for a transaction hash (Redis first, then MongoDB)
+ */
+const getDisputeByTxHash = async (req, res) => {
+  try {
+    const { txHash } = req.params;
+    const { contractAddress, toAddress } = req.query;
+    const { chainId } = getChain(req.query.chainId);
+
+    const cacheKey = contractAddress
+      ? disputeCacheKeys.byRequest(txHash, contractAddress, toAddress, chainId)
+      : disputeCacheKeys.byTx(txHash, chainId);
+
+    const cached = await getCanonicalCachedData(cacheKey, disputeDataCacheKeys);
+    if (cached) {
+      return res.json({
+        success: true,
+        cacheHit: true,
+        data: cached
+      });
+    }
+
+    const query = { chainId, txHash };
+    if (contractAddress) {
+      query.contractAddress = contractAddress;
+    }
+    if (toAddress) {
+      query.toAddress = toAddress;
+    }
+
+    const dispute = await Dispute.findOne(query)
+      .sort({ createdAt: -1 })
+      .select('-__v');
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dispute not found'
+      });
+    }
+
+    const data = await refreshFinality(formatDispute(dispute));
+    await blockchainService.cacheData(cacheKey, data, DISPUTE_CACHE_TTL);
+
+    res.json({
+      success: true,
+      cacheHit: false,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Failed to get dispute by transaction hash:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve dispute'
+    });
+  }
+};
+
+/**
+ * Update dispute lifecycle status
+ */
+const updateDisputeStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason, actor } = req.body;
+
+    const dispute = await Dispute.findById(id);
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dispute not found'
+      });
+    }
+
+    const previousStatus = dispute.status;
+    dispute.transitionTo(status, { reason, actor });
+    await dispute.save();
+    await invalidateDisputeCache(dispute);
+
+    logger.info('Dispute status updated', {
+      disputeId: id,
+      from: previousStatus,
+      to: status,
+      actor: actor || 'system'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        disputeId: dispute._id.toString(),
+        status: dispute.status,
+        previousStatus,
+        statusChangedAt: dispute.statusChangedAt,
+        allowedTransitions: getAllowedTransitions(dispute.status),
+        statusHistory: dispute.statusHistory
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('Invalid status transition')) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Failed to update dispute status:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update dispute status'
+    });
+  }
+};
+
+/**
+ * Get dispute lifecycle history
+ */
+const getDisputeStatusHistory = async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id)
+      .select('status statusChangedAt statusHistory');
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dispute not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        disputeId: dispute._id.toString(),
+        status: dispute.status,
+        statusChangedAt: dispute.statusChangedAt,
+        allowedTransitions: getAllowedTransitions(dispute.status),
+        statusHistory: dispute.statusHistory
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get dispute status history:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve dispute status history'
+    });
+  }
+};
+
 /**
  * Health check endpoint
  */
 const healthCheck = async (req, res) => {
   try {
-    // Check blockchain connection
-    const network = await blockchainService.provider.getNetwork();
+    // Check blockchain connection (fails over across the chain's RPC pool)
+    const blockNumber = await blockchainService.rpcPool.execute('getBlockNumber', provider => provider.getBlockNumber());
     
     // Check AI service
     aiService.validateConfig();
@@ -218,12 +438,16 @@ const healthCheck = async (req, res) => {
       data: {
         status: 'healthy',
         blockchain: {
-          network: network.name,
-          chainId: network.chainId
+          network: blockchainService.chain.name,
+          chainId: blockchainService.chainId,
+          blockNumber,
+          rpc: blockchainService.getRpcHealth()
         },
+        chains: listChains(),
         services: {
           blockchain: 'connected',
           ai: 'configured',
+          aiProviders: aiService.getProviderNames(),
           database: Dispute.db.readyState === 1 ? 'connected' : 'disconnected'
         },
         timestamp: new Date().toISOString()
@@ -235,7 +459,8 @@ const healthCheck = async (req, res) => {
     res.status(503).json({
       success: false,
       error: 'Service unhealthy',
-      details: error.message
+      details: error.message,
+      rpc: blockchainService.getRpcHealth()
     });
   }
 };
@@ -246,6 +471,8 @@ const healthCheck = async (req, res) => {
 async function getTransactionLogs(req, res) {
   try {
     const { txHash, contractAddress } = req.body;
+    const chain = getChain(req.body.chainId);
+    const blockchain = blockchainService.forChain(chain.chainId);
 
     // Validate inputs
     if (!txHash || !contractAddress) {
@@ -274,11 +501,22 @@ async function getTransactionLogs(req, res) {
     logger.info('Fetching transaction logs', {
       txHash,
       contractAddress,
+      chainId: chain.chainId,
       ip: req.ip
     });
 
+    const cacheKey = logsCacheKey(txHash, contractAddress, chain.chainId);
+    const cached = await getCanonicalCachedData(cacheKey, () => [cacheKey]);
+    if (cached) {
+      return res.json({
+        success: true,
+        cacheHit: true,
+        data: cached
+      });
+    }
+
     // Get transaction receipt
-    const receipt = await blockchainService.getTransactionReceipt(txHash);
+    const receipt = await blockchain.getTransactionReceipt(txHash);
     
     if (!receipt) {
       return res.status(404).json({
@@ -288,37 +526,84 @@ async function getTransactionLogs(req, res) {
     }
 
     // Get transaction details
-    const transaction = await blockchainService.getTransaction(txHash);
+    const transaction = await blockchain.getTransaction(txHash);
+
+    // Confirmations and finality of the receipt's block
+    let finality = null;
+    try {
+      finality = await blockchain.getFinality(receipt);
+    } catch (error) {
+      logger.warn('Failed to read transaction finality:', error.message);
+    }
     
     // Parse logs for the specific contract
-    const parsedLogs = await blockchainService.parseLogs(receipt.logs || [], contractAddress);
+    const parsedLogs = await blockchain.parseLogs(receipt.logs || [], contractAddress, receipt.blockNumber);
     
     // Get contract state
-    const contractState = await blockchainService.getContractState(contractAddress, null, parsedLogs);
+    const contractState = await blockchain.getContractState(contractAddress, null, parsedLogs);
+
+    // Internal calls and native value moved by contracts
+    const trace = await blockchain.getTransactionTrace(txHash);
+    parsedLogs.internalTransfers = trace.available ? trace.internalTransfers : [];
+
+    // Balances before/after the transaction's block and now
+    let balanceSnapshots = null;
+    try {
+      balanceSnapshots = await blockchain.getBalanceSnapshots(contractAddress, {
+        sender: transaction?.from,
+        recipient: null,
+        blockNumber: receipt.blockNumber,
+        parsedLogs
+      });
+    } catch (error) {
+      logger.warn('Failed to read balance snapshots:', error.message);
+    }
+
+    // Spenders with approvals over the sender's (or moved owners') tokens
+    const approvalAnalysis = await blockchain.getApprovalAnalysis(contractAddress, transaction, parsedLogs, receipt.blockNumber);
+
+    // Decode why the transaction reverted (null for successful transactions)
+    const revertReason = await blockchain.getRevertReason(transaction, receipt);
+
+    // Decode the function the transaction called
+    const decodedInput = await blockchain.decodeCalldata(transaction);
 
     // Prepare response with safe property access
     const response = {
       success: true,
+      cacheHit: false,
       data: {
+        chainId: chain.chainId,
+        network: chain.name,
         transactionHash: txHash,
         contractAddress: contractAddress,
         blockNumber: receipt.blockNumber || 0,
+        finality,
         transactionStatus: receipt.status === 1 ? 'success' : 'failed',
+        revertReason,
         gasUsed: receipt.gasUsed ? receipt.gasUsed.toString() : '0',
         effectiveGasPrice: receipt.effectiveGasPrice ? receipt.effectiveGasPrice.toString() : '0',
         from: transaction?.from || 'unknown',
         to: transaction?.to || 'unknown',
         value: transaction?.value ? transaction.value.toString() : '0',
+        decodedInput,
         parsedLogs: {
           contractType: parsedLogs.contractType || 'unknown',
+          proxy: parsedLogs.proxy || null,
           transfers: parsedLogs.transfers || [],
           failures: parsedLogs.failures || [],
           partialTransfers: parsedLogs.partialTransfers || [],
+          uris: parsedLogs.uris || [],
+          approvals: parsedLogs.approvals || [],
+          internalTransfers: parsedLogs.internalTransfers,
           unknownEvents: parsedLogs.unknownEvents || [],
           totalLogs: receipt.logs ? receipt.logs.length : 0,
           contractLogs: (parsedLogs.transfers?.length || 0) + (parsedLogs.failures?.length || 0) + (parsedLogs.partialTransfers?.length || 0) + (parsedLogs.unknownEvents?.length || 0)
         },
         contractState: contractState || {},
+        balanceSnapshots,
+        approvalAnalysis,
+        trace,
         rawLogs: receipt.logs ? receipt.logs.map(log => ({
           address: log.address || 'unknown',
           topics: log.topics || [],
@@ -332,7 +617,7 @@ async function getTransactionLogs(req, res) {
     };
 
     // Cache the result
-    await blockchainService.cacheData(`logs:${txHash}:${contractAddress}`, response.data, 3600);
+    await blockchain.cacheData(cacheKey, response.data, 3600);
 
     res.json(response);
 
@@ -349,6 +634,10 @@ async function getTransactionLogs(req, res) {
 module.exports = {
   resolveDispute,
   getDisputeHistory,
+  getDisputeById,
+  getDisputeByTxHash,
+  updateDisputeStatus,
+  getDisputeStatusHistory,
   healthCheck,
   getTransactionLogs
 }; 
\ No newline at end of file
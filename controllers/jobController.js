@@ -0,0 +1,135 @@
+const jobQueue = require('../services/jobQueue');
+const logger = require('../config/logger');
+
+const SSE_POLL_INTERVAL = parseInt(process.env.JOB_SSE_POLL_MS) || 1000;
+
+/**
+ * Shape a job record for API responses
+ */
+const formatJob = (job) => ({
+  jobId: job.id,
+  type: job.type,
+  status: job.status,
+  steps: job.steps,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt || null,
+  finishedAt: job.finishedAt || null
+});
+
+/**
+ * Get job status endpoint (polling)
+ */
+const getJobStatus = async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatJob(job)
+    });
+
+  } catch (error) {
+    logger.error('Failed to get job status:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve job status'
+    });
+  }
+};
+
+/**
+ * Stream job progress as Server-Sent Events
+ */
+const streamJobEvents = async (req, res) => {
+  const { id } = req.params;
+
+  const job = await jobQueue.getJob(id).catch(() => null);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let sentSteps = 0;
+  let lastStatus = null;
+  let timer = null;
+  // Set once the stream ends or the client disconnects; nothing is written after that
+  let closed = false;
+
+  const sendEvent = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(timer);
+    res.end();
+  };
+
+  const publish = async () => {
+    if (closed) return;
+    try {
+      const current = await jobQueue.getJob(id);
+      // The client may have gone while the job was being read
+      if (closed) return;
+      if (!current) {
+        sendEvent('error', { error: 'Job expired' });
+        return finish();
+      }
+
+      if (current.status !== lastStatus) {
+        lastStatus = current.status;
+        sendEvent('status', { jobId: id, status: current.status });
+      }
+
+      while (sentSteps < current.steps.length) {
+        sendEvent('step', current.steps[sentSteps]);
+        sentSteps++;
+      }
+
+      if (current.status === 'completed') {
+        sendEvent('completed', { jobId: id, result: current.result });
+        finish();
+      } else if (current.status === 'failed') {
+        sendEvent('failed', { jobId: id, error: current.error });
+        finish();
+      }
+    } catch (error) {
+      logger.error('Job event stream error:', error.message);
+      sendEvent('error', { error: 'Failed to read job status' });
+      finish();
+    }
+  };
+
+  timer = setInterval(publish, SSE_POLL_INTERVAL);
+  req.on('close', () => {
+    closed = true;
+    clearInterval(timer);
+  });
+
+  await publish();
+};
+
+module.exports = {
+  getJobStatus,
+  streamJobEvents
+};
@@ -0,0 +1,82 @@
+const signatureDatabase = require('../utils/signatureDatabase');
+const logger = require('../config/logger');
+
+/**
+ * Look up the signatures known for a topic hash or function selector
+ */
+const lookupSignature = async (req, res) => {
+  try {
+    const hash = req.params.hash.toLowerCase();
+    const isSelector = hash.length === 10;
+
+    res.json({
+      success: true,
+      data: {
+        hash,
+        kind: isSelector ? 'function' : 'event',
+        signatures: isSelector ? signatureDatabase.lookupFunction(hash) : signatureDatabase.lookupEvent(hash)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to look up signature:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up signature'
+    });
+  }
+};
+
+/**
+ * Signature database size (admin)
+ */
+const getSignatureStats = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: signatureDatabase.getStats()
+    });
+
+  } catch (error) {
+    logger.error('Failed to read signature database:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read signature database'
+    });
+  }
+};
+
+/**
+ * Import event and function signatures (admin)
+ */
+const importSignatures = async (req, res) => {
+  try {
+    const { events, functions } = req.body;
+    const result = await signatureDatabase.importSignatures({ events, functions });
+
+    logger.info('Signatures imported', {
+      added: result.added.length,
+      existing: result.existing.length,
+      invalid: result.invalid.length,
+      ip: req.ip
+    });
+
+    res.status(result.added.length > 0 ? 201 : 200).json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Failed to import signatures:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import signatures'
+    });
+  }
+};
+
+module.exports = {
+  lookupSignature,
+  getSignatureStats,
+  importSignatures
+};
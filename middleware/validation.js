@@ -1,7 +1,84 @@
-const { body, validationResult } = require('express-validator');
+const crypto = require('crypto');
+const { body, param, query, validationResult } = require('express-validator');
+const { ethers } = require('ethers');
 const { isValidTransactionHash, isValidAddress, sanitizeText } = require('../utils/validation');
+const { DISPUTE_STATUSES, DISPUTE_TYPES } = require('../utils/disputeLifecycle');
+const { REFUND_RECOMMENDATIONS } = require('../services/verdictSchema');
+const { isSupportedChain } = require('../config/chains');
 const logger = require('../config/logger');
 
+/**
+ * Shared handler that reports express-validator errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validation failed:', {
+      errors: errors.array(),
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Optional chainId (body or query) that must be in the chain registry
+ */
+const chainIdRule = (location) => location('chainId')
+  .optional()
+  .isInt({ min: 1 })
+  .withMessage('chainId must be a positive integer')
+  .bail()
+  .custom((value) => {
+    if (!isSupportedChain(value)) {
+      throw new Error(`Unsupported chainId: ${value}`);
+    }
+    return true;
+  })
+  .toInt();
+
+/**
+ * Optional historical log scan range: block numbers and/or ISO 8601 times (converted to unix seconds)
+ */
+const scanRangeRules = [
+  body('scanRange')
+    .optional()
+    .isObject()
+    .withMessage('scanRange must be an object'),
+
+  body(['scanRange.fromBlock', 'scanRange.toBlock'])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('scanRange block numbers must be non-negative integers')
+    .toInt(),
+
+  body(['scanRange.fromTime', 'scanRange.toTime'])
+    .optional()
+    .isISO8601()
+    .withMessage('scanRange times must be ISO 8601 dates')
+    .customSanitizer((value) => Math.floor(new Date(value).getTime() / 1000)),
+
+  body('scanRange')
+    .optional()
+    .custom((range) => {
+      if (!range || typeof range !== 'object') return true;
+      if (range.fromBlock !== undefined && range.toBlock !== undefined && range.fromBlock > range.toBlock) {
+        throw new Error('scanRange.fromBlock must not be after scanRange.toBlock');
+      }
+      if (range.fromTime !== undefined && range.toTime !== undefined && range.fromTime > range.toTime) {
+        throw new Error('scanRange.fromTime must not be after scanRange.toTime');
+      }
+      return true;
+    })
+];
+
 /**
  * Validation middleware for dispute resolution endpoint
  */
@@ -17,8 +94,15 @@ const validateDisputeRequest = [
       return true;
     }),
 
-  // Validate contractAddress
+  // Validate disputeType (optional, defaults to token)
+  body('disputeType')
+    .optional()
+    .isIn(DISPUTE_TYPES)
+    .withMessage(`disputeType must be one of: ${DISPUTE_TYPES.join(', ')}`),
+
+  // Validate contractAddress (required for token disputes, optional for native transfers)
   body('contractAddress')
+    .if((value, { req }) => req.body.disputeType !== 'native' || value !== undefined)
     .notEmpty()
     .withMessage('Contract address is required')
     .custom((value) => {
@@ -46,26 +130,311 @@ const validateDisputeRequest = [
     .withMessage('Dispute description must be between 10 and 1000 characters')
     .customSanitizer((value) => sanitizeText(value)),
 
+  // Validate async flag (optional)
+  body('async')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('async must be a boolean'),
+
+  // Validate chainId (optional, defaults to DEFAULT_CHAIN_ID)
+  chainIdRule(body),
+
+  // Validate historical log scan range (optional)
+  ...scanRangeRules,
+
   // Handle validation errors
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      logger.warn('Validation failed:', {
-        errors: errors.array(),
-        ip: req.ip,
-        userAgent: req.get('User-Agent')
-      });
-      
-      return res.status(400).json({
-        success: false,
-        error: 'Validation failed',
-        details: errors.array()
-      });
-    }
-    next();
-  }
+  handleValidationErrors
+];
+
+/**
+ * Validation middleware for dispute lifecycle status updates
+ */
+const validateStatusUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid dispute id'),
+
+  body('status')
+    .notEmpty()
+    .withMessage('Status is required')
+    .isIn(DISPUTE_STATUSES)
+    .withMessage(`Status must be one of: ${DISPUTE_STATUSES.join(', ')}`),
+
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters')
+    .customSanitizer((value) => sanitizeText(value)),
+
+  body('actor')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Actor must be at most 100 characters')
+    .customSanitizer((value) => sanitizeText(value)),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation middleware for dispute id route parameter
+ */
+const validateDisputeId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid dispute id'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation middleware for dispute lookup by transaction hash
+ */
+const validateDisputeTxLookup = [
+  param('txHash')
+    .custom((value) => {
+      if (!isValidTransactionHash(value)) {
+        throw new Error('Invalid transaction hash format (must be 32-byte hex)');
+      }
+      return true;
+    }),
+
+  query('contractAddress')
+    .optional()
+    .custom((value) => {
+      if (!isValidAddress(value)) {
+        throw new Error('Invalid contract address format');
+      }
+      return true;
+    }),
+
+  query('toAddress')
+    .optional()
+    .custom((value) => {
+      if (!isValidAddress(value)) {
+        throw new Error('Invalid recipient address format');
+      }
+      return true;
+    }),
+
+  chainIdRule(query),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation middleware for the transaction logs endpoint (only chainId;
+ * txHash and contractAddress are checked in the controller)
+ */
+const validateTransactionLogsRequest = [
+  chainIdRule(body),
+
+  handleValidationErrors
 ];
 
+/**
+ * Validation middleware for job id route parameter
+ */
+const validateJobId = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid job id'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation middleware for dispute history filters
+ */
+const validateDisputeHistoryQuery = [
+  query('status')
+    .optional()
+    .isIn(DISPUTE_STATUSES)
+    .withMessage(`Status must be one of: ${DISPUTE_STATUSES.join(', ')}`),
+
+  query('refundRecommendation')
+    .optional()
+    .isIn(REFUND_RECOMMENDATIONS)
+    .withMessage(`refundRecommendation must be one of: ${REFUND_RECOMMENDATIONS.join(', ')}`),
+
+  query('isFakeDispute')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isFakeDispute must be true or false'),
+
+  chainIdRule(query),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation middleware for signature database imports
+ */
+const validateSignatureImport = [
+  body(['events', 'functions'])
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('events and functions must be arrays of at most 1000 signatures'),
+
+  body(['events.*', 'functions.*'])
+    .isString()
+    .withMessage('Signatures must be strings')
+    .isLength({ min: 3, max: 1000 })
+    .withMessage('Signatures must be between 3 and 1000 characters'),
+
+  body()
+    .custom((value) => {
+      if (!(value.events || []).length && !(value.functions || []).length) {
+        throw new Error('Provide at least one event or function signature');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation middleware for signature lookups (32-byte topic hash or 4-byte selector)
+ */
+const validateSignatureLookup = [
+  param('hash')
+    .matches(/^0x([0-9a-fA-F]{8}|[0-9a-fA-F]{64})$/)
+    .withMessage('hash must be a 4-byte selector or a 32-byte topic hash'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation middleware for ABI registry uploads. The ABI (an array, or a JSON string of one)
+ * must compile with ethers.Interface without dropping any entry.
+ */
+const validateAbiUpload = [
+  body('chainId')
+    .exists()
+    .withMessage('chainId is required'),
+
+  chainIdRule(body),
+
+  body('address')
+    .notEmpty()
+    .withMessage('Contract address is required')
+    .custom((value) => {
+      if (!isValidAddress(value)) {
+        throw new Error('Invalid contract address format');
+      }
+      return true;
+    }),
+
+  body('abi')
+    .exists()
+    .withMessage('abi is required')
+    .customSanitizer((value) => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    })
+    .custom((value) => {
+      if (!Array.isArray(value) || value.length === 0 || value.length > 2000) {
+        throw new Error('abi must be a non-empty array of at most 2000 entries');
+      }
+      let contractInterface;
+      try {
+        contractInterface = new ethers.Interface(value);
+      } catch (error) {
+        throw new Error(`abi does not compile: ${error.shortMessage || error.message}`);
+      }
+      // ethers skips fragments it cannot parse instead of throwing
+      if (contractInterface.fragments.length < value.length) {
+        throw new Error('abi contains invalid entries');
+      }
+      // ...and keeps duplicates, which would make lookups by name ambiguous
+      const keys = contractInterface.fragments.map(fragment => (
+        ['function', 'event', 'error'].includes(fragment.type) ? `${fragment.type}:${fragment.format('sighash')}` : fragment.type
+      ));
+      if (new Set(keys).size < keys.length) {
+        throw new Error('abi contains duplicate entries');
+      }
+      return true;
+    }),
+
+  body('label')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('label must be at most 100 characters')
+    .customSanitizer((value) => sanitizeText(value)),
+
+  body('uploadedBy')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('uploadedBy must be at most 100 characters')
+    .customSanitizer((value) => sanitizeText(value)),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation middleware for ABI registry routes (/abis/:chainId/:address[/:version])
+ */
+const validateAbiParams = [
+  param('chainId')
+    .isInt({ min: 1 })
+    .withMessage('chainId must be a positive integer')
+    .bail()
+    .custom((value) => {
+      if (!isSupportedChain(value)) {
+        throw new Error(`Unsupported chainId: ${value}`);
+      }
+      return true;
+    })
+    .toInt(),
+
+  param('address')
+    .custom((value) => {
+      if (!isValidAddress(value)) {
+        throw new Error('Invalid contract address format');
+      }
+      return true;
+    }),
+
+  param('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('version must be a positive integer')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Admin routes require ADMIN_API_KEY as a bearer token; they are disabled when it is unset
+ */
+const requireAdminKey = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API is disabled (ADMIN_API_KEY not set)'
+    });
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const expected = Buffer.from(adminKey);
+  const provided = Buffer.from(token || '');
+  if (scheme !== 'Bearer' || provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    logger.warn('Rejected admin request:', {
+      path: req.originalUrl,
+      ip: req.ip
+    });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or missing admin API key'
+    });
+  }
+  next();
+};
+
 /**
  * Rate limiting middleware
  */
@@ -118,13 +487,25 @@ const securityMiddleware = [
   }),
   cors({
     origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE'],
     allowedHeaders: ['Content-Type', 'Authorization']
   })
 ];
 
 module.exports = {
   validateDisputeRequest,
+  validateStatusUpdate,
+  validateDisputeId,
+  validateDisputeTxLookup,
+  validateDisputeHistoryQuery,
+  validateJobId,
+  validateTransactionLogsRequest,
+  validateSignatureImport,
+  validateSignatureLookup,
+  validateAbiUpload,
+  validateAbiParams,
+  requireAdminKey,
+  handleValidationErrors,
   createRateLimiter,
   securityMiddleware
 }; 
\ No newline at end of file
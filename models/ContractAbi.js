@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * ABIs uploaded for contracts that are not verified on an explorer.
+ * Each upload for a chain/address pair is a new version; the highest version is used.
+ */
+const contractAbiSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  address: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  abi: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  label: {
+    type: String,
+    default: null
+  },
+  // Fragment counts, so versions can be compared without loading the ABI
+  summary: {
+    functions: { type: Number, default: 0 },
+    events: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  uploadedBy: {
+    type: String,
+    default: 'admin'
+  }
+}, {
+  timestamps: true
+});
+
+contractAbiSchema.index({ chainId: 1, address: 1, version: -1 }, { unique: true });
+
+/**
+ * Latest ABI version registered for a contract
+ */
+contractAbiSchema.statics.findLatest = function (chainId, address) {
+  return this.findOne({ chainId, address: address.toLowerCase() }).sort({ version: -1 });
+};
+
+module.exports = mongoose.model('ContractAbi', contractAbiSchema);
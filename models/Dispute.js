@@ -1,26 +1,148 @@
 const mongoose = require('mongoose');
+const { DISPUTE_STATUSES, PENDING_TRANSACTION_STATES, DISPUTE_TYPES, assertTransition } = require('../utils/disputeLifecycle');
+const { REFUND_RECOMMENDATIONS, SENTIMENT_LABELS } = require('../services/verdictSchema');
+const { getDefaultChainId } = require('../config/chains');
+
+const verdictSchema = new mongoose.Schema({
+  refundRecommendation: {
+    type: String,
+    enum: REFUND_RECOMMENDATIONS,
+    required: true
+  },
+  refundAmount: {
+    type: String,
+    default: null
+  },
+  refundReasoning: {
+    type: String
+  },
+  isFakeDispute: {
+    type: Boolean,
+    default: false
+  },
+  sentiment: {
+    type: String,
+    enum: SENTIMENT_LABELS
+  },
+  issues: {
+    type: [String],
+    default: []
+  },
+  steps: {
+    type: [String],
+    default: []
+  },
+  analysis: {
+    type: String
+  },
+  verification: {
+    type: String
+  },
+  provider: {
+    type: String
+  },
+  claims: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+const verificationSchema = new mongoose.Schema({
+  consistent: {
+    type: Boolean
+  },
+  checked: {
+    type: [String],
+    default: []
+  },
+  contradictions: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  reprompts: {
+    type: Number,
+    default: 0
+  },
+  escalated: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: DISPUTE_STATUSES
+  },
+  to: {
+    type: String,
+    enum: DISPUTE_STATUSES,
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  actor: {
+    type: String,
+    default: 'system'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const disputeSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    default: getDefaultChainId
+  },
   txHash: {
     type: String,
     required: true,
     index: true
   },
+  disputeType: {
+    type: String,
+    enum: DISPUTE_TYPES,
+    default: 'token'
+  },
+  // Native transfer disputes need not name a contract
   contractAddress: {
     type: String,
-    required: true
+    required: function () {
+      return this.disputeType !== 'native';
+    }
   },
+  // Pending disputes are saved before the recipient can be confirmed on-chain; native transfer disputes
+  // store the transaction's recipient when none is given, and contract creations have none
   toAddress: {
     type: String,
-    required: true
+    required: function () {
+      return this.disputeType !== 'native' && !PENDING_TRANSACTION_STATES.includes(this.transactionStatus);
+    }
   },
   disputeDescription: {
     type: String,
     required: true
   },
+  // Disputes about transactions that have not been mined are saved before there is a verdict
   aiSolution: {
     type: String,
-    required: true
+    required: function () {
+      return !PENDING_TRANSACTION_STATES.includes(this.transactionStatus);
+    }
+  },
+  verdict: {
+    type: verdictSchema
+  },
+  ruleFindings: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  verification: {
+    type: verificationSchema,
+    default: null
   },
   parsedLogs: {
     type: mongoose.Schema.Types.Mixed,
@@ -30,17 +152,83 @@ const disputeSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Balances/ownership at blockNumber - 1, blockNumber and now, with deltas
+  balanceSnapshots: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Internal call tree from debug_traceTransaction/trace_transaction ({ available: false } when unsupported)
+  trace: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Approval grants and live allowances for the owners involved (see getApprovalAnalysis)
+  approvalAnalysis: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  transactionDetails: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   transactionStatus: {
     type: String,
-    enum: ['success', 'failed', 'pending'],
+    enum: ['success', 'failed', ...PENDING_TRANSACTION_STATES],
     default: 'pending'
   },
+  // Confirmations and finality (unsafe/safe/finalized/reorged) of the transaction's block when resolved
+  finality: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Mempool/drop/replacement status while the transaction had no receipt (see getPendingTransactionStatus)
+  pendingTransaction: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Recipient, value, payable check and recipient balance change for native transfer disputes
+  nativeTransfer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Gas usage, fees against the market and fee charged (see utils/feeAnalysis.js)
+  feeAnalysis: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // tokenURI/uri and validated metadata of the NFTs the transaction moved (see getNftMetadata)
+  nftMetadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Decoded revert reason for failed transactions (Error, Panic or custom error)
+  revertReason: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: DISPUTE_STATUSES,
+    default: 'open',
+    index: true
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
   resolvedAt: {
     type: Date
+  },
+  closedAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -48,5 +236,33 @@ const disputeSchema = new mongoose.Schema({
 
 // Index for efficient queries
 disputeSchema.index({ txHash: 1, createdAt: -1 });
+disputeSchema.index({ chainId: 1, txHash: 1 });
+disputeSchema.index({ 'verdict.refundRecommendation': 1, 'verdict.isFakeDispute': 1 });
+disputeSchema.index({ status: 1, transactionStatus: 1 });
+
+/**
+ * Move the dispute to a new lifecycle status, enforcing allowed transitions
+ */
+disputeSchema.methods.transitionTo = function (status, { reason, actor = 'system', at = new Date() } = {}) {
+  assertTransition(this.status, status);
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    reason,
+    actor,
+    changedAt: at
+  });
+  this.status = status;
+  this.statusChangedAt = at;
+
+  if (status === 'resolved') {
+    this.resolvedAt = at;
+  } else if (status === 'closed') {
+    this.closedAt = at;
+  }
+
+  return this;
+};
 
 module.exports = mongoose.model('Dispute', disputeSchema); 
\ No newline at end of file
@@ -1,6 +1,33 @@
 const express = require('express');
-const { resolveDispute, getDisputeHistory, healthCheck, getTransactionLogs } = require('../controllers/disputeController');
-const { validateDisputeRequest, createRateLimiter, securityMiddleware } = require('../middleware/validation');
+const {
+  resolveDispute,
+  getDisputeHistory,
+  getDisputeById,
+  getDisputeByTxHash,
+  updateDisputeStatus,
+  getDisputeStatusHistory,
+  healthCheck,
+  getTransactionLogs
+} = require('../controllers/disputeController');
+const { getJobStatus, streamJobEvents } = require('../controllers/jobController');
+const { lookupSignature, getSignatureStats, importSignatures } = require('../controllers/signatureController');
+const { uploadAbi, listAbiVersions, getAbiVersion, deleteAbi } = require('../controllers/abiController');
+const {
+  validateDisputeRequest,
+  validateStatusUpdate,
+  validateDisputeId,
+  validateDisputeTxLookup,
+  validateDisputeHistoryQuery,
+  validateJobId,
+  validateTransactionLogsRequest,
+  validateSignatureImport,
+  validateSignatureLookup,
+  validateAbiUpload,
+  validateAbiParams,
+  requireAdminKey,
+  createRateLimiter,
+  securityMiddleware
+} = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -14,13 +41,37 @@ const rateLimiter = createRateLimiter();
 router.get('/health', rateLimiter, healthCheck);
 
 // Dispute history endpoint
-router.get('/disputes', rateLimiter, getDisputeHistory);
+router.get('/disputes', rateLimiter, validateDisputeHistoryQuery, getDisputeHistory);
+
+// Dispute detail endpoints (served from Redis when cached)
+router.get('/disputes/by-tx/:txHash', rateLimiter, validateDisputeTxLookup, getDisputeByTxHash);
+router.get('/disputes/:id', rateLimiter, validateDisputeId, getDisputeById);
+
+// Dispute lifecycle endpoints (manual transitions require ADMIN_API_KEY)
+router.get('/disputes/:id/status', rateLimiter, validateDisputeId, getDisputeStatusHistory);
+router.patch('/disputes/:id/status', rateLimiter, requireAdminKey, validateStatusUpdate, updateDisputeStatus);
 
 // Main dispute resolution endpoint
 router.post('/resolveDispute', rateLimiter, validateDisputeRequest, resolveDispute);
 
+// Asynchronous resolution job endpoints
+router.get('/jobs/:id', rateLimiter, validateJobId, getJobStatus);
+router.get('/jobs/:id/events', rateLimiter, validateJobId, streamJobEvents);
+
 // Get transaction logs endpoint
-router.post('/getTransactionLogs', rateLimiter, getTransactionLogs);
+router.post('/getTransactionLogs', rateLimiter, validateTransactionLogsRequest, getTransactionLogs);
+
+// Signature database endpoints (imports require ADMIN_API_KEY)
+router.get('/signatures/:hash', rateLimiter, validateSignatureLookup, lookupSignature);
+router.get('/admin/signatures', rateLimiter, requireAdminKey, getSignatureStats);
+router.post('/admin/signatures', rateLimiter, requireAdminKey, validateSignatureImport, importSignatures);
+
+// ABI registry endpoints (uploads and deletes require ADMIN_API_KEY)
+router.get('/abis/:chainId/:address', rateLimiter, validateAbiParams, listAbiVersions);
+router.get('/abis/:chainId/:address/:version', rateLimiter, validateAbiParams, getAbiVersion);
+router.post('/admin/abis', rateLimiter, requireAdminKey, validateAbiUpload, uploadAbi);
+router.delete('/admin/abis/:chainId/:address', rateLimiter, requireAdminKey, validateAbiParams, deleteAbi);
+router.delete('/admin/abis/:chainId/:address/:version', rateLimiter, requireAdminKey, validateAbiParams, deleteAbi);
 
 // 404 handler for undefined routes
 router.use('*', (req, res) => {
@@ -30,10 +81,24 @@ router.use('*', (req, res) => {
     availableEndpoints: [
       'GET /health',
       'GET /disputes',
+      'GET /disputes/:id',
+      'GET /disputes/by-tx/:txHash',
+      'GET /disputes/:id/status',
+      'PATCH /disputes/:id/status',
       'POST /resolveDispute',
-      'POST /getTransactionLogs'
+      'GET /jobs/:id',
+      'GET /jobs/:id/events',
+      'POST /getTransactionLogs',
+      'GET /signatures/:hash',
+      'GET /admin/signatures',
+      'POST /admin/signatures',
+      'GET /abis/:chainId/:address',
+      'GET /abis/:chainId/:address/:version',
+      'POST /admin/abis',
+      'DELETE /admin/abis/:chainId/:address',
+      'DELETE /admin/abis/:chainId/:address/:version'
     ]
   });
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -1,5 +1,6 @@
 const dotenv = require('dotenv');
 const axios = require('axios');
+const { PROVIDER_NAMES, parseProviderNames } = require('../services/aiProviders');
 
 // Load environment variables
 dotenv.config();
@@ -11,7 +12,18 @@ async function checkSetup() {
   console.log('🔍 Checking Environment Setup...\n');
 
   // Check required environment variables
-  const required = ['MONAD_RPC_URL', 'AI_API_URL', 'AI_API_KEY'];
+  const required = ['MONAD_RPC_URL'];
+  const { known: aiProviders, unknown: unknownProviders } = parseProviderNames();
+  if (unknownProviders.length > 0) {
+    console.log(`⚠️  Unknown AI providers in AI_PROVIDERS will be skipped: ${unknownProviders.join(', ')}`);
+    console.log(`   Supported providers: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  if (aiProviders.length === 0) {
+    console.log('❌ AI_PROVIDERS lists no supported provider; AI resolution is unavailable and /health reports the service unhealthy');
+    return false;
+  }
+  if (aiProviders.includes('openai')) required.push('AI_API_URL', 'AI_API_KEY');
+  if (aiProviders.includes('anthropic')) required.push('ANTHROPIC_API_KEY');
   const missing = required.filter(key => !process.env[key]);
 
   if (missing.length > 0) {
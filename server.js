@@ -3,6 +3,8 @@ const express = require('express');
 const logger = require('./config/logger');
 const { connectMongoDB, connectRedis } = require('./config/database');
 const disputeRoutes = require('./routes/disputeRoutes');
+const jobQueue = require('./services/jobQueue');
+const pendingWatcher = require('./services/pendingWatcher');
 
 // Initialize Express app
 const app = express();
@@ -72,6 +74,12 @@ async function startServer() {
       connectRedis()
     ]);
 
+    // Start the in-process job worker and pending transaction watcher unless a dedicated worker runs them
+    if (process.env.JOB_WORKER_ENABLED !== 'false') {
+      jobQueue.start();
+      pendingWatcher.start();
+    }
+
     // Start the server
     app.listen(PORT, () => {
       logger.info(`Blockchain Dispute Resolver API server started on port ${PORT}`);
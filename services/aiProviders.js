@@ -0,0 +1,297 @@
+const axios = require('axios');
+const logger = require('../config/logger');
+const { NON_DELIVERY_PATTERN, detectSentiment } = require('./disputeRules');
+
+const DEFAULT_TIMEOUT = 30000; // 30 seconds
+
+// Names accepted in AI_PROVIDERS
+const PROVIDER_NAMES = ['openai', 'anthropic', 'local', 'mock'];
+
+/**
+ * OpenAI-compatible chat completions (Groq, OpenAI, llama.cpp server, vLLM...)
+ */
+class OpenAICompatibleProvider {
+  constructor({ name = 'openai', apiUrl, apiKey, model, timeout }) {
+    this.name = name;
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Check that the provider has everything it needs to make requests
+   */
+  getConfigErrors() {
+    const errors = [];
+    if (!this.apiUrl) errors.push('AI_API_URL environment variable is required');
+    if (!this.apiKey) errors.push('AI_API_KEY environment variable is required');
+    return errors;
+  }
+
+  async complete({ messages, temperature, maxTokens }) {
+    const response = await axios.post(this.apiUrl, {
+      model: this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      response_format: { type: 'json_object' }
+    }, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeout
+    });
+
+    if (response.data && response.data.choices && response.data.choices[0]) {
+      return response.data.choices[0].message.content;
+    }
+    throw new Error('Invalid response format from AI API');
+  }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider {
+  constructor({ apiUrl, apiKey, model, timeout }) {
+    this.name = 'anthropic';
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  getConfigErrors() {
+    return this.apiKey ? [] : ['ANTHROPIC_API_KEY environment variable is required'];
+  }
+
+  async complete({ messages, temperature, maxTokens }) {
+    // The Messages API takes the system prompt separately from the conversation
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const conversation = messages.filter(message => message.role !== 'system');
+
+    const response = await axios.post(this.apiUrl, {
+      model: this.model,
+      system,
+      messages: conversation,
+      temperature,
+      max_tokens: maxTokens
+    }, {
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01',
+        'Content-Type': 'application/json'
+      },
+      timeout: this.timeout
+    });
+
+    const textBlock = response.data && Array.isArray(response.data.content)
+      ? response.data.content.find(block => block.type === 'text')
+      : null;
+    if (textBlock) {
+      return textBlock.text;
+    }
+    throw new Error('Invalid response format from Anthropic API');
+  }
+}
+
+/**
+ * Local model server: Ollama's /api/chat or an OpenAI-compatible llama.cpp server
+ */
+class LocalProvider {
+  constructor({ apiUrl, model, format, timeout }) {
+    this.name = 'local';
+    this.apiUrl = apiUrl;
+    this.model = model;
+    this.format = format;
+    this.timeout = timeout;
+  }
+
+  getConfigErrors() {
+    return this.apiUrl ? [] : ['LOCAL_AI_URL environment variable is required'];
+  }
+
+  async complete({ messages, temperature, maxTokens }) {
+    if (this.format === 'openai') {
+      const response = await axios.post(this.apiUrl, {
+        model: this.model,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      }, { timeout: this.timeout });
+
+      if (response.data && response.data.choices && response.data.choices[0]) {
+        return response.data.choices[0].message.content;
+      }
+      throw new Error('Invalid response format from local AI server');
+    }
+
+    const response = await axios.post(this.apiUrl, {
+      model: this.model,
+      messages,
+      stream: false,
+      format: 'json',
+      options: {
+        temperature,
+        num_predict: maxTokens
+      }
+    }, { timeout: this.timeout });
+
+    if (response.data && response.data.message) {
+      return response.data.message.content;
+    }
+    throw new Error('Invalid response format from local AI server');
+  }
+}
+
+/**
+ * Deterministic offline provider that derives a verdict from the dispute data (for CI and tests)
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  getConfigErrors() {
+    return [];
+  }
+
+  async complete({ disputeData }) {
+    const {
+      toAddress,
+      disputeDescription = '',
+      parsedLogs = {},
+      transactionStatus
+    } = disputeData || {};
+
+    const recipient = toAddress ? toAddress.toLowerCase() : null;
+    const transfers = parsedLogs.transfers || [];
+    const failures = parsedLogs.failures || [];
+    const partialTransfers = parsedLogs.partialTransfers || [];
+    const received = recipient !== null && transfers.some(transfer => transfer.to && transfer.to.toLowerCase() === recipient);
+    const claimsNonDelivery = NON_DELIVERY_PATTERN.test(disputeDescription);
+
+    const verdict = {
+      analysis: `Mock analysis of a ${transactionStatus || 'unknown'} transaction with ${transfers.length} transfer(s), ${failures.length} failure(s) and ${partialTransfers.length} partial transfer(s).`,
+      verification: received ? 'A transfer to the recipient address was found in the logs.' : 'No transfer to the recipient address was found in the logs.',
+      issues: [],
+      refundRecommendation: 'none',
+      refundAmount: '0',
+      refundReasoning: 'No loss of funds could be established from the on-chain data.',
+      isFakeDispute: false,
+      sentiment: detectSentiment(disputeDescription),
+      steps: ['Review the transaction on the block explorer.'],
+      claims: {
+        recipientReceived: recipient === null ? null : received,
+        amountReceived: null,
+        tokenIds: [],
+        transactionSucceeded: transactionStatus ? transactionStatus === 'success' : null
+      }
+    };
+
+    if (partialTransfers.length > 0) {
+      const missing = partialTransfers.reduce(
+        (total, partial) => total + (BigInt(partial.requested || 0) - BigInt(partial.sent || 0)),
+        0n
+      );
+      verdict.issues.push('Only part of the requested amount was transferred.');
+      verdict.refundRecommendation = 'partial';
+      verdict.refundAmount = missing.toString();
+      verdict.refundReasoning = 'The contract sent less than the requested amount.';
+      verdict.steps = ['Request a refund of the amount that was not transferred.'];
+    } else if (transactionStatus === 'failed' || failures.length > 0) {
+      verdict.issues.push('The transfer failed on-chain, so no tokens left the sender.');
+      verdict.refundReasoning = 'Failed transfers do not move tokens; only gas was spent.';
+      verdict.steps = ['Check the failure reason and resubmit the transaction with valid parameters.'];
+    } else if (received && claimsNonDelivery) {
+      verdict.issues.push('The dispute claims non-delivery but the logs show a transfer to the recipient.');
+      verdict.isFakeDispute = true;
+      verdict.steps = ['Ask the recipient to check their balance for this token contract.'];
+    }
+
+    return JSON.stringify(verdict);
+  }
+}
+
+/**
+ * Build a provider adapter from environment configuration
+ * @param {string} name - openai | anthropic | local | mock
+ */
+const createProvider = (name) => {
+  const timeout = parseInt(process.env.AI_TIMEOUT_MS) || DEFAULT_TIMEOUT;
+
+  switch (name) {
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        apiUrl: process.env.AI_API_URL,
+        apiKey: process.env.AI_API_KEY,
+        model: process.env.AI_MODEL || 'llama3-70b-8192',
+        timeout
+      });
+    case 'anthropic':
+      return new AnthropicProvider({
+        apiUrl: process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages',
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+        timeout
+      });
+    case 'local':
+      return new LocalProvider({
+        apiUrl: process.env.LOCAL_AI_URL || 'http://localhost:11434/api/chat',
+        model: process.env.LOCAL_AI_MODEL || 'llama3',
+        format: process.env.LOCAL_AI_FORMAT || 'ollama',
+        timeout
+      });
+    case 'mock':
+      return new MockProvider();
+    default:
+      throw new Error(`Unknown AI provider: ${name}`);
+  }
+};
+
+/**
+ * Provider names listed in AI_PROVIDERS, split into known and unknown ones
+ * AI_PROVIDERS overrides the default (mock in test, openai elsewhere)
+ */
+const parseProviderNames = (configured = process.env.AI_PROVIDERS || (process.env.NODE_ENV === 'test' ? 'mock' : 'openai')) => {
+  const names = configured
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return {
+    known: names.filter(name => PROVIDER_NAMES.includes(name)),
+    unknown: names.filter(name => !PROVIDER_NAMES.includes(name))
+  };
+};
+
+/**
+ * Ordered provider chain for the current environment
+ * Unknown names are skipped with a warning. The chain is built while modules load, so a chain left
+ * empty is logged rather than thrown; AIService.validateConfig (and so /health) reports it
+ */
+const createProviderChain = (configured) => {
+  const { known, unknown } = parseProviderNames(configured);
+
+  if (unknown.length > 0) {
+    logger.warn(`Skipping unknown AI providers in AI_PROVIDERS: ${unknown.join(', ')} (supported: ${PROVIDER_NAMES.join(', ')})`);
+  }
+  if (known.length === 0) {
+    logger.error(`AI_PROVIDERS lists no supported provider; use one or more of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+
+  return known.map(createProvider);
+};
+
+module.exports = {
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  LocalProvider,
+  MockProvider,
+  PROVIDER_NAMES,
+  createProvider,
+  parseProviderNames,
+  createProviderChain
+};
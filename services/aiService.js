@@ -1,50 +1,103 @@
-const axios = require('axios');
 const logger = require('../config/logger');
+const { VERDICT_TEMPLATE, parseVerdict } = require('./verdictSchema');
+const { PROVIDER_NAMES, createProviderChain } = require('./aiProviders');
+const { formatCall } = require('../utils/calldata');
+
+/**
+ * Prompt line for the decoded transaction input
+ */
+const describeCall = (call) => {
+  if (!call.name) return `Unknown function (selector ${call.selector})`;
+  return `${formatCall(call)} [decoded from ${call.source}${call.exact ? '' : '; calldata has extra trailing bytes'}]`;
+};
+
+const SYSTEM_PROMPT = 'You are an AI expert in blockchain transaction analysis and dispute resolution. You analyze transaction data, logs, and user disputes to provide clear, actionable solutions. You always reply with a single JSON object and nothing else.';
 
 class AIService {
   constructor() {
-    this.apiUrl = process.env.AI_API_URL;
-    this.apiKey = process.env.AI_API_KEY;
+    this.providers = createProviderChain();
+    this.maxAttempts = parseInt(process.env.AI_MAX_ATTEMPTS) || 2;
+    this.temperature = 0.3;
+    this.maxTokens = 1000;
   }
 
   /**
-   * Generate AI response for dispute resolution
+   * Generate a structured, schema-validated verdict for dispute resolution,
+   * falling back through the provider chain when a provider errors or times out
    */
   async resolveDispute(disputeData) {
-    try {
-      const prompt = this.buildPrompt(disputeData);
-      
-      const response = await axios.post(this.apiUrl, {
-        model: 'llama3-70b-8192',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an AI expert in blockchain transaction analysis and dispute resolution. You analyze transaction data, logs, and user disputes to provide clear, actionable solutions.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 1000
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000 // 30 second timeout
+    const prompt = this.buildPrompt(disputeData);
+    const failures = [];
+
+    for (const provider of this.providers) {
+      const configErrors = provider.getConfigErrors();
+      if (configErrors.length > 0) {
+        failures.push(`${provider.name}: ${configErrors.join(', ')}`);
+        continue;
+      }
+
+      try {
+        const verdict = await this.requestVerdict(provider, prompt, disputeData);
+        if (failures.length > 0) {
+          logger.warn(`AI verdict served by fallback provider ${provider.name}`, { failures });
+        }
+        return { ...verdict, provider: provider.name };
+      } catch (error) {
+        const message = error.code === 'ECONNABORTED' ? 'timed out' : error.message;
+        logger.error(`AI provider ${provider.name} failed:`, message);
+        failures.push(`${provider.name}: ${message}`);
+      }
+    }
+
+    logger.error('AI service error: all providers failed', { failures });
+    throw new Error(`AI service failed: ${failures.join('; ') || 'no providers configured'}`);
+  }
+
+  /**
+   * Ask a single provider for a verdict, re-prompting it to repair malformed output
+   */
+  async requestVerdict(provider, prompt, disputeData) {
+    const messages = [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: prompt }
+    ];
+
+    let errors = [];
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const content = await provider.complete({
+        messages,
+        disputeData,
+        temperature: this.temperature,
+        maxTokens: this.maxTokens
       });
+      const result = parseVerdict(content);
 
-      if (response.data && response.data.choices && response.data.choices[0]) {
-        return response.data.choices[0].message.content;
-      } else {
-        throw new Error('Invalid response format from AI API');
+      if (result.verdict) {
+        return result.verdict;
       }
-    } catch (error) {
-      logger.error('AI service error:', error.message);
-      throw new Error(`AI service failed: ${error.message}`);
+
+      errors = result.errors;
+      logger.warn(`AI verdict from ${provider.name} failed validation (attempt ${attempt}/${this.maxAttempts}):`, { errors });
+
+      // Ask the model to repair its own output on the next attempt
+      messages.push(
+        { role: 'assistant', content: content || '' },
+        { role: 'user', content: this.buildRepairPrompt(errors) }
+      );
     }
+
+    throw new Error(`Invalid verdict: ${errors.join('; ')}`);
+  }
+
+  /**
+   * Build follow-up prompt asking the model to fix a malformed verdict
+   */
+  buildRepairPrompt(errors) {
+    return `Your previous reply could not be accepted:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with ONLY a corrected JSON object matching this shape:
+${JSON.stringify(VERDICT_TEMPLATE, null, 2)}`;
   }
 
   /**
@@ -52,76 +105,125 @@ class AIService {
    */
   buildPrompt(disputeData) {
     const {
+      chainName = 'Monad Testnet',
+      nativeSymbol = 'MON',
       txHash,
       contractAddress,
       toAddress,
       disputeDescription,
       parsedLogs,
       contractState,
+      balanceSnapshots,
+      approvalAnalysis,
+      trace,
       transactionStatus,
-      transactionDetails
+      revertReason,
+      transactionDetails,
+      pendingTransaction,
+      finality,
+      nativeTransfer,
+      feeAnalysis,
+      nftMetadata,
+      ruleFindings = [],
+      verificationFeedback = []
     } = disputeData;
 
-    let prompt = `You are an AI resolving blockchain transaction disputes on the Monad Testnet. Analyze the following data and provide a clear, actionable solution:
+    let prompt = `You are an AI resolving blockchain transaction disputes on ${chainName}. Analyze the following data and provide a clear, actionable solution:
 
 TRANSACTION DETAILS:
-- Transaction Hash: ${txHash}
-- Contract Address: ${contractAddress}
-- Recipient Address: ${toAddress}
-- Transaction Status: ${transactionStatus || 'Unknown'}
+- Network: ${chainName} (native currency ${nativeSymbol})
+- Transaction Hash: ${txHash}${pendingTransaction && pendingTransaction.replacement ? `
+- Replaced By: ${pendingTransaction.replacement.hash} (${pendingTransaction.replacement.kind}, same nonce). The disputed transaction was never mined; the data below is for the replacement` : ''}
+- Dispute Type: ${nativeTransfer ? `native ${nativeSymbol} transfer` : 'token transfer'}
+- Contract Address: ${contractAddress || 'None (native transfer)'}
+- Recipient Address: ${toAddress || (nativeTransfer ? nativeTransfer.recipient : 'Not provided')}
+- Transaction Status: ${transactionStatus || 'Unknown'}${finality ? `
+- Finality: ${finality.state} (${finality.confirmations} confirmations${finality.state === 'unsafe' ? '; the block could still be reorganized' : ''})` : ''}${transactionDetails && transactionDetails.decodedInput ? `
+- Function Called: ${describeCall(transactionDetails.decodedInput)}` : ''}${revertReason ? `
+- Revert Reason: ${revertReason.reason || 'Unknown'} (${revertReason.type}${revertReason.name ? `: ${revertReason.signature}` : ''})` : ''}
 
 USER DISPUTE:
 ${disputeDescription}
 
 BLOCKCHAIN DATA:
-- Contract Type: ${parsedLogs.contractType || 'Unknown'}
+- Contract Type: ${parsedLogs.contractType || 'Unknown'}${parsedLogs.proxy ? `
+- Proxy: ${parsedLogs.proxy.type} proxy, implementation ${parsedLogs.proxy.implementation} (at block ${parsedLogs.proxy.blockTag})` : ''}
 - Contract Info: ${JSON.stringify(parsedLogs.contractInfo, null, 2)}
 - Transfer Events: ${JSON.stringify(parsedLogs.transfers, null, 2)}
 - Transfer Failures: ${JSON.stringify(parsedLogs.failures || [], null, 2)}
 - Partial Transfers: ${JSON.stringify(parsedLogs.partialTransfers || [], null, 2)}
+- Internal Native Transfers (${nativeSymbol}, from the call trace): ${trace && trace.available ? JSON.stringify(trace.internalTransfers, null, 2) : 'Tracing not available'}
+- Reverted Internal Calls: ${trace && trace.available ? JSON.stringify(trace.revertedCalls, null, 2) : 'Tracing not available'}
 - Contract State: ${JSON.stringify(contractState, null, 2)}
 
-ANALYSIS REQUIREMENTS:
-1. Verify if ${toAddress} received tokens/NFTs based on the transfer events
-2. Check current balances and ownership status
-3. Identify any discrepancies between user expectations and actual blockchain state
-4. Detect user sentiment (frustration, confusion, etc.)
-5. Determine if full refund, partial refund, or no refund is warranted
-6. Detect fake disputes (e.g., claiming non-delivery when logs show successful transfer)
+${nativeTransfer ? `NATIVE TRANSFER (${nativeSymbol}; value and receivedValue in wei, receivedValue includes value forwarded by contracts):
+${JSON.stringify(nativeTransfer, null, 2)}
 
-Please provide your analysis in the following format:
+` : ''}FEE ANALYSIS (fees per gas and fees in wei; ratios compare the fee paid with the median when the transaction was mined):
+${feeAnalysis ? JSON.stringify(feeAnalysis, null, 2) : 'Not available'}
 
-ANALYSIS:
-[Your detailed analysis of the dispute and blockchain data]
+${nftMetadata ? `NFT METADATA (resolved from each token's tokenURI/uri; "to" is who received the token, "errors" lists invalid or missing fields):
+${JSON.stringify(nftMetadata.tokens.map(({ tokenId, standard, to, uri, metadata, valid, errors }) => ({ tokenId, standard, to, uri, metadata, valid, errors })), null, 2)}
 
-VERIFICATION:
-[What you found regarding token/NFT transfers to the recipient address]
+` : ''}BALANCE CHANGES (before = block ${balanceSnapshots ? balanceSnapshots.blocks.before : '?'}, after = transaction block, current = latest; delta = after - before, changedSince = current - after):
+${balanceSnapshots ? JSON.stringify({ balances: balanceSnapshots.balances, ownership: balanceSnapshots.ownership }, null, 2) : 'Not available'}
 
-ISSUES IDENTIFIED:
-[List any discrepancies or problems found]
+APPROVAL ANALYSIS (spenders that could move the owners' tokens; currentAccess is the live on-chain state):
+${approvalAnalysis ? JSON.stringify({
+  owners: approvalAnalysis.owners,
+  spenders: approvalAnalysis.spenders,
+  movedBySpender: approvalAnalysis.movedBySpender
+}, null, 2) : 'Not available'}
 
-REFUND RECOMMENDATION:
-[Full refund / Partial refund / No refund - with clear reasoning]
-
-SOLUTION:
-[Clear, actionable steps the user should take]
+PRELIMINARY RULE FINDINGS (deterministic checks; explain any disagreement with them):
+${ruleFindings.length > 0 ? JSON.stringify(ruleFindings, null, 2) : 'None'}
+${verificationFeedback.length > 0 ? `
+CORRECTIONS REQUIRED: a previous verdict made these claims, which contradict the on-chain data above. Do not repeat them:
+${JSON.stringify(verificationFeedback, null, 2)}
+` : ''}
+ANALYSIS REQUIREMENTS:
+1. Verify if ${toAddress || (nativeTransfer ? nativeTransfer.recipient : 'the recipient')} received ${nativeTransfer ? `the ${nativeSymbol} based on the native transfer and its native balance delta` : 'tokens/NFTs based on the transfer events'}
+2. Judge receipt by the balance deltas the transaction caused, not by current balances (the recipient may have moved tokens since)
+3. Identify any discrepancies between user expectations and actual blockchain state, including whether the function called matches what the user says they did
+4. Detect user sentiment (frustration, confusion, etc.)
+5. Determine if full refund, partial refund, or no refund is warranted
+6. Detect fake disputes (e.g., claiming non-delivery when logs show successful transfer)
+7. If tokens were moved by an approved spender or operator rather than the owner, name the spender and the approval that allowed it
+8. If the user says they received the wrong NFT, compare the NFT metadata (name, image, attributes) with what they describe
+9. If the dispute is about fees or a failed transaction, explain the fee charged and whether it was out of gas or above the market, using the fee analysis
+10. State your factual claims in the "claims" object; they are checked against the logs and contract state
 
-SENTIMENT:
-[Analysis of user's emotional state and concerns]`;
+Respond with ONLY a JSON object (no markdown, no prose outside the JSON) matching this shape:
+${JSON.stringify(VERDICT_TEMPLATE, null, 2)}`;
 
     return prompt;
   }
 
   /**
-   * Validate AI API configuration
+   * Validate AI provider configuration (at least one provider in the chain must be usable)
    */
   validateConfig() {
-    if (!this.apiUrl) {
-      throw new Error('AI_API_URL environment variable is required');
+    if (this.providers.length === 0) {
+      throw new Error(`AI_PROVIDERS lists no supported provider; use one or more of: ${PROVIDER_NAMES.join(', ')}`);
     }
-    if (!this.apiKey) {
-      throw new Error('AI_API_KEY environment variable is required');
+
+    const errors = [];
+    for (const provider of this.providers) {
+      const configErrors = provider.getConfigErrors();
+      if (configErrors.length === 0) {
+        return;
+      }
+      errors.push(...configErrors);
     }
+
+    throw new Error(errors.join('; ') || 'No AI providers configured (set AI_PROVIDERS)');
+  }
+
+  /**
+   * Names of the configured providers, in fallback order
+   */
+  getProviderNames() {
+    return this.providers.map(provider => provider.name);
   }
 }
 
@@ -0,0 +1,355 @@
+/**
+ * Deterministic rules that pre-judge disputes from parsed logs and contract state.
+ * Clear-cut cases get a verdict without calling the AI; the findings for ambiguous
+ * cases are passed into the AI prompt.
+ */
+
+const NON_DELIVERY_PATTERN = /\b(not|never|didn'?t|did not|haven'?t|have not|hasn'?t|has not)\b.{0,30}\b(receiv|arriv|get|got|show)/i;
+
+/**
+ * Detect a sentiment label from the dispute description
+ * @param {string} text - Dispute description
+ * @returns {string} - One of the verdict sentiment labels
+ */
+const detectSentiment = (text = '') => {
+  if (/scam|fraud|stole|steal|thief|angry|furious|ridiculous|unacceptable/i.test(text)) return 'angry';
+  if (/urgent|asap|worried|scared|panic|help!|please help/i.test(text)) return 'anxious';
+  if (/still|again|already|waiting|frustrat|annoy/i.test(text)) return 'frustrated';
+  if (/confus|don'?t understand|not sure|why|\?/i.test(text)) return 'confused';
+  if (/thank|resolved|works now|all good/i.test(text)) return 'satisfied';
+  return 'neutral';
+};
+
+const toBigInt = (value) => {
+  try {
+    return BigInt(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const sameAddress = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+/**
+ * Transfers emitted by the disputed transaction itself (not the historical scan)
+ */
+const receiptTransfers = (parsedLogs) => (parsedLogs.transfers || []).filter(transfer => transfer.source !== 'historical');
+
+const evidenceRef = (collection, index, item) => ({
+  ref: `parsedLogs.${collection}[${index}]`,
+  logIndex: item.logIndex !== undefined ? item.logIndex : null
+});
+
+/**
+ * Resubmission step for an amount rejected as too high, quoting the limit only when the contract reported it
+ * (e.g. "Amount too high: exceeds 1000")
+ */
+const amountLimitStep = (reason = '') => {
+  const match = reason.match(/\b(?:exceeds|max(?:imum)?|limit(?: of| is)?)\s*:?\s*(\d[\d,._]*)/i);
+  return match
+    ? `Resubmit the transfer with an amount of ${match[1].replace(/[,._]+$/, '')} or less.`
+    : 'Resubmit the transfer with an amount within the per-transfer limit of the contract.';
+};
+
+const RULES = [
+  {
+    id: 'TRANSFER_FAILED_AMOUNT_TOO_HIGH',
+    description: 'A TransferFailed event reports the amount exceeded the contract limit',
+    evaluate: ({ parsedLogs, revertReason }) => {
+      const failures = parsedLogs.failures || [];
+      const index = failures.findIndex(failure => /amount too high/i.test(failure.reason || ''));
+      if (index === -1) {
+        // The TransferFailed event is rolled back when the contract reverts with AmountTooHigh instead
+        if (!revertReason || !/amount too high/i.test(revertReason.reason || '')) return null;
+        return {
+          decisive: true,
+          refundRecommendation: 'none',
+          refundAmount: '0',
+          summary: `The transaction reverted: ${revertReason.reason}. No tokens left the sender.`,
+          issue: 'The requested amount exceeds the per-transfer limit of the contract.',
+          step: amountLimitStep(revertReason.reason),
+          evidence: [{ ref: 'revertReason', logIndex: null }]
+        };
+      }
+
+      const failure = failures[index];
+      return {
+        decisive: true,
+        refundRecommendation: 'none',
+        refundAmount: '0',
+        summary: `Transfer of ${failure.amount} was rejected: ${failure.reason}. No tokens left the sender.`,
+        issue: 'The requested amount exceeds the per-transfer limit of the contract.',
+        step: amountLimitStep(failure.reason),
+        evidence: [evidenceRef('failures', index, failure)]
+      };
+    }
+  },
+  {
+    id: 'TRANSFER_FAILED',
+    description: 'A transfer failure event was emitted for another reason',
+    evaluate: ({ parsedLogs }) => {
+      const failures = parsedLogs.failures || [];
+      const index = failures.findIndex(failure => !/amount too high/i.test(failure.reason || ''));
+      if (index === -1) return null;
+
+      const failure = failures[index];
+      return {
+        decisive: true,
+        refundRecommendation: 'none',
+        refundAmount: '0',
+        summary: `${failure.type} emitted with reason "${failure.reason}". The transfer did not happen.`,
+        issue: `The transfer failed: ${failure.reason}.`,
+        step: 'Fix the reported problem and resubmit the transaction.',
+        evidence: [evidenceRef('failures', index, failure)]
+      };
+    }
+  },
+  {
+    id: 'PARTIAL_TRANSFER_HALF',
+    description: 'A PartialTransfer event shows only half of the requested amount was sent',
+    evaluate: ({ parsedLogs }) => {
+      const partials = parsedLogs.partialTransfers || [];
+      if (partials.length === 0) return null;
+
+      const amounts = partials.map(partial => ({ requested: toBigInt(partial.requested), sent: toBigInt(partial.sent) }));
+      if (amounts.some(amount => amount.requested === null || amount.sent === null)) return null;
+
+      const evidence = partials.map((partial, index) => evidenceRef('partialTransfers', index, partial));
+      const isHalf = amounts.every(amount => amount.sent === amount.requested / 2n);
+      const missing = amounts.reduce((total, amount) => total + (amount.requested - amount.sent), 0n);
+
+      return {
+        decisive: isHalf,
+        refundRecommendation: 'partial',
+        refundAmount: missing.toString(),
+        summary: isHalf
+          ? `The contract sent half of the requested amount; ${missing} was never transferred.`
+          : `The contract sent less than requested in an unexpected ratio; ${missing} was never transferred.`,
+        issue: 'Only part of the requested amount was transferred.',
+        step: `Request a refund of the ${missing} that was not transferred.`,
+        evidence
+      };
+    }
+  },
+  {
+    id: 'TRANSACTION_REVERTED',
+    description: 'The transaction reverted, so no state changes (including transfers) took effect',
+    evaluate: ({ transactionStatus, parsedLogs, revertReason }) => {
+      if (transactionStatus !== 'failed' || receiptTransfers(parsedLogs).length > 0) return null;
+
+      const reason = revertReason && revertReason.reason;
+      const evidence = [{ ref: 'transactionDetails.status', logIndex: null }];
+      if (reason) evidence.push({ ref: 'revertReason', logIndex: null });
+
+      return {
+        decisive: true,
+        refundRecommendation: 'none',
+        refundAmount: '0',
+        summary: `The transaction reverted${reason ? ` (${reason})` : ''}; no tokens were moved and only gas was spent.`,
+        issue: reason ? `The transaction reverted on-chain: ${reason}.` : 'The transaction reverted on-chain.',
+        step: reason ? 'Fix the reported problem and resubmit the transaction.' : 'Check why the transaction reverted and resubmit it with valid parameters.',
+        evidence
+      };
+    }
+  },
+  {
+    id: 'OUT_OF_GAS',
+    description: 'The transaction failed because it ran out of gas',
+    evaluate: ({ transactionStatus, feeAnalysis }) => {
+      if (transactionStatus !== 'failed' || !feeAnalysis || !feeAnalysis.outOfGas.detected) return null;
+
+      return {
+        decisive: true,
+        refundRecommendation: 'none',
+        refundAmount: '0',
+        summary: `The transaction ran out of gas (${feeAnalysis.gasUsed} of its ${feeAnalysis.gasLimit} gas limit used); nothing was transferred and the gas spent is not refunded.`,
+        issue: 'The gas limit was too low for the transaction.',
+        step: 'Resubmit the transaction with a higher gas limit (let the wallet estimate it).',
+        evidence: [{ ref: feeAnalysis.outOfGas.source === 'trace' ? 'trace.revertedCalls' : 'feeAnalysis.gasUsed', logIndex: null }]
+      };
+    }
+  },
+  {
+    id: 'RECIPIENT_RECEIVED_TRANSFER',
+    description: 'A successful transfer to the disputed recipient exists in the transaction logs',
+    evaluate: ({ toAddress, transactionStatus, parsedLogs, disputeDescription }) => {
+      if (!toAddress || transactionStatus !== 'success') return null;
+
+      const transfers = receiptTransfers(parsedLogs);
+      const evidence = transfers
+        .map((transfer, index) => (sameAddress(transfer.to, toAddress) ? evidenceRef('transfers', index, transfer) : null))
+        .filter(Boolean);
+      if (evidence.length === 0) return null;
+
+      const claimsNonDelivery = NON_DELIVERY_PATTERN.test(disputeDescription || '');
+      return {
+        decisive: true,
+        refundRecommendation: 'none',
+        refundAmount: '0',
+        isFakeDispute: claimsNonDelivery,
+        summary: `The logs contain ${evidence.length} transfer(s) to ${toAddress}.`,
+        issue: claimsNonDelivery ? 'The dispute claims non-delivery but the logs show a transfer to the recipient.' : null,
+        step: 'Ask the recipient to check their balance for this token contract.',
+        evidence
+      };
+    }
+  },
+  {
+    id: 'RECIPIENT_MISMATCH',
+    description: 'Transfers exist but none went to the disputed recipient',
+    evaluate: ({ toAddress, parsedLogs }) => {
+      const transfers = receiptTransfers(parsedLogs);
+      if (!toAddress || transfers.length === 0 || transfers.some(transfer => sameAddress(transfer.to, toAddress))) return null;
+
+      return {
+        decisive: false,
+        summary: `The transaction transferred tokens, but not to ${toAddress}.`,
+        issue: 'Tokens were sent to a different address than the disputed recipient.',
+        evidence: transfers.map((transfer, index) => evidenceRef('transfers', index, transfer))
+      };
+    }
+  },
+  {
+    id: 'NATIVE_TRANSFER_RECEIVED',
+    description: 'A successful native value transfer reached the disputed recipient, an externally owned account',
+    evaluate: ({ nativeTransfer, nativeSymbol, disputeDescription }) => {
+      if (!nativeTransfer || !nativeTransfer.succeeded || nativeTransfer.recipientMatches === false) return null;
+      if (nativeTransfer.recipientIsContract !== false || toBigInt(nativeTransfer.value) <= 0n) return null;
+
+      const evidence = [{ ref: 'nativeTransfer.value', logIndex: null }];
+      if (nativeTransfer.recipientBalance) evidence.push({ ref: 'nativeTransfer.recipientBalance', logIndex: null });
+
+      const claimsNonDelivery = NON_DELIVERY_PATTERN.test(disputeDescription || '');
+      return {
+        decisive: true,
+        refundRecommendation: 'none',
+        refundAmount: '0',
+        isFakeDispute: claimsNonDelivery,
+        summary: `The transaction sent ${nativeTransfer.valueFormatted} ${nativeSymbol || nativeTransfer.symbol} to ${nativeTransfer.recipient}.`,
+        issue: claimsNonDelivery ? 'The dispute claims non-delivery but the transaction transferred the value to the recipient.' : null,
+        step: 'Ask the recipient to check their native balance on this network.',
+        evidence
+      };
+    }
+  },
+  {
+    id: 'NATIVE_RECIPIENT_MISMATCH',
+    description: 'The native value was sent to a different address than the disputed recipient',
+    evaluate: ({ nativeTransfer, toAddress }) => {
+      if (!nativeTransfer || nativeTransfer.recipientMatches !== false) return null;
+
+      return {
+        decisive: false,
+        summary: `The transaction sent value to ${nativeTransfer.to || 'a new contract'}, not to ${toAddress}.`,
+        issue: 'The value was sent to a different address than the disputed recipient.',
+        evidence: [{ ref: 'transactionDetails.to', logIndex: null }]
+      };
+    }
+  },
+  {
+    id: 'NATIVE_SENT_TO_NON_PAYABLE_CONTRACT',
+    description: 'The value was sent to a contract that has no receive or payable fallback function',
+    evaluate: ({ nativeTransfer }) => {
+      if (!nativeTransfer || nativeTransfer.payableFallback !== false) return null;
+
+      return {
+        decisive: true,
+        refundRecommendation: 'none',
+        refundAmount: '0',
+        summary: `${nativeTransfer.to} is a contract that does not accept plain value transfers, so the transfer reverted and the value stayed with the sender.`,
+        issue: 'The recipient contract cannot receive native value without a function call.',
+        step: 'Send the value to an externally owned account, or call the contract function meant for deposits.',
+        evidence: [{ ref: 'nativeTransfer.payableFallback', logIndex: null }]
+      };
+    }
+  },
+  {
+    id: 'NO_TRANSFER_EVENTS',
+    description: 'The transaction succeeded but emitted no recognised transfer events',
+    evaluate: ({ transactionStatus, parsedLogs, nativeTransfer }) => {
+      // Native transfers emit no events; their outcome comes from nativeTransfer instead
+      if (nativeTransfer) return null;
+
+      const hasEvents = receiptTransfers(parsedLogs).length > 0 ||
+        (parsedLogs.failures || []).length > 0 ||
+        (parsedLogs.partialTransfers || []).length > 0;
+      if (transactionStatus !== 'success' || hasEvents) return null;
+
+      return {
+        decisive: false,
+        summary: 'No transfer, failure or partial transfer events were recognised in the transaction.',
+        issue: 'The transaction outcome cannot be established from known events.',
+        evidence: [{ ref: 'parsedLogs.unknownEvents', logIndex: null }]
+      };
+    }
+  }
+];
+
+/**
+ * Evaluate all rules against the dispute facts
+ * @param {Object} facts - Dispute data (toAddress, disputeDescription, transactionStatus, revertReason, parsedLogs, contractState,
+ *   nativeTransfer, feeAnalysis)
+ * @returns {{ clearCut: boolean, findings: Object[], verdict: Object|null }}
+ */
+const evaluate = (facts) => {
+  const findings = [];
+
+  for (const rule of RULES) {
+    const result = rule.evaluate({ ...facts, parsedLogs: facts.parsedLogs || {} });
+    if (result) {
+      findings.push({ ruleId: rule.id, description: rule.description, ...result });
+    }
+  }
+
+  const decisive = findings.filter(finding => finding.decisive);
+  const recommendations = new Set(decisive.map(finding => finding.refundRecommendation));
+  const clearCut = decisive.length > 0 && decisive.length === findings.length && recommendations.size === 1;
+
+  return {
+    clearCut,
+    findings,
+    verdict: clearCut ? buildVerdict(decisive, facts) : null
+  };
+};
+
+/**
+ * Build a schema-valid verdict from agreeing decisive findings
+ */
+const buildVerdict = (findings, facts) => {
+  const [primary] = findings;
+  const refundAmount = findings.reduce((total, finding) => total + BigInt(finding.refundAmount || 0), 0n);
+
+  return {
+    analysis: findings.map(finding => finding.summary).join(' '),
+    verification: findings.map(finding => `${finding.ruleId}: ${finding.evidence.map(item => item.ref).join(', ')}`).join('; '),
+    issues: findings.map(finding => finding.issue).filter(Boolean),
+    refundRecommendation: primary.refundRecommendation,
+    refundAmount: refundAmount.toString(),
+    refundReasoning: `Determined by rule(s) ${findings.map(finding => finding.ruleId).join(', ')}.`,
+    isFakeDispute: findings.some(finding => finding.isFakeDispute),
+    sentiment: detectSentiment(facts.disputeDescription),
+    steps: findings.map(finding => finding.step).filter(Boolean),
+    provider: 'rules'
+  };
+};
+
+/**
+ * Strip findings down to what is stored and shown in responses/prompts
+ */
+const summarizeFindings = (findings) => findings.map(({ ruleId, decisive, refundRecommendation, refundAmount, isFakeDispute, summary, evidence }) => ({
+  ruleId,
+  decisive,
+  refundRecommendation: refundRecommendation || null,
+  refundAmount: refundAmount || null,
+  isFakeDispute: Boolean(isFakeDispute),
+  summary,
+  evidence
+}));
+
+module.exports = {
+  NON_DELIVERY_PATTERN,
+  RULES,
+  detectSentiment,
+  evaluate,
+  summarizeFindings
+};
@@ -0,0 +1,563 @@
+const blockchainService = require('../utils/blockchain');
+const aiService = require('./aiService');
+const disputeRules = require('./disputeRules');
+const { formatVerdict } = require('./verdictSchema');
+const { verifyVerdict } = require('./verdictVerifier');
+const jobQueue = require('./jobQueue');
+const Dispute = require('../models/Dispute');
+const logger = require('../config/logger');
+const { DISPUTE_CACHE_TTL, disputeCacheKeys, logsCacheKey } = require('../utils/cacheKeys');
+const { getChain } = require('../config/chains');
+const { PENDING_TRANSACTION_STATES, canTransition } = require('../utils/disputeLifecycle');
+
+const RESOLVE_DISPUTE_JOB = 'resolveDispute';
+
+// Restarts allowed when the transaction's block is reorganized away mid-resolution
+const MAX_REORG_RESTARTS = 2;
+
+class DisputeService {
+  constructor() {
+    // Skip the AI call when the rules reach an unambiguous verdict
+    this.rulesShortCircuit = process.env.RULES_SKIP_AI !== 'false';
+    // Re-prompts allowed when the AI contradicts on-chain data before escalating
+    this.maxVerificationReprompts = parseInt(process.env.AI_VERIFY_REPROMPTS ?? '1', 10);
+  }
+
+  /**
+   * Run the full dispute resolution pipeline
+   * @param {Object} params - txHash, contractAddress, toAddress, disputeDescription, disputeType, chainId and scanRange (optional);
+   *   native transfer disputes may omit contractAddress. The pending transaction watcher also passes disputeId and pendingTransaction to re-evaluate a stored dispute
+   * @param {Function} onProgress - Called with (step, summary) as each step completes
+   * @returns {Object} - Resolution data as returned by /resolveDispute, or a pending dispute if the transaction has not been mined
+   */
+  async resolve(params, onProgress = async () => {}) {
+    const startTime = Date.now();
+    const { txHash, toAddress, disputeDescription } = params;
+    const disputeType = params.disputeType || 'token';
+    const contractAddress = params.contractAddress || null;
+    const chain = getChain(params.chainId);
+    const blockchain = blockchainService.forChain(chain.chainId);
+
+    // Step 1: Get transaction receipt and details
+    let [receipt, transaction] = await Promise.all([
+      blockchain.getTransactionReceipt(txHash),
+      blockchain.getTransaction(txHash)
+    ]);
+
+    // Step 1a: Without a receipt, the transaction is in the mempool, was dropped, or its nonce was used by a replacement
+    let pendingTransaction = params.pendingTransaction || null;
+    let minedTxHash = txHash;
+    if (receipt && pendingTransaction) {
+      pendingTransaction = { ...pendingTransaction, state: 'mined', checkedAt: new Date().toISOString() };
+    } else if (!receipt) {
+      pendingTransaction = await blockchain.getPendingTransactionStatus(txHash, transaction, pendingTransaction);
+      if (!pendingTransaction) {
+        throw new Error('Transaction not found or not yet mined');
+      }
+      await onProgress('pending', {
+        state: pendingTransaction.state,
+        replacement: pendingTransaction.replacement ? pendingTransaction.replacement.hash : null
+      });
+
+      // Resolve against whichever transaction used the nonce; until then the dispute waits for the watcher
+      minedTxHash = pendingTransaction.state === 'mined' ? txHash : pendingTransaction.replacement?.hash;
+      if (!minedTxHash) {
+        return this.savePendingDispute(params, chain, pendingTransaction);
+      }
+      [receipt, transaction] = await Promise.all([
+        blockchain.getTransactionReceipt(minedTxHash),
+        blockchain.getTransaction(minedTxHash)
+      ]);
+      if (!receipt) {
+        return this.savePendingDispute(params, chain, pendingTransaction);
+      }
+    }
+    await onProgress('receipt', {
+      blockNumber: receipt.blockNumber,
+      status: receipt.status
+    });
+
+    // Step 1b: Confirmations and finality of the receipt's block
+    let finality = null;
+    try {
+      finality = await blockchain.getFinality(receipt);
+      await onProgress('finality', {
+        state: finality.state,
+        confirmations: finality.confirmations
+      });
+    } catch (error) {
+      logger.warn('Failed to read transaction finality:', error.message);
+    }
+
+    // Step 2: Parse logs and determine contract type
+    const parsedLogs = await blockchain.parseLogs(receipt.logs, contractAddress, receipt.blockNumber);
+    await onProgress('logs', {
+      contractType: parsedLogs.contractType,
+      transfers: parsedLogs.transfers.length,
+      failures: parsedLogs.failures.length,
+      partialTransfers: parsedLogs.partialTransfers.length
+    });
+
+    // Step 2b: Replay failed transactions to recover the revert reason (events emitted before a revert are rolled back)
+    const revertReason = await blockchain.getRevertReason(transaction, receipt);
+    if (revertReason) {
+      await onProgress('revertReason', {
+        type: revertReason.type,
+        reason: revertReason.reason
+      });
+    }
+
+    // Step 2c: Decode the function the user actually called
+    const decodedInput = await blockchain.decodeCalldata(transaction);
+    if (decodedInput) {
+      await onProgress('calldata', {
+        name: decodedInput.name,
+        source: decodedInput.source
+      });
+    }
+
+    // Step 2d: Trace internal calls for native value moved by contracts (optional, RPC-dependent)
+    const trace = await blockchain.getTransactionTrace(minedTxHash);
+    parsedLogs.internalTransfers = trace.available ? trace.internalTransfers : [];
+    await onProgress('trace', {
+      available: trace.available,
+      internalTransfers: parsedLogs.internalTransfers.length,
+      revertedCalls: trace.available ? trace.revertedCalls.length : 0
+    });
+
+    // Step 2e: Gas and fees: out of gas, fees against the market when it was mined, fee charged
+    let feeAnalysis = null;
+    try {
+      feeAnalysis = await blockchain.getFeeAnalysis(transaction, receipt, trace);
+      await onProgress('fees', {
+        feeCharged: feeAnalysis.feeChargedFormatted,
+        outOfGas: feeAnalysis.outOfGas.detected,
+        flags: feeAnalysis.flags
+      });
+    } catch (error) {
+      logger.warn('Failed to analyze transaction fees:', error.message);
+    }
+
+    // Step 3: Get contract state (balances, ownership); a native transfer without a contract has none
+    const contractState = contractAddress
+      ? await blockchain.getContractState(contractAddress, toAddress || null, parsedLogs)
+      : { balances: {}, ownership: {}, contractInfo: {} };
+    await onProgress('state', {
+      balances: Object.keys(contractState.balances).length,
+      ownership: Object.keys(contractState.ownership).length
+    });
+
+    // Step 3a: What the transaction changed: balances before/after its block and now
+    // (native transfers snapshot the transaction's recipient when no toAddress is given)
+    let balanceSnapshots = null;
+    try {
+      balanceSnapshots = await blockchain.getBalanceSnapshots(contractAddress, {
+        sender: transaction?.from,
+        recipient: toAddress || (disputeType === 'native' ? transaction?.to : null) || null,
+        blockNumber: receipt.blockNumber,
+        parsedLogs
+      });
+    } catch (error) {
+      logger.warn('Failed to read balance snapshots:', error.message);
+    }
+    if (balanceSnapshots) {
+      await onProgress('balanceSnapshots', {
+        rows: balanceSnapshots.balances.length,
+        archiveUnavailable: balanceSnapshots.archiveUnavailable
+      });
+    }
+
+    // Step 3b: Native transfers: recipient, value, and whether a contract recipient accepts value
+    let nativeTransfer = null;
+    if (disputeType === 'native') {
+      nativeTransfer = await blockchain.getNativeTransferAnalysis(transaction, receipt, {
+        toAddress: toAddress || null,
+        trace,
+        balanceSnapshots
+      });
+      await onProgress('nativeTransfer', {
+        value: nativeTransfer.valueFormatted,
+        recipientIsContract: nativeTransfer.recipientIsContract,
+        flags: nativeTransfer.flags
+      });
+    }
+
+    // Step 3c: Approvals that could have let a spender move the owners' tokens
+    const approvalAnalysis = contractAddress
+      ? await blockchain.getApprovalAnalysis(contractAddress, transaction, parsedLogs, receipt.blockNumber)
+      : null;
+    if (approvalAnalysis) {
+      await onProgress('approvals', {
+        approvals: approvalAnalysis.approvals.length,
+        spendersWithAccess: approvalAnalysis.spendersWithAccess.length
+      });
+    }
+
+    // Step 3d: Metadata of the NFTs the transaction moved, to tell which item the recipient got
+    let nftMetadata = null;
+    try {
+      nftMetadata = await blockchain.getNftMetadata(contractAddress, parsedLogs);
+    } catch (error) {
+      logger.warn('Failed to resolve NFT metadata:', error.message);
+    }
+    if (nftMetadata) {
+      await onProgress('nftMetadata', {
+        tokens: nftMetadata.tokens.length,
+        valid: nftMetadata.tokens.filter(token => token.valid).length
+      });
+    }
+
+    // Step 4: Get historical logs if needed, between the disputed parties and around the transaction's block
+    let historicalScan = null;
+    if (parsedLogs.transfers.length === 0 && contractAddress) {
+      const { fromBlock, toBlock, fromTime, toTime } = params.scanRange || {};
+      const { logs: historicalLogs, ...scan } = await blockchain.getHistoricalLogs(contractAddress, {
+        fromBlock,
+        toBlock,
+        fromTime,
+        toTime,
+        around: receipt.blockNumber,
+        from: transaction?.from,
+        to: toAddress
+      });
+      const historicalParsedLogs = await blockchain.parseLogs(historicalLogs, contractAddress, receipt.blockNumber);
+      parsedLogs.transfers.push(...historicalParsedLogs.transfers.map(transfer => ({ ...transfer, source: 'historical' })));
+      historicalScan = { ...scan, logs: historicalLogs.length, transfers: historicalParsedLogs.transfers.length };
+      await onProgress('historicalLogs', historicalScan);
+    }
+
+    // Step 5: Determine transaction status and analyze patterns
+    const transactionStatus = receipt.status === 1 ? 'success' : 'failed';
+    const patternAnalysis = blockchain.analyzeTransactionPattern(transaction, receipt, parsedLogs);
+
+    // Step 6: Prepare data for AI analysis
+    const disputeData = {
+      chainId: chain.chainId,
+      chainName: chain.name,
+      nativeSymbol: chain.nativeSymbol,
+      txHash,
+      disputeType,
+      contractAddress,
+      toAddress: toAddress || null,
+      disputeDescription,
+      parsedLogs,
+      contractState,
+      transactionStatus,
+      revertReason,
+      balanceSnapshots,
+      approvalAnalysis,
+      trace,
+      patternAnalysis,
+      nativeTransfer,
+      feeAnalysis,
+      nftMetadata,
+      finality,
+      pendingTransaction,
+      transactionDetails: {
+        hash: minedTxHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed?.toString(),
+        status: receipt.status,
+        from: transaction?.from,
+        to: transaction?.to,
+        value: transaction?.value?.toString(),
+        decodedInput
+      }
+    };
+
+    // Step 7: Pre-judge with deterministic rules; only ambiguous cases go to the AI
+    const ruleEvaluation = disputeRules.evaluate(disputeData);
+    const ruleFindings = disputeRules.summarizeFindings(ruleEvaluation.findings);
+    await onProgress('rules', {
+      clearCut: ruleEvaluation.clearCut,
+      ruleIds: ruleFindings.map(finding => finding.ruleId)
+    });
+
+    let verdict;
+    if (ruleEvaluation.clearCut && this.rulesShortCircuit) {
+      verdict = ruleEvaluation.verdict;
+    } else {
+      disputeData.ruleFindings = ruleFindings;
+      verdict = await aiService.resolveDispute(disputeData);
+    }
+    await onProgress('ai', {
+      provider: verdict.provider,
+      skipped: verdict.provider === 'rules',
+      refundRecommendation: verdict.refundRecommendation,
+      isFakeDispute: verdict.isFakeDispute
+    });
+
+    // Step 8: Cross-check AI claims against on-chain facts; re-prompt, then escalate
+    let verification = null;
+    if (verdict.provider !== 'rules') {
+      verification = verifyVerdict(verdict, disputeData);
+      let reprompts = 0;
+
+      while (!verification.consistent && reprompts < this.maxVerificationReprompts) {
+        reprompts++;
+        logger.warn('AI verdict contradicts on-chain data, re-prompting', {
+          txHash,
+          contradictions: verification.contradictions.map(contradiction => contradiction.claim)
+        });
+        disputeData.verificationFeedback = verification.contradictions;
+        verdict = await aiService.resolveDispute(disputeData);
+        verification = verifyVerdict(verdict, disputeData);
+      }
+
+      verification.reprompts = reprompts;
+      verification.escalated = !verification.consistent;
+      await onProgress('verification', {
+        consistent: verification.consistent,
+        contradictions: verification.contradictions.length,
+        reprompts
+      });
+    }
+    const aiSolution = formatVerdict(verdict);
+
+    // Step 8b: Make sure the receipt's block is still canonical before the dispute is marked resolved.
+    // A block whose finality cannot be read is not trusted: the dispute is escalated and not cached
+    if (!finality || finality.state !== 'finalized') {
+      try {
+        finality = await blockchain.getFinality(receipt);
+      } catch (error) {
+        logger.warn('Failed to re-check transaction finality:', error.message);
+        finality = {
+          state: 'unverified',
+          confirmations: null,
+          canonical: null,
+          blockNumber: receipt.blockNumber,
+          blockHash: receipt.blockHash,
+          error: error.message
+        };
+      }
+
+      if (finality.canonical === false) {
+        const restarts = (params.reorgRestarts || 0) + 1;
+        logger.warn('Transaction block was reorganized during resolution', { txHash, blockNumber: receipt.blockNumber, restarts });
+        await blockchain.deleteCachedData(
+          disputeCacheKeys.byRequest(txHash, contractAddress, toAddress, chain.chainId),
+          disputeCacheKeys.byTx(txHash, chain.chainId),
+          logsCacheKey(minedTxHash, contractAddress, chain.chainId)
+        );
+        if (restarts > MAX_REORG_RESTARTS) {
+          throw new Error(`Provider error: block ${receipt.blockNumber} of transaction ${txHash} keeps being reorganized`);
+        }
+        await onProgress('reorg', { blockNumber: receipt.blockNumber, restarts });
+        return this.resolve({ ...params, reorgRestarts: restarts }, onProgress);
+      }
+    }
+
+    // Step 9: Prepare response data
+    const data = {
+      chainId: chain.chainId,
+      network: chain.name,
+      txHash,
+      disputeType,
+      contractAddress,
+      toAddress: toAddress || null,
+      transactionStatus,
+      finality,
+      revertReason,
+      aiSolution,
+      verdict,
+      rules: {
+        clearCut: ruleEvaluation.clearCut,
+        findings: ruleFindings
+      },
+      verification,
+      parsedLogs,
+      contractState,
+      balanceSnapshots,
+      approvalAnalysis,
+      trace,
+      historicalScan,
+      nativeTransfer,
+      feeAnalysis,
+      nftMetadata,
+      pendingTransaction,
+      transactionDetails: disputeData.transactionDetails
+    };
+
+    // Step 10: Store in database if MongoDB is available (updating the pending dispute being re-evaluated)
+    try {
+      const dispute = (await this.findPendingDispute(params, chain)) || new Dispute({
+        chainId: chain.chainId,
+        txHash,
+        disputeType,
+        contractAddress,
+        toAddress: toAddress || null,
+        disputeDescription
+      });
+      const moved = this.applyResolution(dispute, {
+        toAddress: dispute.toAddress || (nativeTransfer ? nativeTransfer.recipient : null) || null,
+        aiSolution,
+        verdict,
+        ruleFindings,
+        verification,
+        parsedLogs,
+        contractState,
+        balanceSnapshots,
+        approvalAnalysis,
+        trace,
+        nativeTransfer,
+        feeAnalysis,
+        nftMetadata,
+        transactionStatus,
+        finality,
+        revertReason,
+        pendingTransaction,
+        transactionDetails: disputeData.transactionDetails
+      }, { startTime, escalation: this.escalationReason(verification, finality) });
+      if (!moved) {
+        logger.warn('Dispute status changed during resolution, saving the result without moving it', {
+          txHash,
+          disputeId: dispute._id.toString(),
+          status: dispute.status
+        });
+      }
+      await dispute.save();
+
+      data.disputeId = dispute._id.toString();
+      data.status = dispute.status;
+      logger.info('Dispute saved to database', { txHash, disputeId: data.disputeId });
+    } catch (dbError) {
+      logger.error('Failed to save dispute to database:', dbError.message);
+      // The watcher re-evaluating a stored dispute must not treat an unsaved result as resolved
+      if (params.disputeId) {
+        throw dbError;
+      }
+    }
+
+    // Step 11: Cache results (1 hour) under the request, transaction and dispute id keys
+    const cacheKeys = [
+      disputeCacheKeys.byRequest(txHash, contractAddress, toAddress, chain.chainId),
+      disputeCacheKeys.byTx(txHash, chain.chainId)
+    ];
+    if (data.disputeId) {
+      cacheKeys.push(disputeCacheKeys.byId(data.disputeId));
+    }
+    if (finality.state !== 'unverified') {
+      await Promise.all(cacheKeys.map(key => blockchain.cacheData(key, data, DISPUTE_CACHE_TTL)));
+    }
+
+    logger.info('Dispute resolution completed', {
+      txHash,
+      processingTime: `${Date.now() - startTime}ms`
+    });
+
+    return data;
+  }
+
+  /**
+   * Why a resolution needs manual review instead of being marked resolved, or null
+   */
+  escalationReason(verification, finality) {
+    if (verification && verification.escalated) {
+      return 'AI verdict contradicts on-chain data';
+    }
+    if (finality && finality.state === 'unverified') {
+      return 'Transaction block could not be checked against the canonical chain';
+    }
+    return null;
+  }
+
+  /**
+   * Write a resolution onto a dispute and move it through analyzing to resolved, or to escalated
+   * with the given reason. A dispute whose status was changed meanwhile, e.g. closed by an admin, keeps that status
+   * @returns {boolean} - True if the dispute's status was moved
+   */
+  applyResolution(dispute, fields, { startTime = Date.now(), escalation = null } = {}) {
+    dispute.set(fields);
+    if (!canTransition(dispute.status, 'analyzing')) {
+      return false;
+    }
+
+    dispute.transitionTo('analyzing', { at: new Date(startTime) });
+    if (escalation) {
+      dispute.transitionTo('escalated', { reason: escalation });
+    } else {
+      dispute.transitionTo('resolved', { reason: 'AI resolution completed' });
+    }
+    return true;
+  }
+
+  /**
+   * The pending dispute a resolution should update: the one being re-evaluated, or an open one for the
+   * same request, so resubmitting a stuck transaction does not create duplicates
+   */
+  async findPendingDispute(params, chain) {
+    if (Dispute.db.readyState !== 1) {
+      return null;
+    }
+    if (params.disputeId) {
+      return Dispute.findById(params.disputeId);
+    }
+    return Dispute.findOne({
+      chainId: chain.chainId,
+      txHash: params.txHash,
+      contractAddress: params.contractAddress || null,
+      toAddress: params.toAddress || null,
+      status: 'open',
+      transactionStatus: { $in: PENDING_TRANSACTION_STATES }
+    });
+  }
+
+  /**
+   * Save (or update) the open dispute for a transaction that has no receipt yet, for the watcher to pick up
+   * @returns {Object} - Pending dispute data; watching is false when MongoDB is unavailable
+   */
+  async savePendingDispute(params, chain, pendingTransaction) {
+    const { txHash, toAddress, disputeDescription } = params;
+    const disputeType = params.disputeType || 'token';
+    const contractAddress = params.contractAddress || null;
+    const data = {
+      chainId: chain.chainId,
+      network: chain.name,
+      txHash,
+      disputeType,
+      contractAddress,
+      toAddress: toAddress || null,
+      transactionStatus: pendingTransaction.state,
+      pendingTransaction,
+      aiSolution: null,
+      verdict: null
+    };
+
+    try {
+      const dispute = (await this.findPendingDispute(params, chain)) || new Dispute({
+        chainId: chain.chainId,
+        txHash,
+        disputeType,
+        contractAddress,
+        toAddress: toAddress || null,
+        disputeDescription
+      });
+      dispute.transactionStatus = pendingTransaction.state;
+      dispute.pendingTransaction = pendingTransaction;
+      await dispute.save();
+
+      data.disputeId = dispute._id.toString();
+      data.status = dispute.status;
+      logger.info('Pending dispute saved to database', { txHash, state: pendingTransaction.state, disputeId: data.disputeId });
+    } catch (dbError) {
+      logger.warn('Failed to save pending dispute to database:', dbError.message);
+    }
+
+    data.watching = Boolean(data.disputeId);
+    return data;
+  }
+
+  /**
+   * Queue a dispute resolution to run on the job worker
+   */
+  async enqueueResolution(params) {
+    return jobQueue.enqueue(RESOLVE_DISPUTE_JOB, params);
+  }
+}
+
+const disputeService = new DisputeService();
+
+// Job worker entry point for asynchronous resolutions
+jobQueue.registerHandler(RESOLVE_DISPUTE_JOB, (payload, onProgress) => disputeService.resolve(payload, onProgress));
+
+module.exports = disputeService;
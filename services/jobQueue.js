@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const { getRedisClient } = require('../config/database');
+
+const QUEUE_KEY = 'jobs:queue';
+// Jobs taken by a worker stay here until they finish, so a crashed worker's jobs can be recovered
+const PROCESSING_KEY = 'jobs:processing';
+// Statuses a job never leaves; such a job left in the processing list was only not acknowledged
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+class JobQueue {
+  constructor() {
+    this.handlers = {};
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+    this.jobTtl = parseInt(process.env.JOB_TTL_SECONDS) || 86400; // 24 hours
+    // A running job not updated for this long is taken to belong to a crashed worker
+    this.visibilityTimeout = parseInt(process.env.JOB_VISIBILITY_TIMEOUT_MS) || 15 * 60 * 1000;
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 2;
+    this.timer = null;
+    this.recoveryTimer = null;
+    this.running = false;
+
+    // In-memory fallback used when Redis is not configured
+    this.memoryJobs = new Map();
+    this.memoryQueue = [];
+  }
+
+  /**
+   * Redis client is resolved lazily since connectRedis runs after services load
+   */
+  get redisClient() {
+    return getRedisClient();
+  }
+
+  /**
+   * Register the function that processes jobs of a given type
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Create a job and push it onto the queue
+   */
+  async enqueue(type, payload) {
+    if (!this.handlers[type]) {
+      throw new Error(`No job handler registered for ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      payload,
+      steps: [],
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.saveJob(job);
+
+    if (this.redisClient) {
+      await this.redisClient.rPush(QUEUE_KEY, job.id);
+    } else {
+      this.memoryQueue.push(job.id);
+    }
+
+    logger.info('Job queued', { jobId: job.id, type });
+    return job;
+  }
+
+  /**
+   * Get a job by id
+   */
+  async getJob(id) {
+    if (!this.redisClient) {
+      this.pruneMemoryJobs();
+      return this.memoryJobs.get(id) || null;
+    }
+
+    try {
+      const data = await this.redisClient.get(`job:${id}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error('Failed to get job:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a job record
+   */
+  async saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+
+    if (!this.redisClient) {
+      this.pruneMemoryJobs();
+      this.memoryJobs.set(job.id, job);
+      return;
+    }
+
+    await this.redisClient.setEx(`job:${job.id}`, this.jobTtl, JSON.stringify(job));
+  }
+
+  /**
+   * Drop in-memory jobs not updated within jobTtl, as Redis expires them
+   */
+  pruneMemoryJobs() {
+    const expiredBefore = Date.now() - this.jobTtl * 1000;
+    for (const [id, job] of this.memoryJobs) {
+      if (new Date(job.updatedAt).getTime() < expiredBefore) {
+        this.memoryJobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Take the next job id off the queue; with Redis it moves to the processing list until acknowledged
+   */
+  async dequeue() {
+    if (!this.redisClient) {
+      return this.memoryQueue.shift() || null;
+    }
+
+    return this.redisClient.lMove(QUEUE_KEY, PROCESSING_KEY, 'LEFT', 'RIGHT');
+  }
+
+  /**
+   * Remove a finished job from the processing list
+   */
+  async acknowledge(jobId) {
+    if (!this.redisClient) return;
+    await this.redisClient.lRem(PROCESSING_KEY, 1, jobId);
+  }
+
+  /**
+   * Requeue jobs whose worker stopped while running them (no update within visibilityTimeout),
+   * or fail them once they have used up JOB_MAX_ATTEMPTS. Finished jobs whose worker stopped
+   * before acknowledging them are only removed from the processing list, never run again.
+   */
+  async recoverStalledJobs() {
+    if (!this.redisClient) return;
+
+    try {
+      const jobIds = await this.redisClient.lRange(PROCESSING_KEY, 0, -1);
+      for (const jobId of jobIds) {
+        const job = await this.getJob(jobId);
+        if (job && FINISHED_STATUSES.includes(job.status)) {
+          await this.acknowledge(jobId);
+          continue;
+        }
+
+        const stalled = !job || Date.now() - new Date(job.updatedAt).getTime() > this.visibilityTimeout;
+        if (!stalled) continue;
+
+        // Whoever removes the entry owns the recovery, so two workers never requeue the same job
+        const removed = await this.redisClient.lRem(PROCESSING_KEY, 1, jobId);
+        if (removed === 0 || !job) continue;
+
+        if ((job.attempts || 0) >= this.maxAttempts) {
+          job.status = 'failed';
+          job.error = `Worker stopped while running the job (${job.attempts} attempt(s))`;
+          job.finishedAt = new Date().toISOString();
+          await this.saveJob(job);
+          logger.error('Stalled job failed', { jobId, attempts: job.attempts });
+        } else {
+          job.status = 'queued';
+          await this.saveJob(job);
+          await this.redisClient.rPush(QUEUE_KEY, jobId);
+          logger.warn('Stalled job requeued', { jobId, attempts: job.attempts || 0 });
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to recover stalled jobs:', error.message);
+    }
+  }
+
+  /**
+   * Run a single job through its handler, recording each completed step
+   */
+  async runJob(job) {
+    const handler = this.handlers[job.type];
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.attempts = (job.attempts || 0) + 1;
+    await this.saveJob(job);
+
+    const onProgress = async (step, summary = {}) => {
+      // Steps of a requeued job are appended again, numbered by the run they belong to
+      job.steps.push({
+        name: step,
+        summary,
+        attempt: job.attempts,
+        completedAt: new Date().toISOString()
+      });
+      await this.saveJob(job);
+    };
+
+    try {
+      if (!handler) {
+        throw new Error(`No job handler registered for ${job.type}`);
+      }
+
+      job.result = await handler(job.payload, onProgress);
+      job.status = 'completed';
+      logger.info('Job completed', { jobId: job.id, type: job.type });
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      logger.error('Job failed', { jobId: job.id, type: job.type, error: error.message });
+    }
+
+    job.finishedAt = new Date().toISOString();
+    await this.saveJob(job);
+    return job;
+  }
+
+  /**
+   * Process queued jobs until the queue is empty
+   */
+  async processQueue() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      let jobId = await this.dequeue();
+      while (jobId) {
+        const job = await this.getJob(jobId);
+        if (job) {
+          await this.runJob(job);
+        } else {
+          logger.warn('Queued job expired before processing', { jobId });
+        }
+        await this.acknowledge(jobId);
+        jobId = await this.dequeue();
+      }
+    } catch (error) {
+      logger.error('Job queue processing error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (this.timer) return;
+
+    // Jobs left running by a worker that crashed are picked up at startup and then periodically
+    this.recoverStalledJobs();
+    this.recoveryTimer = setInterval(() => this.recoverStalledJobs(), Math.max(this.visibilityTimeout / 2, this.pollInterval));
+    this.timer = setInterval(() => this.processQueue(), this.pollInterval);
+    logger.info(`Job worker started (polling every ${this.pollInterval}ms)`);
+  }
+
+  /**
+   * Stop polling the queue
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.recoveryTimer) {
+      clearInterval(this.recoveryTimer);
+      this.recoveryTimer = null;
+    }
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,115 @@
+const disputeService = require('./disputeService');
+const Dispute = require('../models/Dispute');
+const logger = require('../config/logger');
+const { PENDING_TRANSACTION_STATES } = require('../utils/disputeLifecycle');
+
+/**
+ * Re-evaluates open disputes whose transaction had no receipt (pending, dropped or replaced).
+ * Each check re-runs the resolution, which completes the dispute once the transaction or its
+ * replacement is mined; disputes still unresolved after PENDING_WATCH_MAX_AGE_HOURS are closed.
+ */
+class PendingTransactionWatcher {
+  constructor() {
+    this.pollInterval = parseInt(process.env.PENDING_WATCH_INTERVAL_MS) || 30000;
+    this.maxAgeMs = (parseFloat(process.env.PENDING_WATCH_MAX_AGE_HOURS) || 24) * 3600 * 1000;
+    this.batchSize = parseInt(process.env.PENDING_WATCH_BATCH_SIZE) || 20;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Check every pending dispute that has not been checked within the poll interval
+   */
+  async checkPending() {
+    if (this.running || Dispute.db.readyState !== 1) return;
+    this.running = true;
+
+    try {
+      const checkedBefore = new Date(Date.now() - this.pollInterval).toISOString();
+      const disputes = await Dispute.find({
+        status: 'open',
+        transactionStatus: { $in: PENDING_TRANSACTION_STATES },
+        'pendingTransaction.checkedAt': { $lt: checkedBefore }
+      })
+        .sort({ 'pendingTransaction.checkedAt': 1 })
+        .limit(this.batchSize);
+
+      for (const dispute of disputes) {
+        await this.checkDispute(dispute);
+      }
+    } catch (error) {
+      logger.error('Pending transaction watcher error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Re-evaluate one pending dispute, or close it once it has waited too long
+   */
+  async checkDispute(dispute) {
+    // Claim the dispute so another API server or worker does not check it at the same time
+    const checkedAt = dispute.pendingTransaction.checkedAt;
+    const claimed = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: 'open', 'pendingTransaction.checkedAt': checkedAt },
+      { $set: { 'pendingTransaction.checkedAt': new Date().toISOString() } },
+      { new: true }
+    );
+    if (!claimed) return;
+
+    const firstSeenAt = new Date(claimed.pendingTransaction.firstSeenAt || claimed.createdAt).getTime();
+    if (Date.now() - firstSeenAt > this.maxAgeMs) {
+      claimed.transitionTo('closed', {
+        reason: `Transaction still ${claimed.transactionStatus} after ${Math.round(this.maxAgeMs / 3600000)} hours`
+      });
+      await claimed.save();
+      logger.info('Closed pending dispute', { disputeId: claimed._id.toString(), state: claimed.transactionStatus });
+      return;
+    }
+
+    try {
+      const data = await disputeService.resolve({
+        txHash: claimed.txHash,
+        disputeType: claimed.disputeType,
+        contractAddress: claimed.contractAddress,
+        toAddress: claimed.toAddress,
+        disputeDescription: claimed.disputeDescription,
+        chainId: claimed.chainId,
+        disputeId: claimed._id.toString(),
+        pendingTransaction: claimed.pendingTransaction
+      });
+
+      if (!PENDING_TRANSACTION_STATES.includes(data.transactionStatus)) {
+        logger.info('Pending dispute resolved', {
+          disputeId: claimed._id.toString(),
+          txHash: claimed.txHash,
+          replacement: data.pendingTransaction?.replacement?.hash || null
+        });
+      }
+    } catch (error) {
+      logger.warn(`Failed to re-evaluate pending dispute ${claimed._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Start polling for pending disputes
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.checkPending(), this.pollInterval);
+    logger.info(`Pending transaction watcher started (polling every ${this.pollInterval}ms)`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new PendingTransactionWatcher();
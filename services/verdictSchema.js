@@ -0,0 +1,264 @@
+const REFUND_RECOMMENDATIONS = ['full', 'partial', 'none'];
+const SENTIMENT_LABELS = ['neutral', 'confused', 'frustrated', 'angry', 'anxious', 'satisfied'];
+
+/**
+ * JSON shape the AI is asked to return (embedded in the prompt)
+ */
+const VERDICT_TEMPLATE = {
+  analysis: 'string - detailed analysis of the dispute and blockchain data',
+  verification: 'string - what was found regarding token/NFT transfers to the recipient',
+  issues: ['string - each discrepancy or problem found'],
+  refundRecommendation: `one of: ${REFUND_RECOMMENDATIONS.join(' | ')}`,
+  refundAmount: 'string - amount to refund in token base units, "0" for none, null if unknown',
+  refundReasoning: 'string - why this refund recommendation was made',
+  isFakeDispute: 'boolean - true if the claim contradicts the on-chain data',
+  sentiment: `one of: ${SENTIMENT_LABELS.join(' | ')}`,
+  steps: ['string - each clear, actionable step the user should take'],
+  claims: {
+    recipientReceived: 'boolean or null - whether the recipient received the tokens/NFTs in this transaction',
+    amountReceived: 'string or null - total amount the recipient received, in token base units',
+    tokenIds: ['string - token ids the recipient received'],
+    transactionSucceeded: 'boolean or null - whether the transaction succeeded on-chain'
+  }
+};
+
+const REFUND_ALIASES = {
+  'full refund': 'full',
+  'partial refund': 'partial',
+  'no refund': 'none',
+  no: 'none'
+};
+
+/**
+ * Extract a JSON object from a model reply (handles code fences and surrounding prose)
+ * @param {string} text - Raw model output
+ * @returns {Object|null} - Parsed object or null if no JSON object was found
+ */
+const extractJSON = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const candidates = [text.trim()];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Coerce common near-misses (casing, stringified booleans, single strings) into the schema types
+ * @param {Object} raw - Parsed model output
+ * @returns {Object} - Repaired copy
+ */
+const repairVerdict = (raw) => {
+  const verdict = { ...raw };
+
+  if (typeof verdict.refundRecommendation === 'string') {
+    const value = verdict.refundRecommendation.trim().toLowerCase();
+    verdict.refundRecommendation = REFUND_ALIASES[value] || value;
+  }
+
+  if (typeof verdict.refundAmount === 'number' && Number.isFinite(verdict.refundAmount)) {
+    verdict.refundAmount = Number.isInteger(verdict.refundAmount)
+      ? BigInt(verdict.refundAmount).toString()
+      : String(verdict.refundAmount);
+  } else if (verdict.refundAmount === '' || verdict.refundAmount === undefined) {
+    verdict.refundAmount = verdict.refundRecommendation === 'none' ? '0' : null;
+  } else if (typeof verdict.refundAmount === 'string') {
+    verdict.refundAmount = verdict.refundAmount.trim();
+  }
+
+  if (typeof verdict.isFakeDispute === 'string') {
+    const value = verdict.isFakeDispute.trim().toLowerCase();
+    if (value === 'true' || value === 'yes') verdict.isFakeDispute = true;
+    if (value === 'false' || value === 'no') verdict.isFakeDispute = false;
+  }
+
+  if (typeof verdict.sentiment === 'string') {
+    verdict.sentiment = verdict.sentiment.trim().toLowerCase();
+  }
+
+  for (const field of ['issues', 'steps']) {
+    if (typeof verdict[field] === 'string') {
+      verdict[field] = verdict[field].trim() ? [verdict[field].trim()] : [];
+    }
+    if (Array.isArray(verdict[field])) {
+      verdict[field] = verdict[field]
+        .filter(item => item !== null && item !== undefined && item !== '')
+        .map(item => (typeof item === 'string' ? item : JSON.stringify(item)));
+    }
+  }
+
+  if (verdict.claims && typeof verdict.claims === 'object') {
+    const claims = { ...verdict.claims };
+    for (const field of ['recipientReceived', 'transactionSucceeded']) {
+      if (typeof claims[field] === 'string') {
+        const value = claims[field].trim().toLowerCase();
+        claims[field] = value === 'true' ? true : value === 'false' ? false : null;
+      }
+      if (claims[field] === undefined) claims[field] = null;
+    }
+    if (typeof claims.amountReceived === 'number' && Number.isFinite(claims.amountReceived)) {
+      claims.amountReceived = String(claims.amountReceived);
+    }
+    if (claims.amountReceived === undefined || claims.amountReceived === '') claims.amountReceived = null;
+    if (!Array.isArray(claims.tokenIds)) {
+      claims.tokenIds = claims.tokenIds === undefined || claims.tokenIds === null ? [] : [claims.tokenIds];
+    }
+    claims.tokenIds = claims.tokenIds.map(tokenId => String(tokenId));
+    verdict.claims = claims;
+  }
+
+  return verdict;
+};
+
+/**
+ * Validate a verdict against the schema
+ * @param {Object} verdict - Candidate verdict
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+const validateVerdict = (verdict) => {
+  const errors = [];
+
+  if (!verdict || typeof verdict !== 'object') {
+    return ['Verdict must be a JSON object'];
+  }
+
+  for (const field of ['analysis', 'verification', 'refundReasoning']) {
+    if (typeof verdict[field] !== 'string' || !verdict[field].trim()) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+
+  if (!REFUND_RECOMMENDATIONS.includes(verdict.refundRecommendation)) {
+    errors.push(`refundRecommendation must be one of: ${REFUND_RECOMMENDATIONS.join(', ')}`);
+  }
+
+  if (verdict.refundAmount !== null && !(typeof verdict.refundAmount === 'string' && /^\d+(\.\d+)?$/.test(verdict.refundAmount))) {
+    errors.push('refundAmount must be a non-negative decimal string or null');
+  }
+
+  if (typeof verdict.isFakeDispute !== 'boolean') {
+    errors.push('isFakeDispute must be a boolean');
+  }
+
+  if (!SENTIMENT_LABELS.includes(verdict.sentiment)) {
+    errors.push(`sentiment must be one of: ${SENTIMENT_LABELS.join(', ')}`);
+  }
+
+  for (const field of ['issues', 'steps']) {
+    if (!Array.isArray(verdict[field])) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  }
+
+  if (Array.isArray(verdict.steps) && verdict.steps.length === 0) {
+    errors.push('steps must contain at least one step');
+  }
+
+  // claims are optional, but must be well-typed when present
+  if (verdict.claims !== undefined && verdict.claims !== null) {
+    const { claims } = verdict;
+    if (typeof claims !== 'object' || Array.isArray(claims)) {
+      errors.push('claims must be an object');
+    } else {
+      for (const field of ['recipientReceived', 'transactionSucceeded']) {
+        if (claims[field] !== null && typeof claims[field] !== 'boolean') {
+          errors.push(`claims.${field} must be a boolean or null`);
+        }
+      }
+      if (claims.amountReceived !== null && !(typeof claims.amountReceived === 'string' && /^\d+(\.\d+)?$/.test(claims.amountReceived))) {
+        errors.push('claims.amountReceived must be a non-negative decimal string or null');
+      }
+      if (!Array.isArray(claims.tokenIds)) {
+        errors.push('claims.tokenIds must be an array of strings');
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Parse, repair and validate a raw model reply
+ * @param {string} text - Raw model output
+ * @returns {{ verdict: Object|null, errors: string[] }}
+ */
+const parseVerdict = (text) => {
+  const raw = extractJSON(text);
+  if (!raw) {
+    return { verdict: null, errors: ['Response is not a valid JSON object'] };
+  }
+
+  const repaired = repairVerdict(raw);
+  const errors = validateVerdict(repaired);
+  if (errors.length > 0) {
+    return { verdict: null, errors };
+  }
+
+  return {
+    verdict: {
+      analysis: repaired.analysis.trim(),
+      verification: repaired.verification.trim(),
+      issues: repaired.issues,
+      refundRecommendation: repaired.refundRecommendation,
+      refundAmount: repaired.refundAmount,
+      refundReasoning: repaired.refundReasoning.trim(),
+      isFakeDispute: repaired.isFakeDispute,
+      sentiment: repaired.sentiment,
+      steps: repaired.steps,
+      claims: repaired.claims || null
+    },
+    errors: []
+  };
+};
+
+/**
+ * Render a verdict as the human-readable aiSolution text
+ * @param {Object} verdict - Validated verdict
+ * @returns {string} - Sectioned prose
+ */
+const formatVerdict = (verdict) => {
+  const list = (items) => (items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '- None');
+  const refundLabel = {
+    full: 'Full refund',
+    partial: 'Partial refund',
+    none: 'No refund'
+  }[verdict.refundRecommendation];
+  const amount = verdict.refundAmount && verdict.refundAmount !== '0' ? ` (${verdict.refundAmount})` : '';
+
+  return [
+    `ANALYSIS:\n${verdict.analysis}`,
+    `VERIFICATION:\n${verdict.verification}`,
+    `ISSUES IDENTIFIED:\n${list(verdict.issues)}`,
+    `REFUND RECOMMENDATION:\n${refundLabel}${amount} - ${verdict.refundReasoning}`,
+    `SOLUTION:\n${verdict.steps.map((step, index) => `${index + 1}. ${step}`).join('\n')}`,
+    `SENTIMENT:\n${verdict.sentiment}${verdict.isFakeDispute ? ' (claim contradicts on-chain data)' : ''}`
+  ].join('\n\n');
+};
+
+module.exports = {
+  REFUND_RECOMMENDATIONS,
+  SENTIMENT_LABELS,
+  VERDICT_TEMPLATE,
+  extractJSON,
+  repairVerdict,
+  validateVerdict,
+  parseVerdict,
+  formatVerdict
+};
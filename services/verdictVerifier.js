@@ -0,0 +1,191 @@
+/**
+ * Cross-checks the claims in an AI verdict against on-chain facts
+ * (parsed logs, balance deltas at the transaction's block, contract balances, token ownership right
+ * after the transaction and, for native transfer disputes, the value the recipient received).
+ * Only the structured claims object is checked: the prose restates the user's own claims too often to be read as the verdict's.
+ */
+
+const sameAddress = (a, b) => Boolean(a && b && a.toLowerCase() === b.toLowerCase());
+
+const toBigInt = (value) => {
+  try {
+    return BigInt(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Derive the facts a verdict can be checked against
+ */
+const collectFacts = ({ toAddress, transactionStatus, parsedLogs = {}, contractState = {}, balanceSnapshots = null, nativeTransfer = null }) => {
+  const recipient = toAddress || (nativeTransfer && nativeTransfer.recipient);
+  const transfers = (parsedLogs.transfers || []).filter(transfer => transfer.source !== 'historical');
+  const partials = parsedLogs.partialTransfers || [];
+
+  const toRecipient = transfers
+    .map((transfer, index) => ({ transfer, ref: `parsedLogs.transfers[${index}]` }))
+    .filter(({ transfer }) => sameAddress(transfer.to, recipient));
+  const partialsToRecipient = partials
+    .map((partial, index) => ({ partial, ref: `parsedLogs.partialTransfers[${index}]` }))
+    .filter(({ partial }) => sameAddress(partial.to, recipient));
+
+  let amountReceived = 0n;
+  let amountKnown = true;
+  for (const { transfer } of toRecipient) {
+    if (transfer.tokenId !== undefined && transfer.amount === undefined && transfer.value === undefined) continue;
+    const amount = toBigInt(transfer.value ?? transfer.amount);
+    if (amount === null) amountKnown = false;
+    else amountReceived += amount;
+  }
+  for (const { partial } of partialsToRecipient) {
+    const sent = toBigInt(partial.sent);
+    if (sent === null) amountKnown = false;
+    else amountReceived += sent;
+  }
+
+  // Native value the recipient got, directly or forwarded by contracts
+  const nativeReceived = nativeTransfer ? toBigInt(nativeTransfer.receivedValue) : null;
+  if (nativeReceived > 0n) amountReceived += nativeReceived;
+
+  const balanceKey = Object.keys(contractState.balances || {}).find(address => sameAddress(address, recipient));
+
+  // Owner of each token right after the transaction; the current owner may have moved it since
+  const ownership = {};
+  for (const row of (balanceSnapshots && balanceSnapshots.ownership) || []) {
+    if (row.after) ownership[String(row.tokenId)] = row.after;
+  }
+
+  // Balance change the transaction caused for the recipient: native for native transfers,
+  // otherwise the token (summed over token ids for ERC-1155)
+  const deltaRows = balanceSnapshots
+    ? balanceSnapshots.balances.filter(row => sameAddress(row.address, recipient) && (row.asset === 'native') === Boolean(nativeTransfer))
+    : [];
+  const recipientDelta = deltaRows.length > 0 && deltaRows.every(row => row.delta !== null)
+    ? deltaRows.reduce((total, row) => total + BigInt(row.delta), 0n).toString()
+    : null;
+
+  return {
+    received: toRecipient.length > 0 || partialsToRecipient.some(({ partial }) => toBigInt(partial.sent) > 0n) || nativeReceived > 0n,
+    receivedEvidence: [
+      ...toRecipient.map(({ ref }) => ref),
+      ...partialsToRecipient.map(({ ref }) => ref),
+      ...(nativeReceived > 0n ? ['nativeTransfer.receivedValue'] : [])
+    ],
+    amountReceived: amountKnown ? amountReceived.toString() : null,
+    tokenIds: toRecipient.filter(({ transfer }) => transfer.tokenId !== undefined).map(({ transfer }) => String(transfer.tokenId)),
+    ownership,
+    recipientBalance: balanceKey ? contractState.balances[balanceKey] : null,
+    recipientDelta,
+    succeeded: transactionStatus === 'success' ? true : transactionStatus === 'failed' ? false : null
+  };
+};
+
+/**
+ * Read the claims from the structured verdict; claims it leaves out are not checked
+ */
+const extractClaims = (verdict) => {
+  const claims = verdict.claims || {};
+
+  return {
+    recipientReceived: typeof claims.recipientReceived === 'boolean' ? claims.recipientReceived : null,
+    amountReceived: claims.amountReceived ?? null,
+    tokenIds: (claims.tokenIds || []).map(String),
+    transactionSucceeded: typeof claims.transactionSucceeded === 'boolean' ? claims.transactionSucceeded : null
+  };
+};
+
+/**
+ * Compare a verdict's claims with the on-chain facts
+ * @param {Object} verdict - Validated verdict
+ * @param {Object} disputeData - toAddress, transactionStatus, parsedLogs, contractState, balanceSnapshots, nativeTransfer
+ * @returns {{ consistent: boolean, checked: string[], contradictions: Object[] }}
+ */
+const verifyVerdict = (verdict, disputeData) => {
+  const facts = collectFacts(disputeData);
+  const claims = extractClaims(verdict);
+  const checked = [];
+  const contradictions = [];
+
+  if (claims.transactionSucceeded !== null && facts.succeeded !== null) {
+    checked.push('transactionSucceeded');
+    if (claims.transactionSucceeded !== facts.succeeded) {
+      contradictions.push({
+        claim: 'transactionSucceeded',
+        claimed: claims.transactionSucceeded,
+        actual: facts.succeeded,
+        evidence: ['transactionStatus']
+      });
+    }
+  }
+
+  if (claims.recipientReceived !== null && (disputeData.toAddress || disputeData.nativeTransfer)) {
+    checked.push('recipientReceived');
+    if (claims.recipientReceived === false && (facts.received || toBigInt(facts.recipientDelta) > 0n)) {
+      contradictions.push({
+        claim: 'recipientReceived',
+        claimed: false,
+        actual: true,
+        evidence: facts.received ? facts.receivedEvidence : ['balanceSnapshots.balances']
+      });
+    } else if (claims.recipientReceived === true && !facts.received && facts.recipientDelta !== null) {
+      // The delta shows what this transaction changed, even if the recipient has moved tokens since
+      if (toBigInt(facts.recipientDelta) <= 0n) {
+        contradictions.push({
+          claim: 'recipientReceived',
+          claimed: true,
+          actual: false,
+          evidence: ['balanceSnapshots.balances']
+        });
+      }
+    } else if (claims.recipientReceived === true && !facts.received && facts.recipientBalance === '0') {
+      contradictions.push({
+        claim: 'recipientReceived',
+        claimed: true,
+        actual: false,
+        evidence: ['contractState.balances']
+      });
+    }
+  }
+
+  if (claims.amountReceived !== null && facts.amountReceived !== null && facts.received) {
+    checked.push('amountReceived');
+    if (toBigInt(claims.amountReceived) !== toBigInt(facts.amountReceived)) {
+      contradictions.push({
+        claim: 'amountReceived',
+        claimed: claims.amountReceived,
+        actual: facts.amountReceived,
+        evidence: facts.receivedEvidence
+      });
+    }
+  }
+
+  if (claims.tokenIds.length > 0) {
+    checked.push('tokenIds');
+    for (const tokenId of claims.tokenIds) {
+      const owner = facts.ownership[tokenId];
+      const transferred = facts.tokenIds.includes(tokenId);
+
+      if (!transferred || (owner && !sameAddress(owner, disputeData.toAddress))) {
+        contradictions.push({
+          claim: 'tokenIds',
+          claimed: tokenId,
+          actual: owner ? `owned by ${owner} after the transaction` : 'not transferred to the recipient in this transaction',
+          evidence: owner ? ['balanceSnapshots.ownership'] : ['parsedLogs.transfers']
+        });
+      }
+    }
+  }
+
+  return {
+    consistent: contradictions.length === 0,
+    checked,
+    contradictions
+  };
+};
+
+module.exports = {
+  collectFacts,
+  extractClaims,
+  verifyVerdict
+};
@@ -0,0 +1,157 @@
+const ContractAbi = require('../models/ContractAbi');
+const abiFetcher = require('../utils/abiFetcher');
+const { validateAbiUpload, validateAbiParams } = require('../middleware/validation');
+const { uploadAbi } = require('../controllers/abiController');
+
+const CONTRACT = '0x760AfE86e5de5fa0Ee542fc7B7B713e1c5425701';
+const REGISTERED_ABI = ['function settle(address payer, uint256 amount)'];
+const CACHED_ABI = ['function transfer(address to, uint256 amount) returns (bool)'];
+
+/**
+ * Response stub recording the status and JSON body
+ */
+const createResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+/**
+ * Run a validation chain like the router does
+ * @returns {{ passed: boolean, res: Object, req: Object }}
+ */
+const runValidation = async (chain, { body = {}, params = {} }) => {
+  const req = { body, params, ip: '127.0.0.1', get: () => 'abi-registry-test' };
+  const res = createResponse();
+  let passed = false;
+  for (const middleware of chain) {
+    if (typeof middleware.run === 'function') {
+      await middleware.run(req);
+    } else {
+      middleware(req, res, () => { passed = true; });
+    }
+  }
+  return { passed, res, req };
+};
+
+/**
+ * Resolve an address's ABI with the registry and Redis cache answering from fixed values
+ */
+const fetchWith = async ({ registered = null, cached = null }) => {
+  const original = { getRegisteredABI: abiFetcher.getRegisteredABI, getCachedABI: abiFetcher.getCachedABI };
+  abiFetcher.getRegisteredABI = async () => registered;
+  abiFetcher.getCachedABI = async () => cached;
+  try {
+    return await abiFetcher.fetchAddressABI(CONTRACT, 10143);
+  } finally {
+    Object.assign(abiFetcher, original);
+  }
+};
+
+// Upload validation, stored versions and lookup order of the ABI registry
+const scenarios = [
+  {
+    name: 'Upload with a compiling ABI passes validation (JSON string accepted)',
+    run: async () => {
+      const { passed, req } = await runValidation(validateAbiUpload, {
+        body: { chainId: 10143, address: CONTRACT, abi: JSON.stringify(REGISTERED_ABI), label: 'v2' }
+      });
+      return passed && Array.isArray(req.body.abi);
+    }
+  },
+  {
+    name: 'Upload with an entry ethers would drop is rejected',
+    run: async () => {
+      const { passed, res } = await runValidation(validateAbiUpload, {
+        body: { chainId: 10143, address: CONTRACT, abi: [...REGISTERED_ABI, 'function broken('] }
+      });
+      return !passed && res.statusCode === 400 && res.body.details.some(detail => detail.path === 'abi');
+    }
+  },
+  {
+    name: 'Upload with duplicate entries is rejected',
+    run: async () => {
+      const { passed } = await runValidation(validateAbiUpload, {
+        body: { chainId: 10143, address: CONTRACT, abi: [...REGISTERED_ABI, ...REGISTERED_ABI] }
+      });
+      return !passed;
+    }
+  },
+  {
+    name: 'Registry routes reject unsupported chains and bad versions',
+    run: async () => {
+      const unsupported = await runValidation(validateAbiParams, { params: { chainId: '999999', address: CONTRACT } });
+      const badVersion = await runValidation(validateAbiParams, { params: { chainId: '10143', address: CONTRACT, version: '0' } });
+      const valid = await runValidation(validateAbiParams, { params: { chainId: '10143', address: CONTRACT, version: '2' } });
+      return !unsupported.passed && !badVersion.passed && valid.passed && valid.req.params.version === 2;
+    }
+  },
+  {
+    name: 'Stored versions lowercase the address and start at 1',
+    run: async () => {
+      const entry = new ContractAbi({ chainId: 10143, address: CONTRACT, version: 1, abi: REGISTERED_ABI });
+      const invalid = new ContractAbi({ chainId: 10143, address: CONTRACT, version: 0 }).validateSync();
+      return !entry.validateSync() && entry.address === CONTRACT.toLowerCase() &&
+        Boolean(invalid.errors.version) && Boolean(invalid.errors.abi);
+    }
+  },
+  {
+    name: 'Registered ABI wins over the cached explorer ABI',
+    run: async () => (await fetchWith({ registered: REGISTERED_ABI, cached: CACHED_ABI })) === REGISTERED_ABI
+  },
+  {
+    name: 'Cached explorer ABI is used when nothing is registered',
+    run: async () => (await fetchWith({ registered: null, cached: CACHED_ABI })) === CACHED_ABI
+  },
+  {
+    name: 'Uploads answer 503 while MongoDB is not connected',
+    run: async () => {
+      const res = createResponse();
+      await uploadAbi({ body: { chainId: 10143, address: CONTRACT, abi: REGISTERED_ABI }, ip: '127.0.0.1' }, res);
+      return res.statusCode === 503 && res.body.success === false;
+    }
+  }
+];
+
+/**
+ * Run all ABI registry scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting ABI registry tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ ABI registry tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
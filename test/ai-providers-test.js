@@ -0,0 +1,232 @@
+const axios = require('axios');
+const aiService = require('../services/aiService');
+const blockchainService = require('../utils/blockchain');
+const { healthCheck } = require('../controllers/disputeController');
+const {
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  LocalProvider,
+  MockProvider,
+  parseProviderNames,
+  createProviderChain
+} = require('../services/aiProviders');
+
+const RECIPIENT = '0x1234567890abcdef1234567890abcdef12345678';
+
+const DISPUTE_DATA = {
+  txHash: `0x${'e5'.repeat(32)}`,
+  contractAddress: '0x760afe86e5de5fa0ee542fc7b7b713e1c5425701',
+  toAddress: RECIPIENT,
+  disputeDescription: 'The recipient never received the tokens I sent.',
+  transactionStatus: 'success',
+  parsedLogs: { transfers: [{ from: '0xbf5542a20a6684d83ccb46a7ae588bf32073a704', to: RECIPIENT, value: '1000' }], failures: [], partialTransfers: [] },
+  contractState: {}
+};
+
+/**
+ * AI service with its own provider chain, leaving the shared one untouched
+ */
+const createService = (providers) => {
+  const service = new aiService.constructor();
+  service.providers = providers;
+  return service;
+};
+
+/**
+ * Provider that fails every request with the given error
+ */
+const failingProvider = (name, error) => ({
+  name,
+  calls: 0,
+  getConfigErrors: () => [],
+  async complete() {
+    this.calls++;
+    throw error;
+  }
+});
+
+/**
+ * Run fn with axios.post answering from `reply`, returning the requests it was sent
+ */
+const withAxiosPost = async (reply, fn) => {
+  const post = axios.post;
+  const requests = [];
+  axios.post = async (url, body, config) => {
+    requests.push({ url, body, config });
+    return { data: reply };
+  };
+  try {
+    return { result: await fn(), requests };
+  } finally {
+    axios.post = post;
+  }
+};
+
+/**
+ * Call a route handler with a fake response, resolving to its status and body
+ */
+const callHandler = async (handler, req = {}) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler(req, res);
+  return res;
+};
+
+const MESSAGES = [
+  { role: 'system', content: 'Reply with JSON.' },
+  { role: 'user', content: 'Resolve this dispute' }
+];
+
+// Provider adapters, fallback through the chain and reporting of an unusable chain
+const scenarios = [
+  {
+    name: 'AI_PROVIDERS is split into known and unknown names, with mock as the test default',
+    run: async () => {
+      const listed = parseProviderNames(' OpenAI, groq ,local,,mock');
+      const nodeEnv = process.env.NODE_ENV;
+      const providers = process.env.AI_PROVIDERS;
+      delete process.env.AI_PROVIDERS;
+      process.env.NODE_ENV = 'test';
+      try {
+        return listed.known.join() === 'openai,local,mock' && listed.unknown.join() === 'groq' &&
+          createProviderChain().map(provider => provider.name).join() === 'mock';
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+        if (providers !== undefined) process.env.AI_PROVIDERS = providers;
+        if (nodeEnv === undefined) delete process.env.NODE_ENV;
+      }
+    }
+  },
+  {
+    name: 'Adapters send each backend its own request shape',
+    run: async () => {
+      const openai = await withAxiosPost({ choices: [{ message: { content: '{"a":1}' } }] }, () =>
+        new OpenAICompatibleProvider({ apiUrl: 'https://ai.example/v1/chat', apiKey: 'key', model: 'llama3' }).complete({ messages: MESSAGES, maxTokens: 10 }));
+      const anthropic = await withAxiosPost({ content: [{ type: 'text', text: '{"b":2}' }] }, () =>
+        new AnthropicProvider({ apiUrl: 'https://anthropic.example/v1/messages', apiKey: 'key', model: 'claude' }).complete({ messages: MESSAGES, maxTokens: 10 }));
+      const ollama = await withAxiosPost({ message: { content: '{"c":3}' } }, () =>
+        new LocalProvider({ apiUrl: 'http://localhost:11434/api/chat', model: 'llama3', format: 'ollama' }).complete({ messages: MESSAGES, maxTokens: 10 }));
+
+      const [openaiRequest] = openai.requests;
+      const [anthropicRequest] = anthropic.requests;
+      const [ollamaRequest] = ollama.requests;
+      return openai.result === '{"a":1}' && openaiRequest.config.headers.Authorization === 'Bearer key' &&
+        openaiRequest.body.messages.length === 2 && openaiRequest.body.response_format.type === 'json_object' &&
+        anthropic.result === '{"b":2}' && anthropicRequest.config.headers['x-api-key'] === 'key' &&
+        anthropicRequest.body.system === 'Reply with JSON.' && anthropicRequest.body.messages.map(message => message.role).join() === 'user' &&
+        ollama.result === '{"c":3}' && ollamaRequest.body.format === 'json' && ollamaRequest.body.options.num_predict === 10;
+    }
+  },
+  {
+    name: 'Mock provider derives a valid verdict from the parsed logs',
+    run: async () => {
+      const service = createService([new MockProvider()]);
+      const verdict = await service.resolveDispute(DISPUTE_DATA);
+      return verdict.provider === 'mock' && verdict.isFakeDispute && verdict.refundRecommendation === 'none' &&
+        verdict.claims.recipientReceived === true && verdict.claims.transactionSucceeded === true;
+    }
+  },
+  {
+    name: 'Unconfigured, timed out and failing providers fall back to the next one',
+    run: async () => {
+      const unconfigured = new OpenAICompatibleProvider({ apiUrl: 'https://ai.example/v1/chat' });
+      const timedOut = failingProvider('anthropic', Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }));
+      const failing = failingProvider('local', new Error('connect ECONNREFUSED 127.0.0.1:11434'));
+      const verdict = await createService([unconfigured, timedOut, failing, new MockProvider()]).resolveDispute(DISPUTE_DATA);
+      return verdict.provider === 'mock' && timedOut.calls === 1 && failing.calls === 1;
+    }
+  },
+  {
+    name: 'Chain where every provider fails reports each failure',
+    run: async () => {
+      const service = createService([
+        new AnthropicProvider({}),
+        failingProvider('local', Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))
+      ]);
+      try {
+        await service.resolveDispute(DISPUTE_DATA);
+        return false;
+      } catch (error) {
+        return error.message === 'AI service failed: anthropic: ANTHROPIC_API_KEY environment variable is required; local: timed out';
+      }
+    }
+  },
+  {
+    name: 'AI_PROVIDERS without a supported provider leaves the chain empty instead of throwing',
+    run: async () => {
+      const providers = createProviderChain('groq, gpt');
+      const service = createService(providers);
+      let configError = null;
+      try {
+        service.validateConfig();
+      } catch (error) {
+        configError = error.message;
+      }
+      return providers.length === 0 && configError === 'AI_PROVIDERS lists no supported provider; use one or more of: openai, anthropic, local, mock';
+    }
+  },
+  {
+    name: '/health answers 503 while no AI provider is usable',
+    run: async () => {
+      const execute = blockchainService.rpcPool.execute;
+      const providers = aiService.providers;
+      blockchainService.rpcPool.execute = async () => 1000;
+      try {
+        aiService.providers = [];
+        const unhealthy = await callHandler(healthCheck);
+        aiService.providers = [new MockProvider()];
+        const healthy = await callHandler(healthCheck);
+        return unhealthy.statusCode === 503 && unhealthy.body.details.startsWith('AI_PROVIDERS lists no supported provider') &&
+          healthy.statusCode === 200 && healthy.body.data.services.aiProviders.join() === 'mock';
+      } finally {
+        blockchainService.rpcPool.execute = execute;
+        aiService.providers = providers;
+      }
+    }
+  }
+];
+
+/**
+ * Run all AI provider scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting AI provider tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ AI provider tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
@@ -0,0 +1,121 @@
+const { ethers } = require('ethers');
+const { decodeCalldataWithABI, formatCall } = require('../utils/calldata');
+const abiFetcher = require('../utils/abiFetcher');
+const blockchainService = require('../utils/blockchain');
+
+const CONTRACT = '0x760afe86e5de5fa0ee542fc7b7b713e1c5425701';
+const RECIPIENT = '0x1234567890abcdef1234567890abcdef12345678';
+
+const encode = (signature, values) => {
+  const contractInterface = new ethers.Interface([`function ${signature}`]);
+  return contractInterface.encodeFunctionData(contractInterface.fragments[0].name, values);
+};
+
+/**
+ * Decode a transaction's input with the given contract ABI standing in for the fetched one
+ */
+const decodeWithFetchedABI = async (transaction, abi = null) => {
+  const fetchABI = abiFetcher.fetchABI;
+  abiFetcher.fetchABI = async () => abi;
+  try {
+    return await blockchainService.decodeCalldata(transaction);
+  } finally {
+    abiFetcher.fetchABI = fetchABI;
+  }
+};
+
+// Transaction inputs and where their decoding should come from
+const scenarios = [
+  {
+    name: 'Decoded with the fetched contract ABI',
+    run: async () => {
+      const data = encode('settle(address payer, uint256 amount)', [RECIPIENT, 25]);
+      const decoded = await decodeWithFetchedABI({ to: CONTRACT, data }, ['function settle(address payer, uint256 amount)']);
+      return decoded.source === 'abi' && formatCall(decoded) === `settle(payer=${ethers.getAddress(RECIPIENT)}, amount=25)` && decoded.exact;
+    }
+  },
+  {
+    name: 'DummyDisputeContract call decoded with the fallback ABI',
+    run: async () => {
+      const decoded = await decodeWithFetchedABI({ to: CONTRACT, data: encode('partialTransfer(address to, uint256 amount)', [RECIPIENT, 600]) });
+      return decoded.source === 'fallbackAbi' && decoded.name === 'partialTransfer' && decoded.args[1].value === '600';
+    }
+  },
+  {
+    name: 'Router call decoded from the signature database',
+    run: async () => {
+      const data = encode('swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)', [1, [CONTRACT, RECIPIENT], RECIPIENT, 1700000000]);
+      const decoded = await decodeWithFetchedABI({ to: CONTRACT, data });
+      return decoded.source === 'signatureDatabase' && decoded.name === 'swapExactETHForTokens' && decoded.args[1].value.length === 2;
+    }
+  },
+  {
+    name: 'Unknown selector',
+    run: async () => {
+      const decoded = await decodeWithFetchedABI({ to: CONTRACT, data: '0xdeadbeef' });
+      return decoded.source === 'unknown' && decoded.name === null && decoded.selector === '0xdeadbeef';
+    }
+  },
+  {
+    name: 'Plain native transfers and contract creations have no call',
+    run: async () => (await decodeWithFetchedABI({ to: RECIPIENT, data: '0x' })) === null &&
+      (await decodeWithFetchedABI({ to: null, data: '0x6080' })) === null
+  },
+  {
+    name: 'Trailing bytes make the decoding inexact',
+    run: async () => {
+      const data = encode('transfer(address to, uint256 amount)', [RECIPIENT, 5]) + 'ff'.repeat(32);
+      const decoded = decodeCalldataWithABI(data, ['function transfer(address to, uint256 amount)']);
+      return decoded.name === 'transfer' && decoded.exact === false;
+    }
+  },
+  {
+    name: 'Truncated arguments do not decode',
+    run: async () => {
+      const data = encode('transfer(address to, uint256 amount)', [RECIPIENT, 5]).slice(0, 74);
+      return decodeCalldataWithABI(data, ['function transfer(address to, uint256 amount)']) === null;
+    }
+  }
+];
+
+/**
+ * Run all calldata decoding scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting calldata decoding tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ Calldata decoding tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
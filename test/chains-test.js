@@ -0,0 +1,249 @@
+const Dispute = require('../models/Dispute');
+const blockchainService = require('../utils/blockchain');
+const { getChain, getDefaultChainId, listChains } = require('../config/chains');
+const { disputeCacheKeys, logsCacheKey, abiCacheKey } = require('../utils/cacheKeys');
+const { validateDisputeRequest } = require('../middleware/validation');
+const { getDisputeById, getDisputeByTxHash, getTransactionLogs } = require('../controllers/disputeController');
+
+const TX_HASH = `0x${'a7'.repeat(32)}`;
+const CONTRACT = '0x760AfE86e5de5fa0Ee542fc7B7B713e1c5425701';
+const RECIPIENT = '0x1234567890abcdef1234567890abcdef12345678';
+
+/**
+ * Redis stand-in keeping string values in a Map
+ */
+const createRedis = () => {
+  const store = new Map();
+  return {
+    store,
+    get: async (key) => store.get(key) ?? null,
+    setEx: async (key, ttl, value) => { store.set(key, value); },
+    del: async (keys) => { [].concat(keys).forEach(key => store.delete(key)); }
+  };
+};
+
+/**
+ * Run fn with the blockchain service caching in `redis` and Dispute lookups answered by `findDispute`,
+ * recording the queries MongoDB was sent
+ */
+const withStores = async (redis, findDispute, fn) => {
+  const original = { findById: Dispute.findById, findOne: Dispute.findOne, forChain: blockchainService.forChain };
+  const queries = [];
+  const found = (query) => {
+    queries.push(query);
+    const dispute = findDispute(query);
+    const chain = { sort: () => chain, select: async () => dispute };
+    return chain;
+  };
+  Object.defineProperty(blockchainService, 'redisClient', { get: () => redis, configurable: true });
+  Dispute.findById = (id) => found({ _id: id });
+  Dispute.findOne = (query) => found(query);
+  try {
+    return await fn(queries);
+  } finally {
+    delete blockchainService.redisClient;
+    Dispute.findById = original.findById;
+    Dispute.findOne = original.findOne;
+    blockchainService.forChain = original.forChain;
+  }
+};
+
+/**
+ * Call a route handler with a fake response, resolving to its status and body
+ */
+const callHandler = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler({ params: {}, query: {}, body: {}, get: () => undefined, ...req }, res);
+  return res;
+};
+
+/**
+ * Run a validation middleware chain, resolving to the 400 response or null when the request passed
+ */
+const validate = async (chain, body) => {
+  const req = { body, query: {}, params: {}, headers: {}, get: () => undefined };
+  for (const middleware of chain) {
+    let passed = false;
+    const res = await callHandler((request, response) => middleware(req, response, () => { passed = true; }), req);
+    if (!passed) return res;
+  }
+  return null;
+};
+
+const storedDispute = (chainId) => new Dispute({
+  chainId,
+  txHash: TX_HASH,
+  contractAddress: CONTRACT,
+  toAddress: RECIPIENT,
+  disputeDescription: 'Tokens never arrived',
+  transactionStatus: 'success',
+  aiSolution: 'No refund',
+  finality: { state: 'finalized', canonical: true, blockNumber: 100 }
+});
+
+// Chain registry, chain-scoped cache keys and the Redis read-through of stored resolutions
+const scenarios = [
+  {
+    name: 'Registry describes each chain and rejects unknown ids',
+    run: async () => {
+      const base = getChain('8453');
+      let unsupported = null;
+      try {
+        getChain(999);
+      } catch (error) {
+        unsupported = error.message;
+      }
+      return base.name === 'Base' && base.nativeSymbol === 'ETH' && base.confirmations === 10 && base.finalityDepth === 1800 &&
+        base.explorers[0].type === 'etherscan' && getChain().chainId === getDefaultChainId() &&
+        listChains().some(chain => chain.chainId === 10143 && chain.nativeSymbol === 'MON') && unsupported === 'Unsupported chain: 999';
+    }
+  },
+  {
+    name: 'Default chain and RPC URLs follow the environment',
+    run: async () => {
+      const names = ['DEFAULT_CHAIN_ID', 'MONAD_RPC_URL', 'ETHEREUM_RPC_URL', 'CHAIN_8453_RPC_URLS'];
+      const saved = names.map(name => process.env[name]);
+      names.forEach(name => delete process.env[name]);
+      try {
+        const monad = getDefaultChainId();
+        process.env.ETHEREUM_RPC_URL = 'https://eth.example';
+        const ethereum = getDefaultChainId();
+        process.env.DEFAULT_CHAIN_ID = '8453';
+        const configured = getDefaultChainId();
+        process.env.CHAIN_8453_RPC_URLS = 'https://base-1.example, https://base-2.example,';
+        return monad === 10143 && ethereum === 1 && configured === 8453 &&
+          getChain(8453).rpcUrls.join() === 'https://base-1.example,https://base-2.example';
+      } finally {
+        names.forEach((name, index) => {
+          if (saved[index] === undefined) delete process.env[name];
+          else process.env[name] = saved[index];
+        });
+      }
+    }
+  },
+  {
+    name: 'Requests name a supported chainId or none',
+    run: async () => {
+      const request = (chainId) => ({ txHash: TX_HASH, contractAddress: CONTRACT, toAddress: RECIPIENT, disputeDescription: 'Tokens never arrived', chainId });
+      const unsupported = await validate(validateDisputeRequest, request(999));
+      const malformed = await validate(validateDisputeRequest, request('base'));
+      return (await validate(validateDisputeRequest, request(8453))) === null && (await validate(validateDisputeRequest, request())) === null &&
+        unsupported.statusCode === 400 && unsupported.body.details[0].msg === 'Unsupported chainId: 999' &&
+        malformed.body.details[0].msg === 'chainId must be a positive integer';
+    }
+  },
+  {
+    name: 'Cache keys for the same hash or address differ per chain',
+    run: async () => {
+      return disputeCacheKeys.byRequest(TX_HASH, CONTRACT, null, 1) !== disputeCacheKeys.byRequest(TX_HASH, CONTRACT, null, 10143) &&
+        disputeCacheKeys.byTx(TX_HASH, 8453) === `dispute:8453:tx:${TX_HASH}` &&
+        logsCacheKey(TX_HASH, CONTRACT) === `logs:${getDefaultChainId()}:${TX_HASH}:${CONTRACT}` &&
+        abiCacheKey(CONTRACT, 1) === `abi:1:${CONTRACT.toLowerCase()}`;
+    }
+  },
+  {
+    name: 'Dispute detail is read from MongoDB once, then from Redis',
+    run: async () => {
+      const dispute = storedDispute(10143);
+      const redis = createRedis();
+      return withStores(redis, () => dispute, async (queries) => {
+        const req = { params: { id: dispute._id.toString() } };
+        const miss = await callHandler(getDisputeById, req);
+        const hit = await callHandler(getDisputeById, req);
+        return miss.body.cacheHit === false && hit.body.cacheHit === true && queries.length === 1 &&
+          redis.store.has(disputeCacheKeys.byId(dispute._id.toString())) && hit.body.data.disputeId === dispute._id.toString();
+      });
+    }
+  },
+  {
+    name: 'Lookup by transaction hash is scoped to the requested chain',
+    run: async () => {
+      const redis = createRedis();
+      return withStores(redis, (query) => (query.chainId === 8453 ? storedDispute(8453) : null), async (queries) => {
+        const base = await callHandler(getDisputeByTxHash, { params: { txHash: TX_HASH }, query: { chainId: '8453' } });
+        const monad = await callHandler(getDisputeByTxHash, { params: { txHash: TX_HASH }, query: { chainId: '10143' } });
+        return base.statusCode === 200 && base.body.data.chainId === 8453 && monad.statusCode === 404 &&
+          queries[0].chainId === 8453 && queries[1].chainId === 10143 &&
+          redis.store.has(disputeCacheKeys.byTx(TX_HASH, 8453)) && !redis.store.has(disputeCacheKeys.byTx(TX_HASH, 10143));
+      });
+    }
+  },
+  {
+    name: 'Cached resolution whose block was reorganized is dropped and re-read from MongoDB',
+    run: async () => {
+      const dispute = storedDispute(10143);
+      dispute.finality = { state: 'safe', canonical: true, blockNumber: 100 };
+      const redis = createRedis();
+      return withStores(redis, () => dispute, async (queries) => {
+        const req = { params: { id: dispute._id.toString() } };
+        blockchainService.forChain = () => ({ getFinality: async () => ({ state: 'safe', canonical: true, blockNumber: 100 }) });
+        await callHandler(getDisputeById, req);
+        blockchainService.forChain = () => ({ getFinality: async () => ({ state: 'reorged', canonical: false, blockNumber: 100 }) });
+        const reread = await callHandler(getDisputeById, req);
+        return queries.length === 2 && reread.body.cacheHit === false;
+      });
+    }
+  },
+  {
+    name: 'Transaction logs are served from the chain-scoped cache without touching the RPC',
+    run: async () => {
+      const redis = createRedis();
+      const cacheKey = logsCacheKey(TX_HASH, CONTRACT, 10143);
+      redis.store.set(cacheKey, JSON.stringify({ chainId: 10143, transactionHash: TX_HASH, finality: null }));
+      return withStores(redis, () => null, async () => {
+        const calls = [];
+        blockchainService.forChain = (chainId) => ({ getTransactionReceipt: async () => { calls.push(chainId); return null; } });
+        const hit = await callHandler(getTransactionLogs, { body: { txHash: TX_HASH, contractAddress: CONTRACT, chainId: 10143 } });
+        const otherChain = await callHandler(getTransactionLogs, { body: { txHash: TX_HASH, contractAddress: CONTRACT, chainId: 8453 } });
+        return hit.body.cacheHit === true && hit.body.data.transactionHash === TX_HASH &&
+          otherChain.statusCode === 404 && calls.join() === '8453';
+      });
+    }
+  }
+];
+
+/**
+ * Run all chain registry and cache scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting chain and cache tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ Chain and cache tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
@@ -0,0 +1,156 @@
+const { ethers } = require('ethers');
+const logDecoders = require('../utils/logDecoders');
+
+const CONTRACT = '0x760afe86e5de5fa0ee542fc7b7b713e1c5425701';
+const OTHER_CONTRACT = '0x9999999999999999999999999999999999999999';
+const SENDER = '0xbf5542a20a6684d83ccb46a7ae588bf32073a704';
+const RECIPIENT = '0x1234567890abcdef1234567890abcdef12345678';
+
+/**
+ * Encode a log for a human-readable event signature
+ */
+const buildLog = (signature, values, { address = CONTRACT, logIndex = 0 } = {}) => {
+  const contractInterface = new ethers.Interface([signature]);
+  const { data, topics } = contractInterface.encodeEventLog(contractInterface.fragments[0], values);
+  return { address, topics, data, logIndex };
+};
+
+const TRANSFER_20 = 'event Transfer(address indexed from, address indexed to, uint256 value)';
+const TRANSFER_721 = 'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)';
+const TRANSFER_FAILED = 'event TransferFailed(address indexed from, address indexed to, uint256 amount, string reason)';
+
+// Fresh registries for custom decoders, so they never leak into the shared one
+const createRegistry = () => new logDecoders.constructor();
+
+const settledDecoder = (overrides = {}) => ({
+  name: 'Settlement',
+  contractType: 'Settlement',
+  events: ['event Transfer(address indexed from, address indexed to, uint256 value)'],
+  decode: (parsedLog, log) => ({ transfers: [{ type: 'Settlement', from: parsedLog.args[0], to: parsedLog.args[1], amount: parsedLog.args[2].toString(), logIndex: log.logIndex }] }),
+  ...overrides
+});
+
+// Logs and the decoder that should claim them
+const scenarios = [
+  {
+    name: 'ERC-20 and ERC-721 Transfer are told apart by topic count',
+    run: async () => {
+      const erc20 = logDecoders.decodeLog(buildLog(TRANSFER_20, [SENDER, RECIPIENT, 500]));
+      const erc721 = logDecoders.decodeLog(buildLog(TRANSFER_721, [SENDER, RECIPIENT, 7]));
+      return erc20.decoder === 'ERC20' && erc20.records.transfers[0].value === '500' &&
+        erc721.decoder === 'ERC721' && erc721.records.transfers[0].tokenId === '7';
+    }
+  },
+  {
+    name: 'Shared Transfer goes to the DummyDisputeContract decoder when TransferFailed is in the batch',
+    run: async () => {
+      const [transfer, failure] = logDecoders.decodeLogs([
+        buildLog(TRANSFER_20, [SENDER, RECIPIENT, 300]),
+        buildLog(TRANSFER_FAILED, [SENDER, RECIPIENT, 5000, 'Amount too high: exceeds 1000'], { logIndex: 1 })
+      ]);
+      return transfer.decoded.decoder === 'MonadDummyContract' && transfer.decoded.records.transfers[0].amount === '300' &&
+        failure.decoded.records.failures[0].reason === 'Amount too high: exceeds 1000';
+    }
+  },
+  {
+    name: 'ERC-1155 TransferSingle and ERC-20 Approval',
+    run: async () => {
+      const single = logDecoders.decodeLog(buildLog(
+        'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+        [SENDER, SENDER, RECIPIENT, 3, 10]
+      ));
+      const approval = logDecoders.decodeLog(buildLog('event Approval(address indexed owner, address indexed spender, uint256 value)', [SENDER, RECIPIENT, 99]));
+      return single.decoder === 'ERC1155' && single.records.transfers.length === 1 &&
+        approval.decoder === 'Approvals' && approval.contractType === null && approval.records.approvals[0].type === 'ERC20Approval';
+    }
+  },
+  {
+    name: 'Unknown event is left unclaimed',
+    run: async () => logDecoders.decodeLog(buildLog('event Settled(address indexed payer, uint256 amount)', [SENDER, 1])) === null
+  },
+  {
+    name: 'Custom decoder goes before the built-in one',
+    run: async () => {
+      const registry = createRegistry();
+      registry.registerDecoder(settledDecoder());
+      const decoded = registry.decodeLog(buildLog(TRANSFER_20, [SENDER, RECIPIENT, 5]));
+      return decoded.decoder === 'Settlement' && decoded.records.transfers[0].type === 'Settlement';
+    }
+  },
+  {
+    name: 'Address-scoped decoder only claims logs of its contracts',
+    run: async () => {
+      const registry = createRegistry();
+      registry.registerDecoder(settledDecoder({ addresses: [CONTRACT.toUpperCase().replace('0X', '0x')] }));
+      const own = registry.decodeLog(buildLog(TRANSFER_20, [SENDER, RECIPIENT, 5]));
+      const other = registry.decodeLog(buildLog(TRANSFER_20, [SENDER, RECIPIENT, 5], { address: OTHER_CONTRACT }));
+      return own.decoder === 'Settlement' && other.decoder === 'ERC20';
+    }
+  },
+  {
+    name: 'Decoder returning null passes the log on to the next one',
+    run: async () => {
+      const registry = createRegistry();
+      registry.registerDecoder(settledDecoder({ decode: () => null }));
+      return registry.decodeLog(buildLog(TRANSFER_20, [SENDER, RECIPIENT, 5])).decoder === 'ERC20';
+    }
+  },
+  {
+    name: 'Invalid and anonymous-event decoders are rejected',
+    run: async () => {
+      const registry = createRegistry();
+      const rejects = (decoder) => {
+        try {
+          registry.registerDecoder(decoder);
+          return false;
+        } catch (error) {
+          return true;
+        }
+      };
+      return rejects({ name: 'NoEvents', events: [], decode: () => null }) &&
+        rejects(settledDecoder({ events: ['event Ping(uint256 value) anonymous'] }));
+    }
+  }
+];
+
+/**
+ * Run all log decoder scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting log decoder tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ Log decoder tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
@@ -0,0 +1,157 @@
+const RpcPool = require('../utils/rpcPool');
+const blockchainService = require('../utils/blockchain');
+const disputeService = require('../services/disputeService');
+const Dispute = require('../models/Dispute');
+
+const BLOCK = 1000;
+const BLOCK_HASH = `0x${'11'.repeat(32)}`;
+const REORG_HASH = `0x${'22'.repeat(32)}`;
+const RECEIPT = { blockNumber: BLOCK, blockHash: BLOCK_HASH };
+
+/**
+ * Provider answering from a fixed head and canonical hash; `safe`/`finalized` of null means the tag is unsupported
+ */
+const chainProvider = ({ latest, hash = BLOCK_HASH, safe = null, finalized = null }) => ({
+  getBlockNumber: async () => latest,
+  getBlock: async (tag) => {
+    if (tag === 'safe' || tag === 'finalized') {
+      const number = tag === 'safe' ? safe : finalized;
+      if (number === null) throw new Error(`invalid block tag ${tag}`);
+      return { number };
+    }
+    return hash ? { number: tag, hash } : null;
+  }
+});
+
+/**
+ * Blockchain service for a chain needing 12 confirmations to be safe and 64 to be final,
+ * whose pool's endpoints answer from the given fake providers
+ */
+const createBlockchain = (providers) => {
+  const pool = new RpcPool({ chainId: 10143, urls: providers.map((provider, index) => `https://rpc-${index}.example`) });
+  pool.endpoints.forEach((endpoint, index) => { endpoint.provider = providers[index]; });
+  const blockchain = Object.create(blockchainService);
+  blockchain.rpcPool = pool;
+  blockchain.chain = { ...blockchainService.chain, confirmations: 12, finalityDepth: 64 };
+  return blockchain;
+};
+
+const finalityOf = (providers) => createBlockchain(providers).getFinality(RECEIPT);
+
+// Block tags, confirmation depths and reorgs against fake endpoints
+const scenarios = [
+  {
+    name: 'Block at or below the finalized tag is finalized',
+    run: async () => {
+      const finality = await finalityOf([chainProvider({ latest: 1010, safe: 1005, finalized: 1000 })]);
+      return finality.state === 'finalized' && finality.canonical && finality.confirmations === 11 && finality.latestBlock === 1010;
+    }
+  },
+  {
+    name: 'Block at or below the safe tag is safe',
+    run: async () => {
+      const finality = await finalityOf([chainProvider({ latest: 1002, safe: 1001, finalized: 990 })]);
+      return finality.state === 'safe' && finality.confirmations === 3 && finality.requiredConfirmations === 12;
+    }
+  },
+  {
+    name: 'Block above both tags with few confirmations is unsafe',
+    run: async () => (await finalityOf([chainProvider({ latest: 1002, safe: 995, finalized: 990 })])).state === 'unsafe'
+  },
+  {
+    name: 'Without block tags the confirmation depths decide',
+    run: async () => {
+      const [unsafe, safe, finalized] = await Promise.all([1005, 1011, 1063].map(latest => finalityOf([chainProvider({ latest })])));
+      return unsafe.state === 'unsafe' && safe.state === 'safe' && safe.confirmations === 12 &&
+        finalized.state === 'finalized' && finalized.confirmations === 64;
+    }
+  },
+  {
+    name: 'Endpoints agreeing on another hash at the block report a reorg',
+    run: async () => {
+      const finality = await finalityOf([
+        chainProvider({ latest: 1100, hash: REORG_HASH, finalized: 1050 }),
+        chainProvider({ latest: 1100, hash: REORG_HASH, finalized: 1050 })
+      ]);
+      return finality.state === 'reorged' && !finality.canonical && finality.confirmations === 0 && finality.canonicalHash === REORG_HASH;
+    }
+  },
+  {
+    name: 'Block missing on every endpoint is reorged',
+    run: async () => {
+      const finality = await finalityOf([chainProvider({ latest: 1100, hash: null }), chainProvider({ latest: 1100, hash: null })]);
+      return finality.state === 'reorged' && finality.canonicalHash === null;
+    }
+  },
+  {
+    name: 'Endpoint that has not seen the block yet does not make it reorged',
+    run: async () => {
+      const finality = await finalityOf([chainProvider({ latest: 1100, hash: null }), chainProvider({ latest: 1100 })]);
+      return finality.canonical && finality.state === 'finalized';
+    }
+  },
+  {
+    name: 'Endpoints disagreeing on the hash fail instead of guessing',
+    run: async () => {
+      try {
+        await finalityOf([chainProvider({ latest: 1100 }), chainProvider({ latest: 1100, hash: REORG_HASH })]);
+        return false;
+      } catch (error) {
+        return error.message.includes('disagree');
+      }
+    }
+  },
+  {
+    name: 'Dispute whose block could not be checked is escalated instead of resolved',
+    run: async () => {
+      const dispute = new Dispute({ txHash: `0x${'33'.repeat(32)}`, contractAddress: '0x760afe86e5de5fa0ee542fc7b7b713e1c5425701', disputeDescription: 'Missing tokens' });
+      const unverified = { state: 'unverified', canonical: null, blockNumber: BLOCK, blockHash: BLOCK_HASH };
+      const escalation = disputeService.escalationReason({ escalated: false }, unverified);
+      disputeService.applyResolution(dispute, { finality: unverified }, { escalation });
+      return dispute.status === 'escalated' && dispute.statusHistory[1].reason === escalation &&
+        disputeService.escalationReason({ escalated: false }, { state: 'unsafe', canonical: true }) === null;
+    }
+  }
+];
+
+/**
+ * Run all finality scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting finality tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ Finality tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
@@ -0,0 +1,342 @@
+const axios = require('axios');
+const jobQueue = require('../services/jobQueue');
+
+// Configuration
+const API_BASE_URL = 'http://localhost:3000/api/v1';
+
+// Test data - Replace with real transaction data
+const testDispute = {
+  txHash: '0xd98e4049a88ad4010a69ba2bf5d7a427fd07a814fe4120d43c72dda9157120b2',
+  contractAddress: '0x760AfE86e5de5fa0Ee542fc7B7B713e1c5425701',
+  toAddress: '0xbf5542a20a6684d83ccb46a7ae588bf32073a704',
+  disputeDescription: 'I sent tokens to this address but the recipient says they never arrived.',
+  async: true
+};
+
+// Fresh queues for the offline checks, so they never touch the shared singleton
+const createQueue = () => new jobQueue.constructor();
+
+/**
+ * Minimal stand-in for the Redis list/string commands the queue uses
+ */
+const createFakeRedis = () => {
+  const lists = {};
+  const values = {};
+  const list = (key) => (lists[key] = lists[key] || []);
+  return {
+    lists,
+    async get(key) { return values[key] ?? null; },
+    async setEx(key, ttl, value) { values[key] = value; },
+    async rPush(key, value) { list(key).push(value); },
+    async lMove(source, destination) {
+      const value = list(source).shift();
+      if (value === undefined) return null;
+      list(destination).push(value);
+      return value;
+    },
+    async lRange(key) { return [...list(key)]; },
+    async lRem(key, count, value) {
+      const index = list(key).indexOf(value);
+      if (index === -1) return 0;
+      list(key).splice(index, 1);
+      return 1;
+    }
+  };
+};
+
+const useRedis = (queue, client) => Object.defineProperty(queue, 'redisClient', { get: () => client });
+
+// Queue behaviour, checked without a server or Redis
+const queueCases = [
+  {
+    name: 'In-memory job runs to completion with its steps',
+    run: async () => {
+      const queue = createQueue();
+      queue.registerHandler('echo', async (payload, onProgress) => {
+        await onProgress('echoed', { value: payload.value });
+        return payload.value;
+      });
+      const { id } = await queue.enqueue('echo', { value: 42 });
+      await queue.processQueue();
+      const job = await queue.getJob(id);
+      return job.status === 'completed' && job.result === 42 && job.steps.length === 1 && job.attempts === 1;
+    }
+  },
+  {
+    name: 'Handler error marks the job failed',
+    run: async () => {
+      const queue = createQueue();
+      queue.registerHandler('boom', async () => { throw new Error('boom'); });
+      const { id } = await queue.enqueue('boom', {});
+      await queue.processQueue();
+      const job = await queue.getJob(id);
+      return job.status === 'failed' && job.error === 'boom';
+    }
+  },
+  {
+    name: 'In-memory jobs expire after jobTtl',
+    run: async () => {
+      const queue = createQueue();
+      queue.registerHandler('echo', async () => null);
+      const { id } = await queue.enqueue('echo', {});
+      queue.memoryJobs.get(id).updatedAt = new Date(Date.now() - (queue.jobTtl + 1) * 1000).toISOString();
+      return (await queue.getJob(id)) === null && queue.memoryJobs.size === 0;
+    }
+  },
+  {
+    name: 'Redis job is acknowledged off the processing list once finished',
+    run: async () => {
+      const queue = createQueue();
+      const redis = createFakeRedis();
+      useRedis(queue, redis);
+      let seenInProcessing = false;
+      queue.registerHandler('echo', async () => {
+        seenInProcessing = redis.lists['jobs:processing'].length === 1;
+        return 'ok';
+      });
+      const { id } = await queue.enqueue('echo', {});
+      await queue.processQueue();
+      const job = await queue.getJob(id);
+      return seenInProcessing && job.status === 'completed' && redis.lists['jobs:processing'].length === 0;
+    }
+  },
+  {
+    name: 'Stalled running job is requeued, then failed after JOB_MAX_ATTEMPTS',
+    run: async () => {
+      const queue = createQueue();
+      const redis = createFakeRedis();
+      useRedis(queue, redis);
+      queue.visibilityTimeout = 0;
+      queue.registerHandler('echo', async () => 'ok');
+      const { id } = await queue.enqueue('echo', {});
+
+      // A worker that took the job and crashed mid-run
+      const stall = async () => {
+        await queue.dequeue();
+        const job = await queue.getJob(id);
+        job.status = 'running';
+        job.attempts = (job.attempts || 0) + 1;
+        job.updatedAt = new Date(Date.now() - 1000).toISOString();
+        await redis.setEx(`job:${id}`, queue.jobTtl, JSON.stringify(job));
+      };
+
+      await stall();
+      await queue.recoverStalledJobs();
+      const requeued = (await queue.getJob(id)).status === 'queued' && redis.lists['jobs:queue'].includes(id);
+
+      await stall();
+      await queue.recoverStalledJobs();
+      const job = await queue.getJob(id);
+      return requeued && job.status === 'failed' && redis.lists['jobs:processing'].length === 0;
+    }
+  },
+  {
+    name: 'Finished job its worker did not acknowledge is not run again',
+    run: async () => {
+      const queue = createQueue();
+      const redis = createFakeRedis();
+      useRedis(queue, redis);
+      queue.visibilityTimeout = 0;
+      let runs = 0;
+      queue.registerHandler('echo', async () => { runs++; return 'ok'; });
+      const { id } = await queue.enqueue('echo', {});
+
+      // A worker that finished the job and crashed before acknowledging it
+      await queue.runJob(await queue.getJob(await queue.dequeue()));
+      const job = await queue.getJob(id);
+      job.updatedAt = new Date(Date.now() - 1000).toISOString();
+      await redis.setEx(`job:${id}`, queue.jobTtl, JSON.stringify(job));
+
+      await queue.recoverStalledJobs();
+      await queue.processQueue();
+      const recovered = await queue.getJob(id);
+      return runs === 1 && recovered.status === 'completed' && recovered.result === 'ok' &&
+        redis.lists['jobs:processing'].length === 0 && redis.lists['jobs:queue'].length === 0;
+    }
+  },
+  {
+    name: 'Steps of a requeued job are numbered by attempt',
+    run: async () => {
+      const queue = createQueue();
+      const redis = createFakeRedis();
+      useRedis(queue, redis);
+      queue.visibilityTimeout = 0;
+      queue.registerHandler('echo', async (payload, onProgress) => {
+        await onProgress('receipt');
+        return 'ok';
+      });
+      const { id } = await queue.enqueue('echo', {});
+
+      // First attempt records a step and its worker stops mid-run
+      await queue.dequeue();
+      const job = await queue.getJob(id);
+      job.status = 'running';
+      job.attempts = 1;
+      job.steps.push({ name: 'receipt', summary: {}, attempt: 1, completedAt: new Date().toISOString() });
+      job.updatedAt = new Date(Date.now() - 1000).toISOString();
+      await redis.setEx(`job:${id}`, queue.jobTtl, JSON.stringify(job));
+
+      await queue.recoverStalledJobs();
+      await queue.processQueue();
+      const finished = await queue.getJob(id);
+      return finished.status === 'completed' && finished.attempts === 2 &&
+        finished.steps.map(step => `${step.name}#${step.attempt}`).join(',') === 'receipt#1,receipt#2';
+    }
+  }
+];
+
+/**
+ * Run the queue checks that need no server
+ * @returns {boolean} - True if every case passed
+ */
+async function runLogicTests() {
+  console.log('Checking job queue behaviour...');
+  let failed = 0;
+
+  for (const { name, run } of queueCases) {
+    let passed = false;
+    try {
+      passed = await run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${name}`);
+    }
+  }
+
+  console.log(`   ${queueCases.length - failed}/${queueCases.length} queue checks passed`);
+  return failed === 0;
+}
+
+/**
+ * Queue an asynchronous dispute resolution
+ */
+async function testQueueResolution() {
+  console.log('Queueing asynchronous dispute resolution...');
+
+  const response = await axios.post(`${API_BASE_URL}/resolveDispute`, testDispute);
+
+  console.log(`✅ Job queued (HTTP ${response.status})`);
+  console.log(`   Job ID: ${response.data.data.jobId}`);
+  return response.data.data.jobId;
+}
+
+/**
+ * Poll a job until it finishes
+ */
+async function testPollJob(jobId, maxAttempts = 60) {
+  console.log(`Polling job ${jobId}...`);
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const response = await axios.get(`${API_BASE_URL}/jobs/${jobId}`);
+    const job = response.data.data;
+
+    console.log(`   ${job.status} - steps: ${job.steps.map(step => step.name).join(', ') || 'none'}`);
+
+    if (job.status === 'completed') {
+      console.log('✅ Job completed!');
+      console.log('Result:', JSON.stringify(job.result, null, 2));
+      return job;
+    }
+
+    if (job.status === 'failed') {
+      console.log('❌ Job failed:', job.error);
+      return job;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+
+  console.log('❌ Job did not finish in time');
+  return null;
+}
+
+/**
+ * Listen to a job's Server-Sent Events stream
+ */
+async function testJobEvents(jobId) {
+  console.log(`Streaming events for job ${jobId}...`);
+
+  const response = await axios.get(`${API_BASE_URL}/jobs/${jobId}/events`, {
+    responseType: 'stream',
+    timeout: 120000
+  });
+
+  return new Promise((resolve) => {
+    response.data.on('data', (chunk) => {
+      chunk.toString().split('\n\n').filter(Boolean).forEach(message => {
+        console.log(`   ${message.replace(/\n/g, ' | ')}`);
+      });
+    });
+    response.data.on('end', () => {
+      console.log('✅ Event stream closed');
+      resolve();
+    });
+  });
+}
+
+/**
+ * Run the API tests against a running server
+ * @returns {boolean} - True if both jobs finished
+ */
+async function runApiTests() {
+  try {
+    const streamedJobId = await testQueueResolution();
+    await testJobEvents(streamedJobId);
+    console.log('\n' + '='.repeat(50) + '\n');
+
+    const polledJobId = await testQueueResolution();
+    const job = await testPollJob(polledJobId);
+    console.log('\n' + '='.repeat(50) + '\n');
+    return Boolean(job) && job.status === 'completed';
+  } catch (error) {
+    console.error('❌ Job test failed:');
+    if (error.response) {
+      console.error('Status:', error.response.status);
+      console.error('Error:', error.response.data.error);
+    } else {
+      console.error('Error:', error.message);
+    }
+    return false;
+  }
+}
+
+/**
+ * Run all tests; pass --offline to run only the checks that need no server
+ */
+async function runTests({ offline = false } = {}) {
+  console.log('🚀 Starting asynchronous job tests...\n');
+
+  let passed = await runLogicTests();
+  console.log('\n' + '='.repeat(50) + '\n');
+
+  if (!offline) {
+    passed = (await runApiTests()) && passed;
+  }
+
+  console.log(`🏁 Tests ${passed ? 'passed' : 'failed'}!`);
+  return passed;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests({ offline: process.argv.includes('--offline') })
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ Job tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  runLogicTests,
+  testQueueResolution,
+  testPollJob,
+  testJobEvents,
+  runTests
+};
@@ -0,0 +1,182 @@
+const { ethers } = require('ethers');
+const blockchainService = require('../utils/blockchain');
+const { addressTopic, transferTopics, scanLogs, findBlockByTimestamp, resolveBlockRange } = require('../utils/logScanner');
+
+const TOKEN = '0x760afe86e5de5fa0ee542fc7b7b713e1c5425701';
+const SENDER = '0xbf5542a20a6684d83ccb46a7ae588bf32073a704';
+const RECIPIENT = '0x90f79bf6eb2c4f870365e785982e1f101e93b906';
+const HEAD = 10000;
+
+// Block n was mined at unix time 1000 + 2n
+const timestampOf = (blockNumber) => 1000 + 2 * blockNumber;
+
+/**
+ * Pool answering getLogs with one log per `logEvery` blocks, rejecting pages wider than `maxRange`
+ * blocks as too many results; `failWith` replaces every getLogs answer with that error
+ */
+const createPool = ({ maxRange = Infinity, logEvery = 100, failWith = null } = {}) => {
+  const pages = [];
+  const provider = {
+    getBlockNumber: async () => HEAD,
+    getBlock: async (blockNumber) => (blockNumber <= HEAD ? { number: blockNumber, timestamp: timestampOf(blockNumber) } : null),
+    getLogs: async (filter) => {
+      pages.push(filter);
+      if (failWith) throw failWith;
+      if (filter.toBlock - filter.fromBlock + 1 > maxRange) {
+        throw Object.assign(new Error('could not coalesce error'), { error: { code: -32005, message: 'query returned more than 10000 results' } });
+      }
+      const logs = [];
+      for (let block = Math.ceil(filter.fromBlock / logEvery) * logEvery; block <= filter.toBlock; block += logEvery) {
+        logs.push({ blockNumber: block, topics: filter.topics || [] });
+      }
+      return logs;
+    }
+  };
+  return { pages, execute: async (method, fn) => fn(provider) };
+};
+
+const covers = (pages, fromBlock, toBlock) => pages.every((page, index) =>
+  (index === 0 ? page.fromBlock === fromBlock : page.fromBlock === pages[index - 1].toBlock + 1)) &&
+  pages[pages.length - 1].toBlock === toBlock;
+
+const rejects = async (promise, pattern) => {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+};
+
+// Paged and adaptive log scans, caller-supplied ranges and the transfer topic filter
+const scenarios = [
+  {
+    name: 'Transfer topic filter pads the disputed addresses and leaves missing ones open',
+    run: async () => {
+      const topics = transferTopics({ from: SENDER, to: RECIPIENT });
+      const toOnly = transferTopics({ to: RECIPIENT });
+      return topics[0] === null && topics[1] === ethers.zeroPadValue(ethers.getAddress(SENDER), 32) &&
+        topics[2] === addressTopic(RECIPIENT) && toOnly[1] === null && toOnly[2] === addressTopic(RECIPIENT) &&
+        transferTopics({}) === undefined;
+    }
+  },
+  {
+    name: 'Range is read in contiguous windows',
+    run: async () => {
+      const pool = createPool();
+      const scan = await scanLogs(pool, { address: TOKEN, fromBlock: 0, toBlock: 2499 }, { windowSize: 1000 });
+      return scan.windows === 3 && scan.shrinks === 0 && scan.logs.length === 25 && !scan.truncated &&
+        scan.scannedToBlock === 2499 && covers(pool.pages, 0, 2499) && pool.pages.map(page => page.toBlock).join() === '999,1999,2499';
+    }
+  },
+  {
+    name: 'Window halves on "too many results" and grows back after three pages',
+    run: async () => {
+      const pool = createPool({ maxRange: 500 });
+      const scan = await scanLogs(pool, { address: TOKEN, fromBlock: 0, toBlock: 2999 }, { windowSize: 1000 });
+      const sizes = pool.pages.map(page => page.toBlock - page.fromBlock + 1);
+      return sizes.join() === '1000,500,500,500,1000,500,500,500' && scan.shrinks === 2 && scan.windows === 6 &&
+        scan.logs.length === 30 && covers(pool.pages.filter(page => page.toBlock - page.fromBlock + 1 <= 500), 0, 2999);
+    }
+  },
+  {
+    name: 'Other errors, and limits at the smallest window, are not retried',
+    run: async () => {
+      const unreachable = createPool({ failWith: new Error('connect ECONNREFUSED') });
+      const tooBusy = createPool({ maxRange: 0 });
+      return await rejects(scanLogs(unreachable, { fromBlock: 0, toBlock: 999 }), /ECONNREFUSED/) && unreachable.pages.length === 1 &&
+        await rejects(scanLogs(tooBusy, { fromBlock: 0, toBlock: 999 }, { windowSize: 4, minWindowSize: 2 }), /coalesce/) &&
+        tooBusy.pages.length === 2;
+    }
+  },
+  {
+    name: 'Scan stops at the window and log limits',
+    run: async () => {
+      const byWindows = await scanLogs(createPool(), { fromBlock: 0, toBlock: 9999 }, { windowSize: 1000, maxWindows: 2 });
+      const byLogs = await scanLogs(createPool({ logEvery: 1 }), { fromBlock: 0, toBlock: 9999 }, { windowSize: 1000, maxLogs: 1500 });
+      return byWindows.truncated && byWindows.windows === 2 && byWindows.scannedToBlock === 1999 &&
+        byLogs.truncated && byLogs.logs.length === 1500 && byLogs.scannedToBlock === 1999;
+    }
+  },
+  {
+    name: 'Caller ranges: around a block, explicit blocks capped at the head, and times',
+    run: async () => {
+      const pool = createPool();
+      const around = await resolveBlockRange(pool, { around: 5000, span: 200 });
+      const capped = await resolveBlockRange(pool, { fromBlock: 9000, toBlock: 20000 });
+      const openStart = await resolveBlockRange(pool, { toBlock: 500, span: 1000 });
+      const times = await resolveBlockRange(pool, { fromTime: timestampOf(300), toTime: timestampOf(400) + 1 });
+      const explicitWins = await resolveBlockRange(pool, { fromBlock: 10, toBlock: 20, around: 5000 });
+      return around.fromBlock === 4800 && around.toBlock === 5200 && capped.toBlock === HEAD &&
+        openStart.fromBlock === 0 && openStart.toBlock === 500 && times.fromBlock === 300 && times.toBlock === 400 &&
+        explicitWins.fromBlock === 10 && explicitWins.toBlock === 20 &&
+        await findBlockByTimestamp(pool, timestampOf(HEAD) + 1, HEAD) === null &&
+        await rejects(resolveBlockRange(pool, { fromBlock: 9500, toBlock: 9000 }), /fromBlock 9500 is after toBlock 9000/) &&
+        await rejects(resolveBlockRange(pool, { fromTime: timestampOf(HEAD) + 10 }), /fromTime is after the latest block/);
+    }
+  },
+  {
+    name: 'Historical scan searches around the transaction for the disputed parties',
+    run: async () => {
+      const pool = createPool();
+      const blockchain = Object.create(blockchainService);
+      blockchain.rpcPool = pool;
+      const range = process.env.LOG_SCAN_RANGE;
+      process.env.LOG_SCAN_RANGE = '1000';
+      try {
+        const scan = await blockchain.getHistoricalLogs(TOKEN, { around: 3000, from: SENDER, to: RECIPIENT });
+        const failing = Object.create(blockchainService);
+        failing.rpcPool = createPool({ failWith: new Error('connect ECONNREFUSED') });
+        const failed = await failing.getHistoricalLogs(TOKEN, { around: 3000 });
+        return scan.fromBlock === 2000 && scan.toBlock === 4000 && scan.logs.length === 21 &&
+          pool.pages.every(page => page.address === TOKEN && page.topics[1] === addressTopic(SENDER) && page.topics[2] === addressTopic(RECIPIENT)) &&
+          failed.logs.length === 0 && failed.error === 'connect ECONNREFUSED';
+      } finally {
+        if (range === undefined) delete process.env.LOG_SCAN_RANGE;
+        else process.env.LOG_SCAN_RANGE = range;
+      }
+    }
+  }
+];
+
+/**
+ * Run all log scanner scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting log scanner tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ Log scanner tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
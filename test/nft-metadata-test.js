@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const nftMetadata = require('../utils/nftMetadata');
+
+const CONTRACT = '0x760afe86e5de5fa0ee542fc7b7b713e1c5425701';
+const DRAGON = { name: 'Blue Dragon #7', image: 'ipfs://QmImg/7.png', attributes: [{ trait_type: 'Color', value: 'Blue' }] };
+
+/**
+ * Resolver using the given gateway (URL or local directory) without touching the shared one
+ */
+const createResolver = (gateway = 'https://ipfs.io/ipfs/') => {
+  const resolver = new nftMetadata.constructor();
+  resolver.gateway = gateway;
+  return resolver;
+};
+
+/**
+ * Throwaway metadata directory laid out like the local gateway expects
+ */
+const createDirectory = () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'nft-metadata-'));
+  fs.mkdirSync(path.join(directory, 'QmCid'));
+  fs.writeFileSync(path.join(directory, 'QmCid', '7.json'), JSON.stringify(DRAGON));
+  fs.writeFileSync(path.join(os.tmpdir(), `${path.basename(directory)}-secret.json`), JSON.stringify(DRAGON));
+  return directory;
+};
+
+const removeDirectory = (directory) => {
+  fs.rmSync(directory, { recursive: true, force: true });
+  fs.rmSync(path.join(os.tmpdir(), `${path.basename(directory)}-secret.json`), { force: true });
+};
+
+const rejects = async (promise, pattern) => {
+  try {
+    await promise;
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+};
+
+/**
+ * Local IPFS node answering /ipfs/QmCid/7.json, and a redirect at /ipfs/moved
+ */
+const startGateway = () => new Promise((resolve) => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/ipfs/moved') {
+      res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(DRAGON));
+  });
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+// URI locations, validation, and the local directory and network boundaries of metadata fetches
+const scenarios = [
+  {
+    name: 'ipfs:// goes through the gateway, ar:// through arweave.net',
+    run: async () => {
+      const resolver = createResolver();
+      return resolver.locate('ipfs://ipfs/QmCid/7.json').location === 'https://ipfs.io/ipfs/QmCid/7.json' &&
+        resolver.locate('ar://TxId').location === 'https://arweave.net/TxId' &&
+        resolver.locate('data:application/json,{}').kind === 'data' &&
+        resolver.displayUrl('https://example.com/7.png') === 'https://example.com/7.png';
+    }
+  },
+  {
+    name: 'Unsupported schemes and the ERC-1155 {id} placeholder',
+    run: async () => {
+      const resolver = createResolver();
+      let unsupported = false;
+      try {
+        resolver.locate('ftp://example.com/7.json');
+      } catch (error) {
+        unsupported = error.message.startsWith('Unsupported metadata URI scheme');
+      }
+      return unsupported && resolver.expandTokenUri('https://example.com/{id}.json', 255) === `https://example.com/${'0'.repeat(62)}ff.json`;
+    }
+  },
+  {
+    name: 'Inline data URIs decode from base64 and percent-encoding',
+    run: async () => {
+      const resolver = createResolver();
+      const json = JSON.stringify(DRAGON);
+      const base64 = await resolver.load(resolver.locate(`data:application/json;base64,${Buffer.from(json).toString('base64')}`));
+      const encoded = await resolver.load(resolver.locate(`data:application/json,${encodeURIComponent(json)}`));
+      return base64 === json && encoded === json;
+    }
+  },
+  {
+    name: 'Missing name, bad image and attributes without values are reported',
+    run: async () => {
+      const resolver = createResolver();
+      const errors = resolver.validate({ image: 'file:///etc/passwd', attributes: [{ trait_type: 'Color' }] });
+      return resolver.validate(DRAGON).length === 0 && resolver.validate([]).join() === 'Metadata is not a JSON object' &&
+        errors.join('; ') === 'name is missing or not a string; image is not an ipfs, http(s), ar or data URI; attributes[0] has no value';
+    }
+  },
+  {
+    name: 'Local directory gateway reads ipfs:// and http(s):// URIs from disk',
+    run: async () => {
+      const directory = createDirectory();
+      try {
+        const resolver = createResolver(`file://${directory}`);
+        const result = await resolver.resolve({ chainId: 10143, contractAddress: CONTRACT, tokenId: '7', standard: 'ERC721', uri: 'ipfs://QmCid/7.json' });
+        return result.valid && result.metadata.name === DRAGON.name && result.resolvedFrom === path.join(directory, 'QmCid', '7.json') &&
+          resolver.locate('https://example.com/a/7.json').location === path.join(directory, 'example.com', 'a', '7.json');
+      } finally {
+        removeDirectory(directory);
+      }
+    }
+  },
+  {
+    name: 'URIs climbing out of the local directory are rejected',
+    run: async () => {
+      const directory = createDirectory();
+      try {
+        const resolver = createResolver(directory);
+        const result = await resolver.resolve({
+          chainId: 10143,
+          contractAddress: CONTRACT,
+          tokenId: '7',
+          standard: 'ERC721',
+          uri: `ipfs://../${path.basename(directory)}-secret.json`
+        });
+        let hostRejected = false;
+        try {
+          resolver.locate('https://../etc/passwd');
+        } catch (error) {
+          hostRejected = true;
+        }
+        return !result.valid && result.metadata === null && /outside the metadata directory/.test(result.errors[0]) && hostRejected;
+      } finally {
+        removeDirectory(directory);
+      }
+    }
+  },
+  {
+    name: 'Token URIs pointing at loopback, private or link-local hosts are not fetched',
+    run: async () => {
+      const resolver = createResolver();
+      const hosts = ['http://127.0.0.1:6379/', 'http://localhost/', 'http://[::1]/', 'http://[::ffff:10.0.0.1]/',
+        'http://169.254.169.254/latest/meta-data', 'http://10.1.2.3/7.json', 'http://192.168.1.1/', 'http://0.0.0.0/'];
+      for (const location of hosts) {
+        if (!(await rejects(resolver.load({ kind: 'http', location }), /private address/))) return false;
+      }
+      return true;
+    }
+  },
+  {
+    name: 'Configured gateway may be a local node, but paths leaving it and its redirects are refused',
+    run: async () => {
+      const server = await startGateway();
+      try {
+        const gateway = `http://127.0.0.1:${server.address().port}/ipfs/`;
+        const resolver = createResolver(gateway);
+        const raw = await resolver.load(resolver.locate('ipfs://QmCid/7.json'));
+        const redirected = await rejects(resolver.load({ kind: 'http', location: `${gateway}moved` }), /302/);
+        const bypass = await rejects(resolver.load({ kind: 'http', location: `http://127.0.0.1:${server.address().port}/admin` }), /private address/);
+        const escapes = [`${gateway}../api/v0/config`, `${gateway}%2e%2e/api/v0/config`, `${gateway}QmCid%2F..%2F..%2Fapi`, resolver.locate('ipfs://../api/v0/config').location];
+        for (const location of escapes) {
+          if (!(await rejects(resolver.load({ kind: 'http', location }), /private address/))) return false;
+        }
+        return JSON.parse(raw).name === DRAGON.name && redirected && bypass;
+      } finally {
+        server.close();
+      }
+    }
+  }
+];
+
+/**
+ * Run all NFT metadata scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting NFT metadata tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ NFT metadata tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
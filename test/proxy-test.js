@@ -0,0 +1,190 @@
+const { ethers } = require('ethers');
+const { PROXY_SLOTS, detectProxy, mergeABIs } = require('../utils/proxyDetector');
+const abiFetcher = require('../utils/abiFetcher');
+const blockchainService = require('../utils/blockchain');
+
+const PROXY = '0x760AfE86e5de5fa0Ee542fc7B7B713e1c5425701';
+const IMPLEMENTATION = '0x1111111111111111111111111111111111111111';
+const BEACON = '0x2222222222222222222222222222222222222222';
+
+const slotWord = (address) => ethers.zeroPadValue(address, 32);
+const EMPTY_WORD = ethers.ZeroHash;
+
+/**
+ * Pool answering getCode/getStorage/call from fixed chain state; `archive: false` rejects old blocks
+ */
+const createPool = ({ code = '0x6080', slots = {}, beaconImplementation = null, archive = true } = {}) => {
+  const pool = { calls: 0 };
+  const provider = {
+    getCode: async (address, blockTag) => {
+      if (!archive && blockTag !== 'latest') throw new Error('missing trie node');
+      return code;
+    },
+    getStorage: async (address, slot, blockTag) => {
+      if (!archive && blockTag !== 'latest') throw new Error('missing trie node');
+      const name = Object.keys(PROXY_SLOTS).find(key => PROXY_SLOTS[key] === slot);
+      return slots[name] ? slotWord(slots[name]) : EMPTY_WORD;
+    },
+    call: async () => ethers.AbiCoder.defaultAbiCoder().encode(['address'], [beaconImplementation])
+  };
+  pool.execute = async (method, fn) => {
+    pool.calls++;
+    return fn(provider);
+  };
+  return pool;
+};
+
+/**
+ * Minimal stand-in for the Redis string commands the proxy cache uses
+ */
+const createFakeRedis = () => {
+  const values = {};
+  return {
+    values,
+    async get(key) { return values[key] ?? null; },
+    async setEx(key, ttl, value) { values[key] = value; }
+  };
+};
+
+// Proxy patterns read from storage slots and bytecode
+const scenarios = [
+  {
+    name: 'EIP-1967 implementation slot',
+    run: async () => {
+      const proxy = await detectProxy(createPool({ slots: { EIP1967: IMPLEMENTATION } }), PROXY, 100);
+      return proxy.type === 'EIP1967' && proxy.implementation === IMPLEMENTATION && proxy.blockTag === 100;
+    }
+  },
+  {
+    name: 'EIP-1967 beacon resolved through implementation()',
+    run: async () => {
+      const proxy = await detectProxy(createPool({ slots: { EIP1967Beacon: BEACON }, beaconImplementation: IMPLEMENTATION }), PROXY);
+      return proxy.type === 'EIP1967Beacon' && proxy.implementation === IMPLEMENTATION && proxy.beacon === BEACON;
+    }
+  },
+  {
+    name: 'EIP-1167 minimal proxy bytecode',
+    run: async () => {
+      const code = `0x363d3d373d3d3d363d73${IMPLEMENTATION.slice(2).toLowerCase()}5af43d82803e903d91602b57fd5bf3`;
+      const proxy = await detectProxy(createPool({ code }), PROXY);
+      return proxy.type === 'EIP1167' && proxy.implementation === IMPLEMENTATION;
+    }
+  },
+  {
+    name: 'EIP-1822 and ZeppelinOS slots',
+    run: async () => {
+      const uups = await detectProxy(createPool({ slots: { EIP1822: IMPLEMENTATION } }), PROXY);
+      const zos = await detectProxy(createPool({ slots: { ZeppelinOS: IMPLEMENTATION } }), PROXY);
+      return uups.type === 'EIP1822' && zos.type === 'ZeppelinOS' && zos.implementation === IMPLEMENTATION;
+    }
+  },
+  {
+    name: 'Plain contract is not a proxy',
+    run: async () => (await detectProxy(createPool(), PROXY)) === null
+  },
+  {
+    name: 'Non-archive node falls back to the latest implementation',
+    run: async () => {
+      const proxy = await detectProxy(createPool({ slots: { EIP1967: IMPLEMENTATION }, archive: false }), PROXY, 100);
+      return proxy.implementation === IMPLEMENTATION && proxy.blockTag === 'latest';
+    }
+  },
+  {
+    name: 'Merged ABI keeps the proxy entry on duplicates',
+    run: async () => {
+      const merged = new ethers.Interface(mergeABIs(
+        ['function upgradeTo(address newImplementation)', 'event Upgraded(address indexed implementation)'],
+        ['function transfer(address to, uint256 amount) returns (bool)', 'event Upgraded(address indexed implementation)']
+      ));
+      return merged.fragments.length === 3 && Boolean(merged.getFunction('transfer')) && Boolean(merged.getEvent('Upgraded'));
+    }
+  },
+  {
+    name: 'Detection is cached per chain, address and block',
+    run: async () => {
+      const redis = createFakeRedis();
+      Object.defineProperty(abiFetcher, 'redisClient', { get: () => redis, configurable: true });
+      try {
+        const pool = createPool({ slots: { EIP1967: IMPLEMENTATION } });
+        const first = await abiFetcher.getProxy(pool, PROXY, 10143, 100);
+        const callsAfterFirst = pool.calls;
+        const second = await abiFetcher.getProxy(pool, PROXY, 10143, 100);
+        const cachedWithoutCalls = pool.calls === callsAfterFirst;
+
+        await abiFetcher.getProxy(pool, PROXY, 10143, 101);
+        const otherBlockDetected = pool.calls > callsAfterFirst;
+
+        const plain = createPool();
+        await abiFetcher.getProxy(plain, IMPLEMENTATION, 10143, 100);
+        const plainCalls = plain.calls;
+        const notProxy = await abiFetcher.getProxy(plain, IMPLEMENTATION, 10143, 100);
+
+        return first.implementation === IMPLEMENTATION && second.implementation === IMPLEMENTATION &&
+          cachedWithoutCalls && otherBlockDetected && notProxy === null && plain.calls === plainCalls &&
+          Object.keys(redis.values).includes(`proxy:10143:${PROXY.toLowerCase()}:100`);
+      } finally {
+        delete abiFetcher.redisClient;
+      }
+    }
+  },
+  {
+    name: 'Receipt without logs still resolves the proxy at the transaction\'s block',
+    run: async () => {
+      const resolveContractABI = abiFetcher.resolveContractABI;
+      const blockTags = [];
+      abiFetcher.resolveContractABI = async (address, chainId, { blockTag }) => {
+        blockTags.push(blockTag);
+        return { abi: null, proxy: null };
+      };
+      try {
+        await blockchainService.parseLogs([], PROXY, 100);
+        await blockchainService.parseLogs([{ blockNumber: 90, topics: [], data: '0x' }], PROXY);
+      } finally {
+        abiFetcher.resolveContractABI = resolveContractABI;
+      }
+      return blockTags.join(',') === '100,90';
+    }
+  }
+];
+
+/**
+ * Run all proxy detection scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting proxy detection tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ Proxy detection tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
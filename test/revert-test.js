@@ -0,0 +1,77 @@
+const { ethers } = require('ethers');
+const blockchainService = require('../utils/blockchain');
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const selectorOf = (signature) => ethers.id(signature).slice(0, 10);
+const encodeError = (signature, types = [], values = []) => selectorOf(signature) + coder.encode(types, values).slice(2);
+
+// Revert payloads a failed transaction can return
+const scenarios = [
+  {
+    name: 'Error(string) from require with a message',
+    data: encodeError('Error(string)', ['string'], ['Insufficient allowance']),
+    expect: { type: 'Error', reason: 'Insufficient allowance' }
+  },
+  {
+    name: 'Panic(uint256) for arithmetic overflow',
+    data: encodeError('Panic(uint256)', ['uint256'], [0x11]),
+    expect: { type: 'Panic', code: '0x11', reason: 'Arithmetic overflow or underflow' }
+  },
+  {
+    name: 'DummyDisputeContract AmountTooHigh() custom error',
+    data: selectorOf('AmountTooHigh()'),
+    expect: { type: 'CustomError', name: 'AmountTooHigh', reason: 'Amount too high: exceeds 1000' }
+  },
+  {
+    name: 'Custom error with arguments from the contract ABI',
+    data: encodeError('LimitExceeded(uint256,uint256)', ['uint256', 'uint256'], [5000, 1000]),
+    abi: ['error LimitExceeded(uint256 requested, uint256 limit)'],
+    expect: { type: 'CustomError', name: 'LimitExceeded', args: '5000,1000' }
+  },
+  {
+    name: 'Empty revert data',
+    data: '0x',
+    expect: { type: 'Empty' }
+  },
+  {
+    name: 'Custom error missing from every ABI',
+    data: selectorOf('Unlisted()'),
+    expect: { type: 'Unknown', selector: selectorOf('Unlisted()') }
+  }
+];
+
+/**
+ * Run all revert decoding scenarios
+ */
+function runTests() {
+  console.log('🚀 Starting revert reason decoding tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    const result = blockchainService.decodeRevertData(scenario.data, scenario.abi);
+    const actual = { ...result, args: result.args ? result.args.join(',') : undefined };
+    const mismatches = Object.entries(scenario.expect).filter(([key, value]) => actual[key] !== value);
+
+    if (mismatches.length === 0) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+      mismatches.forEach(([key, value]) => console.log(`   ${key}: expected ${value}, got ${actual[key]}`));
+    }
+    console.log(`   Reason: ${result.reason}`);
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  process.exitCode = runTests() ? 0 : 1;
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
@@ -0,0 +1,155 @@
+const RpcPool = require('../utils/rpcPool');
+
+const RECEIPT = { blockHash: '0xaaa', status: 1 };
+
+/**
+ * Pool whose endpoints answer from the given fake providers instead of the network
+ */
+const createPool = (providers, urls = providers.map((provider, index) => `https://rpc-${index}.example`)) => {
+  const pool = new RpcPool({ chainId: 10143, urls });
+  pool.endpoints.forEach((endpoint, index) => { endpoint.provider = providers[index]; });
+  return pool;
+};
+
+const receiptProvider = (receipt) => ({ getTransactionReceipt: async () => receipt });
+const failingProvider = (message) => ({
+  getTransactionReceipt: async () => { throw Object.assign(new Error(message), { code: 'NETWORK_ERROR' }); }
+});
+
+const readReceipt = (pool) => pool.quorum(
+  'getTransactionReceipt',
+  provider => provider.getTransactionReceipt('0x01'),
+  result => `${result.blockHash}:${result.status}`
+);
+
+// Failover, quorum and health behaviour against fake endpoints
+const scenarios = [
+  {
+    name: 'Weights: unset or invalid is 1, 0 is kept',
+    run: async () => {
+      const weights = ['https://a.example', 'https://a.example|abc', 'https://a.example|0', { url: 'https://a.example', weight: 0 }, 'https://a.example|3']
+        .map(entry => RpcPool.parseEndpoint(entry).weight);
+      return weights.join(',') === '1,1,0,0,3';
+    }
+  },
+  {
+    name: 'Zero-weight endpoints are drained',
+    run: async () => {
+      const pool = new RpcPool({ chainId: 10143, urls: ['https://a.example|0', 'https://b.example'] });
+      return pool.endpoints.length === 1 && pool.endpoints[0].url === 'https://b.example';
+    }
+  },
+  {
+    name: 'Failover moves to the next endpoint on a network error',
+    run: async () => {
+      const pool = createPool([failingProvider('connection refused'), receiptProvider(RECEIPT)], ['https://a.example|2', 'https://b.example']);
+      const receipt = await pool.execute('getTransactionReceipt', provider => provider.getTransactionReceipt('0x01'));
+      return receipt === RECEIPT && pool.endpoints[0].consecutiveFailures === 1;
+    }
+  },
+  {
+    name: 'Reverts are answers and do not fail over',
+    run: async () => {
+      let secondCalled = false;
+      const pool = createPool([
+        { call: async () => { throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' }); } },
+        { call: async () => { secondCalled = true; return '0x'; } }
+      ], ['https://a.example|2', 'https://b.example']);
+      try {
+        await pool.execute('call', provider => provider.call({}));
+        return false;
+      } catch (error) {
+        return error.code === 'CALL_EXCEPTION' && !secondCalled && pool.endpoints[0].consecutiveFailures === 0;
+      }
+    }
+  },
+  {
+    name: 'Quorum: a missing receipt on one endpoint is not a disagreement',
+    run: async () => (await readReceipt(createPool([receiptProvider(RECEIPT), receiptProvider(null)]))) === RECEIPT
+  },
+  {
+    name: 'Quorum: endpoints without the receipt are followed by the next endpoint',
+    run: async () => {
+      const pool = createPool([receiptProvider(null), receiptProvider(null), receiptProvider(RECEIPT)], ['https://a.example|3', 'https://b.example|2', 'https://c.example']);
+      return (await readReceipt(pool)) === RECEIPT;
+    }
+  },
+  {
+    name: 'Quorum: null when no endpoint has the receipt',
+    run: async () => (await readReceipt(createPool([receiptProvider(null), receiptProvider(null)]))) === null
+  },
+  {
+    name: 'Quorum: differing receipts are rejected',
+    run: async () => {
+      try {
+        await readReceipt(createPool([receiptProvider(RECEIPT), receiptProvider({ blockHash: '0xbbb', status: 1 })]));
+        return false;
+      } catch (error) {
+        return /disagree/.test(error.message);
+      }
+    }
+  },
+  {
+    name: 'Lagging endpoint stays flagged after successful calls until a probe clears it',
+    run: async () => {
+      const height = { a: 100, b: 80 };
+      const pool = createPool([
+        { getBlockNumber: async () => height.a },
+        { getBlockNumber: async () => height.b, getTransactionReceipt: async () => RECEIPT }
+      ], ['https://a.example', 'https://b.example|5']);
+      const lagging = pool.endpoints[1];
+
+      await pool.probe();
+      const flagged = lagging.lagging && lagging.lagBlocks === 20 && pool.getOrderedEndpoints()[0] !== lagging;
+
+      await pool.callEndpoint(lagging, provider => provider.getTransactionReceipt('0x01'));
+      const stillFlagged = lagging.lagging && pool.getOrderedEndpoints()[0] !== lagging;
+
+      height.b = 100;
+      await pool.probe();
+      return flagged && stillFlagged && !lagging.lagging && pool.getOrderedEndpoints()[0] === lagging;
+    }
+  }
+];
+
+/**
+ * Run all RPC pool scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting RPC pool tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ RPC pool tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
@@ -0,0 +1,120 @@
+const disputeRules = require('../services/disputeRules');
+
+// Test addresses
+const SENDER = '0xbf5542a20a6684d83ccb46a7ae588bf32073a704';
+const RECIPIENT = '0x1234567890abcdef1234567890abcdef12345678';
+
+const emptyLogs = () => ({
+  transfers: [],
+  failures: [],
+  partialTransfers: [],
+  unknownEvents: []
+});
+
+// Scenarios built from DummyDisputeContract behaviour
+const scenarios = [
+  {
+    name: 'Recipient received tokens but claims non-delivery',
+    expect: { clearCut: true, refundRecommendation: 'none', isFakeDispute: true },
+    facts: {
+      toAddress: RECIPIENT,
+      transactionStatus: 'success',
+      disputeDescription: 'The recipient never received the 500 tokens I sent.',
+      parsedLogs: { ...emptyLogs(), transfers: [{ type: 'MonadToken', from: SENDER, to: RECIPIENT, amount: '500', logIndex: 0 }] }
+    }
+  },
+  {
+    name: 'TransferFailed with "Amount too high"',
+    expect: { clearCut: true, refundRecommendation: 'none', isFakeDispute: false, step: 'Resubmit the transfer with an amount of 1000 or less.' },
+    facts: {
+      toAddress: RECIPIENT,
+      transactionStatus: 'success',
+      disputeDescription: 'My transfer of 5000 tokens did not go through.',
+      parsedLogs: { ...emptyLogs(), failures: [{ type: 'TransferFailed', from: SENDER, to: RECIPIENT, amount: '5000', reason: 'Amount too high: exceeds 1000', logIndex: 0 }] }
+    }
+  },
+  {
+    name: 'PartialTransfer sending half the requested amount',
+    expect: { clearCut: true, refundRecommendation: 'partial', refundAmount: '300' },
+    facts: {
+      toAddress: RECIPIENT,
+      transactionStatus: 'success',
+      disputeDescription: 'I asked to send 600 tokens but only 300 arrived.',
+      parsedLogs: { ...emptyLogs(), partialTransfers: [{ type: 'PartialTransfer', from: SENDER, to: RECIPIENT, requested: '600', sent: '300', logIndex: 0 }] }
+    }
+  },
+  {
+    name: 'Reverted with AmountTooHigh custom error (no events survive)',
+    expect: { clearCut: true, refundRecommendation: 'none', isFakeDispute: false },
+    facts: {
+      toAddress: RECIPIENT,
+      transactionStatus: 'failed',
+      revertReason: { type: 'CustomError', name: 'AmountTooHigh', signature: 'AmountTooHigh()', reason: 'Amount too high: exceeds 1000' },
+      disputeDescription: 'My transfer of 5000 tokens failed and I lost gas.',
+      parsedLogs: emptyLogs()
+    }
+  },
+  {
+    name: 'Reverted with a limit the contract does not report',
+    expect: { clearCut: true, refundRecommendation: 'none', step: 'Resubmit the transfer with an amount within the per-transfer limit of the contract.' },
+    facts: {
+      toAddress: RECIPIENT,
+      transactionStatus: 'failed',
+      revertReason: { type: 'Error', reason: 'Amount too high' },
+      disputeDescription: 'My transfer failed.',
+      parsedLogs: emptyLogs()
+    }
+  },
+  {
+    name: 'Transfer to a different recipient',
+    expect: { clearCut: false },
+    facts: {
+      toAddress: RECIPIENT,
+      transactionStatus: 'success',
+      disputeDescription: 'My friend says the tokens never arrived.',
+      parsedLogs: { ...emptyLogs(), transfers: [{ type: 'MonadToken', from: SENDER, to: SENDER, amount: '10', logIndex: 0 }] }
+    }
+  }
+];
+
+/**
+ * Run all rule scenarios
+ */
+function runTests() {
+  console.log('🚀 Starting dispute rule engine tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    const result = disputeRules.evaluate(scenario.facts);
+    const actual = {
+      clearCut: result.clearCut,
+      refundRecommendation: result.verdict?.refundRecommendation,
+      refundAmount: result.verdict?.refundAmount,
+      isFakeDispute: result.verdict?.isFakeDispute,
+      step: result.verdict?.steps[0]
+    };
+    const mismatches = Object.entries(scenario.expect).filter(([key, value]) => actual[key] !== value);
+
+    if (mismatches.length === 0) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+      mismatches.forEach(([key, value]) => console.log(`   ${key}: expected ${value}, got ${actual[key]}`));
+    }
+    console.log(`   Rules: ${result.findings.map(finding => finding.ruleId).join(', ') || 'none'}`);
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  process.exitCode = runTests() ? 0 : 1;
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
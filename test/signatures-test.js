@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const signatureDatabase = require('../utils/signatureDatabase');
+
+const SENDER = '0xbf5542a20a6684d83ccb46a7ae588bf32073a704';
+const RECIPIENT = '0x1234567890abcdef1234567890abcdef12345678';
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const topicOf = (signature) => ethers.id(signature);
+const addressTopic = (address) => ethers.zeroPadValue(address, 32);
+
+/**
+ * Database that imports into a throwaway file instead of data/signatures.custom.json
+ */
+const createDatabase = () => {
+  const database = new signatureDatabase.constructor();
+  database.customPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'signatures-')), 'signatures.custom.json');
+  return database;
+};
+
+const argValues = (decoded) => decoded.args.map(arg => (typeof arg.value === 'string' ? arg.value.toLowerCase() : arg.value)).join(',');
+
+// Lookups and decoding against the bundled and imported signatures
+const scenarios = [
+  {
+    name: 'ERC-20 and ERC-721 Transfer share a topic hash and are told apart by topic count',
+    run: async () => {
+      const topics = [topicOf('Transfer(address,address,uint256)'), addressTopic(SENDER), addressTopic(RECIPIENT)];
+      const erc20 = signatureDatabase.decodeEventLog({ topics, data: coder.encode(['uint256'], [500]) });
+      const erc721 = signatureDatabase.decodeEventLog({ topics: [...topics, ethers.toBeHex(7, 32)], data: '0x' });
+      return erc20.args[2].name === 'value' && erc20.args[2].value === '500' &&
+        erc721.args[2].name === 'tokenId' && erc721.args[2].value === '7';
+    }
+  },
+  {
+    name: 'Event without indexed parameters decodes from data alone',
+    run: async () => {
+      const decoded = signatureDatabase.decodeEventLog({
+        topics: [topicOf('Sync(uint112,uint112)')],
+        data: coder.encode(['uint112', 'uint112'], [10, 20])
+      });
+      return decoded.name === 'Sync' && argValues(decoded) === '10,20' && decoded.guessedIndexing === false;
+    }
+  },
+  {
+    name: 'Data that does not re-encode exactly is rejected',
+    run: async () => {
+      const decoded = signatureDatabase.decodeEventLog({
+        topics: [topicOf('Sync(uint112,uint112)')],
+        data: coder.encode(['uint256', 'uint256', 'uint256'], [10, 20, 30])
+      });
+      return decoded === null;
+    }
+  },
+  {
+    name: 'Unknown topic hash',
+    run: async () => signatureDatabase.decodeEventLog({ topics: [topicOf('Unlisted(uint256)')], data: '0x' }) === null
+  },
+  {
+    name: 'Function selector decodes with named arguments',
+    run: async () => {
+      const data = new ethers.Interface(['function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)'])
+        .encodeFunctionData('swapExactTokensForTokens', [1000, 900, [SENDER, RECIPIENT], RECIPIENT, 1700000000]);
+      const decoded = signatureDatabase.decodeFunctionData(data);
+      return decoded.name === 'swapExactTokensForTokens' && decoded.exact && decoded.args[2].name === 'path' && decoded.args[2].value.length === 2;
+    }
+  },
+  {
+    name: 'Imported event without indexed markers is decoded by guessing the indexing',
+    run: async () => {
+      const database = createDatabase();
+      const result = await database.importSignatures({ events: ['event Staked(address user, uint256 amount)', 'event Broken('] });
+      const again = await database.importSignatures({ events: ['event Staked(address user, uint256 amount)'] });
+      const saved = JSON.parse(fs.readFileSync(database.customPath, 'utf8'));
+      fs.rmSync(path.dirname(database.customPath), { recursive: true, force: true });
+
+      const decoded = database.decodeEventLog({
+        topics: [topicOf('Staked(address,uint256)'), addressTopic(SENDER)],
+        data: coder.encode(['uint256'], [42])
+      });
+      return result.added.length === 1 && result.invalid.length === 1 && again.existing.length === 1 &&
+        Boolean(saved.events[topicOf('Staked(address,uint256)')]) &&
+        decoded.guessedIndexing && decoded.args[0].indexed && argValues(decoded) === `${SENDER},42`;
+    }
+  },
+  {
+    name: 'Imported function is looked up by selector',
+    run: async () => {
+      const database = createDatabase();
+      await database.importSignatures({ functions: ['function stake(uint256 amount)'] });
+      fs.rmSync(path.dirname(database.customPath), { recursive: true, force: true });
+      const stats = database.getStats();
+      return database.lookupFunction(ethers.id('stake(uint256)').slice(0, 10)).length === 1 && stats.customFunctions === 1;
+    }
+  }
+];
+
+/**
+ * Run all signature database scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting signature database tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ Signature database tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
@@ -0,0 +1,177 @@
+const { ethers } = require('ethers');
+const blockchainService = require('../utils/blockchain');
+
+const TOKEN = '0x760AfE86e5de5fa0Ee542fc7B7B713e1c5425701';
+const SENDER = '0xBf5542A20A6684D83ccb46a7ae588bf32073a704';
+const RECIPIENT = '0x90F79bf6EB2c4f870365E785982E1f101E93b906';
+const OTHER = '0x1234567890AbcdEF1234567890aBcdef12345678';
+
+// Disputed transaction mined in block 100, chain head at 120
+const BLOCK = 100;
+const HEAD = 120;
+
+const reads = new ethers.Interface([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function ownerOf(uint256 tokenId) view returns (address)'
+]);
+
+/**
+ * Blockchain service answering reads from `state`: "<read>:<args>" -> [before, after, current] values
+ * (for blocks 99, 100 and 120). Blocks listed in `pruned` fail like a non-archive node.
+ */
+const createBlockchain = (state, { pruned = [] } = {}) => {
+  const valueAt = (key, blockTag) => {
+    if (pruned.includes(blockTag)) throw new Error(`missing trie node (block ${blockTag})`);
+    const values = state[key];
+    if (!values) return 0n;
+    return values[blockTag === BLOCK - 1 ? 0 : blockTag === BLOCK ? 1 : 2];
+  };
+  const provider = {
+    getBlockNumber: async () => HEAD,
+    getBalance: async (address, blockTag) => valueAt(`native:${address}`, blockTag),
+    call: async (transaction) => {
+      const call = reads.parseTransaction({ data: transaction.data });
+      const key = [call.signature, ...call.args.map(String)].join(':');
+      return reads.encodeFunctionResult(call.fragment, [valueAt(key, transaction.blockTag)]);
+    }
+  };
+  const blockchain = Object.create(blockchainService);
+  blockchain.rpcPool = { execute: async (method, fn) => fn(provider), getProvider: () => provider };
+  return blockchain;
+};
+
+const rowOf = (snapshots, address, asset) => snapshots.balances.find(row => row.address === address && row.asset === asset);
+
+const erc20 = (overrides = {}) => ({
+  contractType: 'ERC20',
+  transfers: [{ type: 'ERC20', from: SENDER, to: RECIPIENT, value: '500' }],
+  ...overrides
+});
+
+// Balances and ownership before, right after and long after the transaction's block
+const scenarios = [
+  {
+    name: 'Recipient who spent the tokens since still shows the delta the transaction caused',
+    run: async () => {
+      const blockchain = createBlockchain({
+        [`balanceOf(address):${SENDER}`]: [1000n, 500n, 500n],
+        [`balanceOf(address):${RECIPIENT}`]: [0n, 500n, 0n],
+        [`native:${SENDER}`]: [10n, 9n, 9n]
+      });
+      const snapshots = await blockchain.getBalanceSnapshots(TOKEN, { sender: SENDER, recipient: RECIPIENT, blockNumber: BLOCK, parsedLogs: erc20() });
+      const recipient = rowOf(snapshots, RECIPIENT, 'token');
+      const sender = rowOf(snapshots, SENDER, 'token');
+      return JSON.stringify(snapshots.blocks) === JSON.stringify({ before: 99, after: 100, current: 120 }) &&
+        recipient.role === 'recipient' && recipient.before === '0' && recipient.after === '500' && recipient.current === '0' &&
+        recipient.delta === '500' && recipient.changedSince === '-500' && sender.delta === '-500' &&
+        rowOf(snapshots, SENDER, 'native').delta === '-1' && !snapshots.archiveUnavailable && snapshots.errors.length === 0;
+    }
+  },
+  {
+    name: 'NFT ownership is read at each block',
+    run: async () => {
+      const blockchain = createBlockchain({ 'ownerOf(uint256):7': [SENDER, RECIPIENT, OTHER] });
+      const parsedLogs = { contractType: 'ERC721', transfers: [{ type: 'ERC721', from: SENDER, to: RECIPIENT, tokenId: '7' }] };
+      const snapshots = await blockchain.getBalanceSnapshots(TOKEN, { sender: SENDER, recipient: RECIPIENT, blockNumber: BLOCK, parsedLogs });
+      const [owner] = snapshots.ownership;
+      return snapshots.ownership.length === 1 && owner.tokenId === '7' &&
+        owner.before === SENDER && owner.after === RECIPIENT && owner.current === OTHER;
+    }
+  },
+  {
+    name: 'ERC-1155 balances get one row per token id',
+    run: async () => {
+      const blockchain = createBlockchain({
+        [`balanceOf(address,uint256):${RECIPIENT}:7`]: [1n, 4n, 4n],
+        [`balanceOf(address,uint256):${RECIPIENT}:9`]: [0n, 2n, 1n]
+      });
+      const parsedLogs = {
+        contractType: 'ERC1155',
+        transfers: [{ type: 'ERC1155', from: SENDER, to: RECIPIENT, tokenId: '7', amount: '3' }, { type: 'ERC1155', from: SENDER, to: RECIPIENT, tokenId: '9', amount: '2' }]
+      };
+      const snapshots = await blockchain.getBalanceSnapshots(TOKEN, { sender: SENDER, recipient: RECIPIENT, blockNumber: BLOCK, parsedLogs });
+      return rowOf(snapshots, RECIPIENT, 'token:7').delta === '3' && rowOf(snapshots, RECIPIENT, 'token:9').changedSince === '-1' &&
+        snapshots.balances.filter(row => row.asset.startsWith('token:')).length === 4 && snapshots.ownership.length === 0;
+    }
+  },
+  {
+    name: 'Node without archive state reports null history and keeps the current values',
+    run: async () => {
+      const blockchain = createBlockchain({ [`balanceOf(address):${RECIPIENT}`]: [0n, 500n, 300n] }, { pruned: [BLOCK - 1, BLOCK] });
+      const snapshots = await blockchain.getBalanceSnapshots(TOKEN, { sender: null, recipient: RECIPIENT, blockNumber: BLOCK, parsedLogs: erc20() });
+      const recipient = rowOf(snapshots, RECIPIENT, 'token');
+      return recipient.before === null && recipient.after === null && recipient.current === '300' &&
+        recipient.delta === null && recipient.changedSince === null && snapshots.archiveUnavailable &&
+        snapshots.errors.some(error => error.startsWith('before@99: missing trie node'));
+    }
+  },
+  {
+    name: 'Without a recipient every receiver in the receipt is snapshotted',
+    run: async () => {
+      const blockchain = createBlockchain({});
+      const parsedLogs = erc20({
+        transfers: [
+          { type: 'ERC20', from: SENDER, to: RECIPIENT.toLowerCase(), value: '500' },
+          { type: 'ERC20', from: SENDER, to: OTHER, value: '1' },
+          { type: 'ERC20', from: OTHER, to: SENDER, value: '9', source: 'historical' }
+        ]
+      });
+      const snapshots = await blockchain.getBalanceSnapshots(TOKEN, { sender: SENDER, recipient: null, blockNumber: BLOCK, parsedLogs });
+      const parties = [...new Set(snapshots.balances.map(row => `${row.role}:${row.address}`))];
+      return parties.join() === `sender:${SENDER},recipient:${RECIPIENT},recipient:${OTHER}` &&
+        (await blockchain.getBalanceSnapshots(TOKEN, { sender: null, recipient: null, blockNumber: BLOCK, parsedLogs: { transfers: [] } })) === null;
+    }
+  },
+  {
+    name: 'Native transfers without a contract only snapshot native balances',
+    run: async () => {
+      const blockchain = createBlockchain({ [`native:${RECIPIENT}`]: [0n, ethers.WeiPerEther, ethers.WeiPerEther] });
+      const snapshots = await blockchain.getBalanceSnapshots(null, { sender: SENDER, recipient: RECIPIENT, blockNumber: BLOCK, parsedLogs: { transfers: [] } });
+      return snapshots.balances.every(row => row.asset === 'native') && snapshots.balances.length === 2 &&
+        rowOf(snapshots, RECIPIENT, 'native').delta === ethers.WeiPerEther.toString();
+    }
+  }
+];
+
+/**
+ * Run all balance snapshot scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting balance snapshot tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ Balance snapshot tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
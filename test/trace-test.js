@@ -0,0 +1,185 @@
+const blockchainService = require('../utils/blockchain');
+const { fromCallTracer, fromParityTraces, summarizeCallTree } = require('../utils/callTrace');
+
+const TX_HASH = `0x${'b8'.repeat(32)}`;
+const SENDER = '0xbf5542a20a6684d83ccb46a7ae588bf32073a704';
+const WALLET = '0x760afe86e5de5fa0ee542fc7b7b713e1c5425701';
+const PAYEE = '0x1234567890abcdef1234567890abcdef12345678';
+const REFUND = '0x90f79bf6eb2c4f870365e785982e1f101e93b906';
+
+// Multisig execution paying PAYEE 0x64 wei, whose refund subcall to REFUND reverted
+const CALL_TRACER_RESULT = {
+  type: 'CALL',
+  from: SENDER,
+  to: WALLET,
+  value: '0x0',
+  gas: '0x30d40',
+  gasUsed: '0x9c40',
+  input: '0x6a761202000000',
+  calls: [
+    { type: 'CALL', from: WALLET, to: PAYEE, value: '0x64', gas: '0x2710', gasUsed: '0x5208', input: '0x' },
+    {
+      type: 'CALL',
+      from: WALLET,
+      to: REFUND,
+      value: '0x0',
+      gas: '0x2710',
+      gasUsed: '0x2710',
+      input: '0xa9059cbb0000',
+      error: 'execution reverted',
+      revertReason: 'Refund closed',
+      calls: [{ type: 'CALL', from: REFUND, to: SENDER, value: '0x32', gas: '0x100', gasUsed: '0x100', input: '0x' }]
+    }
+  ]
+};
+
+// The same execution as trace_transaction's flat list
+const PARITY_RESULT = [
+  { action: { callType: 'call', from: SENDER, to: WALLET, value: '0x0', gas: '0x30d40', input: '0x6a761202000000' }, result: { gasUsed: '0x9c40' }, traceAddress: [] },
+  { action: { callType: 'call', from: WALLET, to: PAYEE, value: '0x64', gas: '0x2710', input: '0x' }, result: { gasUsed: '0x5208' }, traceAddress: [0] },
+  { action: { callType: 'call', from: WALLET, to: REFUND, value: '0x0', gas: '0x2710', input: '0xa9059cbb0000' }, error: 'Reverted', traceAddress: [1] },
+  { action: { callType: 'call', from: REFUND, to: SENDER, value: '0x32', gas: '0x100', input: '0x' }, result: { gasUsed: '0x100' }, traceAddress: [1, 0] }
+];
+
+/**
+ * Blockchain service whose RPC answers the tracing methods from `methods` (a missing method is unsupported)
+ */
+const createBlockchain = (methods) => {
+  const requests = [];
+  const provider = {
+    send: async (method, params) => {
+      requests.push(method);
+      if (!(method in methods)) throw new Error(`the method ${method} does not exist/is not available`);
+      return methods[method](params);
+    }
+  };
+  const blockchain = Object.create(blockchainService);
+  blockchain.rpcPool = { execute: async (method, fn) => fn(provider) };
+  blockchain.requests = requests;
+  return blockchain;
+};
+
+const transfers = (trace) => trace.internalTransfers.map(transfer => `${transfer.path}:${transfer.value}${transfer.reverted ? ':reverted' : ''}`).join(',');
+
+// Call tree normalization, internal value transfers, reverted subcalls and RPCs without tracing
+const scenarios = [
+  {
+    name: 'callTracer output becomes a call tree with gas per frame',
+    run: async () => {
+      const tree = fromCallTracer(CALL_TRACER_RESULT);
+      const [payout, refund] = tree.calls;
+      return tree.path === '0' && tree.depth === 0 && tree.gasUsed === '40000' && tree.selector === '0x6a761202' &&
+        payout.path === '0.0' && payout.value === '100' && payout.gasUsed === '21000' && payout.selector === null &&
+        refund.error === 'execution reverted' && refund.revertReason === 'Refund closed' && refund.calls[0].path === '0.1.0';
+    }
+  },
+  {
+    name: 'Value under a reverted call is marked reverted and left out of the total',
+    run: async () => {
+      const summary = summarizeCallTree(fromCallTracer(CALL_TRACER_RESULT));
+      return transfers(summary) === '0.0:100,0.1.0:50:reverted' && summary.totalInternalValue === '100' &&
+        summary.revertedCalls.length === 1 && summary.revertedCalls[0].path === '0.1' && summary.frames === 4 && !summary.truncated;
+    }
+  },
+  {
+    name: 'trace_transaction lists rebuild the same tree',
+    run: async () => {
+      const summary = summarizeCallTree(fromParityTraces(PARITY_RESULT));
+      return transfers(summary) === '0.0:100,0.1.0:50:reverted' && summary.revertedCalls[0].error === 'Reverted' &&
+        fromParityTraces(PARITY_RESULT).calls[1].calls[0].depth === 2;
+    }
+  },
+  {
+    name: 'Large trees stop at the frame limit',
+    run: async () => {
+      const summary = summarizeCallTree(fromCallTracer(CALL_TRACER_RESULT), 2);
+      return summary.frames === 2 && summary.truncated && transfers(summary) === '0.0:100';
+    }
+  },
+  {
+    name: 'debug_traceTransaction is preferred, trace_transaction is the fallback',
+    run: async () => {
+      const debug = createBlockchain({ debug_traceTransaction: ([hash, options]) => (hash === TX_HASH && options.tracer === 'callTracer' ? CALL_TRACER_RESULT : null) });
+      const parity = createBlockchain({ trace_transaction: () => PARITY_RESULT });
+      const debugTrace = await debug.getTransactionTrace(TX_HASH);
+      const parityTrace = await parity.getTransactionTrace(TX_HASH);
+      return debugTrace.available && debugTrace.source === 'debug_traceTransaction' && debug.requests.join() === 'debug_traceTransaction' &&
+        parityTrace.available && parityTrace.source === 'trace_transaction' && transfers(parityTrace) === '0.0:100,0.1.0:50:reverted' &&
+        parity.requests.join() === 'debug_traceTransaction,trace_transaction';
+    }
+  },
+  {
+    name: 'RPC without tracing, or with tracing disabled, degrades to an unavailable trace',
+    run: async () => {
+      const unsupported = await createBlockchain({ trace_transaction: () => null }).getTransactionTrace(TX_HASH);
+      const enabled = process.env.TRACE_ENABLED;
+      process.env.TRACE_ENABLED = 'false';
+      const disabledBlockchain = createBlockchain({ debug_traceTransaction: () => CALL_TRACER_RESULT });
+      let disabled;
+      try {
+        disabled = await disabledBlockchain.getTransactionTrace(TX_HASH);
+      } finally {
+        if (enabled === undefined) delete process.env.TRACE_ENABLED;
+        else process.env.TRACE_ENABLED = enabled;
+      }
+      return !unsupported.available &&
+        unsupported.reason === 'debug_traceTransaction: the method debug_traceTransaction does not exist/is not available; trace_transaction: empty trace' &&
+        !disabled.available && disabled.reason.includes('TRACE_ENABLED=false') && disabledBlockchain.requests.length === 0;
+    }
+  },
+  {
+    name: 'Internal transfers that did not revert show up in the transaction pattern',
+    run: async () => {
+      const trace = summarizeCallTree(fromCallTracer(CALL_TRACER_RESULT));
+      const analysis = blockchainService.analyzeTransactionPattern(
+        { to: WALLET, data: '0x6a761202', value: 0n },
+        { status: 1, gasUsed: 40000n },
+        { internalTransfers: trace.internalTransfers, unknownEvents: [] }
+      );
+      return analysis.internalValueTransferred === '100' && analysis.patterns.includes('INTERNAL_VALUE_TRANSFER') &&
+        analysis.valueTransferred === '0';
+    }
+  }
+];
+
+/**
+ * Run all call tracing scenarios
+ */
+async function runTests() {
+  console.log('🚀 Starting call tracing tests...\n');
+  let failed = 0;
+
+  for (const scenario of scenarios) {
+    let passed = false;
+    try {
+      passed = await scenario.run();
+    } catch (error) {
+      console.log(`   ${error.message}`);
+    }
+
+    if (passed) {
+      console.log(`✅ ${scenario.name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${scenario.name}`);
+    }
+  }
+
+  console.log(`\n🏁 ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  return failed === 0;
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+  runTests()
+    .then(passed => { process.exitCode = passed ? 0 : 1; })
+    .catch(error => {
+      console.error('❌ Call tracing tests crashed:', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  scenarios,
+  runTests
+};
@@ -1,44 +1,50 @@
 const axios = require('axios');
+const mongoose = require('mongoose');
 const logger = require('../config/logger');
 const { getRedisClient } = require('../config/database');
+const { getChain } = require('../config/chains');
+const { abiCacheKey, proxyCacheKey } = require('./cacheKeys');
+const { decodeERC1155Log } = require('./erc1155');
+const { decodeApprovalLog } = require('./approvals');
+const { detectProxy, mergeABIs } = require('./proxyDetector');
+const signatureDatabase = require('./signatureDatabase');
+const ContractAbi = require('../models/ContractAbi');
+
+// Proxy detection at a fixed block never changes; at 'latest' it changes on upgrade
+const PROXY_CACHE_TTL = 86400; // 24 hours
+const PROXY_LATEST_CACHE_TTL = 300; // 5 minutes
 
 class ABIFetcher {
-  constructor() {
-    this.redisClient = getRedisClient();
-    this.explorers = {
-      monadscan: {
-        baseUrl: 'https://testnet.monadscan.com/api',
-        apiKey: process.env.MONADSCAN_API_KEY
-      },
-      monadexplorer: {
-        baseUrl: 'https://testnet.monadexplorer.com/api',
-        apiKey: process.env.MONADEXPLORER_API_KEY
-      }
-    };
+  /**
+   * Redis client is resolved lazily since connectRedis runs after services load
+   */
+  get redisClient() {
+    return getRedisClient();
   }
 
   /**
-   * Fetch ABI from MonadScan
+   * Fetch ABI from an Etherscan-compatible API (MonadScan, Etherscan v2)
    */
-  async fetchFromMonadScan(contractAddress) {
+  async fetchFromEtherscan(explorer, contractAddress, chainId) {
     try {
-      const response = await axios.get(this.explorers.monadscan.baseUrl, {
+      const response = await axios.get(explorer.baseUrl, {
         params: {
+          chainid: explorer.name === 'etherscan' ? chainId : undefined,
           module: 'contract',
           action: 'getabi',
           address: contractAddress,
-          apikey: this.explorers.monadscan.apiKey
+          apikey: explorer.apiKey
         },
         timeout: 10000
       });
 
       if (response.data.status === '1' && response.data.result !== 'Contract source code not verified') {
-        logger.info(`ABI fetched from MonadScan for ${contractAddress}`);
+        logger.info(`ABI fetched from ${explorer.name} for ${contractAddress}`);
         return JSON.parse(response.data.result);
       }
       return null;
     } catch (error) {
-      logger.warn(`Failed to fetch ABI from MonadScan: ${error.message}`);
+      logger.warn(`Failed to fetch ABI from ${explorer.name}: ${error.message}`);
       return null;
     }
   }
@@ -46,9 +52,9 @@ class ABIFetcher {
   /**
    * Fetch ABI from MonadExplorer
    */
-  async fetchFromMonadExplorer(contractAddress) {
+  async fetchFromMonadExplorer(explorer, contractAddress) {
     try {
-      const response = await axios.get(`${this.explorers.monadexplorer.baseUrl}/contracts/${contractAddress}/abi`, {
+      const response = await axios.get(`${explorer.baseUrl}/contracts/${contractAddress}/abi`, {
         headers: {
           'Accept': 'application/json'
         },
@@ -56,52 +62,169 @@ class ABIFetcher {
       });
 
       if (response.data && response.data.abi) {
-        logger.info(`ABI fetched from MonadExplorer for ${contractAddress}`);
+        logger.info(`ABI fetched from ${explorer.name} for ${contractAddress}`);
         return response.data.abi;
       }
       return null;
     } catch (error) {
-      logger.warn(`Failed to fetch ABI from MonadExplorer: ${error.message}`);
+      logger.warn(`Failed to fetch ABI from ${explorer.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch a contract's ABI, merged with its implementation's ABI when it is a proxy
+   * @param {string} contractAddress - Contract address
+   * @param {number} chainId - Chain id (defaults to the default chain)
+   * @param {Object} options - rpcPool to detect proxies with, blockTag to resolve the implementation at
+   */
+  async fetchABI(contractAddress, chainId, options = {}) {
+    const { abi } = await this.resolveContractABI(contractAddress, chainId, options);
+    return abi;
+  }
+
+  /**
+   * Like fetchABI, but also returns the detected proxy ({ type, implementation, beacon, blockTag } or null).
+   * Proxy detection needs an rpcPool; without one only the address's own ABI is fetched.
+   */
+  async resolveContractABI(contractAddress, chainId, { rpcPool, blockTag } = {}) {
+    const ownABI = await this.fetchAddressABI(contractAddress, chainId);
+    if (!rpcPool) {
+      return { abi: ownABI, proxy: null };
+    }
+
+    const proxy = await this.getProxy(rpcPool, contractAddress, chainId, blockTag);
+    if (!proxy) {
+      return { abi: ownABI, proxy: null };
+    }
+
+    logger.info(`${contractAddress} is an ${proxy.type} proxy for ${proxy.implementation}`);
+    const implementationABI = await this.fetchAddressABI(proxy.implementation, chainId);
+    if (!implementationABI) {
+      return { abi: ownABI, proxy };
+    }
+
+    try {
+      return { abi: mergeABIs(ownABI, implementationABI), proxy };
+    } catch (error) {
+      logger.warn(`Could not merge proxy and implementation ABIs for ${contractAddress}:`, error.message);
+      return { abi: ownABI || implementationABI, proxy };
+    }
+  }
+
+  /**
+   * Latest ABI uploaded to the registry for this address (null when MongoDB is not connected)
+   */
+  async getRegisteredABI(contractAddress, chainId) {
+    if (mongoose.connection.readyState !== 1) return null;
+
+    try {
+      const registered = await ContractAbi.findLatest(chainId, contractAddress);
+      return registered ? registered.abi : null;
+    } catch (error) {
+      logger.error('Failed to read ABI registry:', error.message);
       return null;
     }
   }
 
   /**
-   * Try multiple sources to fetch ABI
+   * ABI for exactly this address: the ABI registry first, then the Redis cache, then each
+   * explorer configured for the chain in order
    */
-  async fetchABI(contractAddress) {
+  async fetchAddressABI(contractAddress, chainId) {
+    const chain = getChain(chainId);
+
+    const registeredABI = await this.getRegisteredABI(contractAddress, chain.chainId);
+    if (registeredABI) {
+      logger.info(`Using registered ABI for ${contractAddress}`);
+      return registeredABI;
+    }
+
     // First check cache
-    const cachedABI = await this.getCachedABI(contractAddress);
+    const cachedABI = await this.getCachedABI(contractAddress, chain.chainId);
     if (cachedABI) {
       logger.info(`Using cached ABI for ${contractAddress}`);
       return cachedABI;
     }
 
-    // Try MonadScan first
-    let abi = await this.fetchFromMonadScan(contractAddress);
-    
-    // If not found, try MonadExplorer
-    if (!abi) {
-      abi = await this.fetchFromMonadExplorer(contractAddress);
+    let abi = null;
+    for (const explorer of chain.explorers) {
+      abi = explorer.type === 'monadexplorer'
+        ? await this.fetchFromMonadExplorer(explorer, contractAddress)
+        : await this.fetchFromEtherscan(explorer, contractAddress, chain.chainId);
+      if (abi) break;
     }
 
     // Cache the ABI if found
     if (abi) {
-      await this.cacheABI(contractAddress, abi);
+      await this.cacheABI(contractAddress, abi, chain.chainId);
     }
 
     return abi;
   }
 
+  /**
+   * Proxy detection for an address at a block, cached per (chainId, address, block)
+   * @returns {Object|null} - The detected proxy, or null when not a proxy or detection failed
+   */
+  async getProxy(rpcPool, contractAddress, chainId, blockTag = 'latest') {
+    const cacheKey = proxyCacheKey(contractAddress, blockTag, chainId);
+    const cached = await this.getCachedProxy(cacheKey);
+    if (cached) {
+      return cached.proxy;
+    }
+
+    let proxy;
+    try {
+      proxy = await detectProxy(rpcPool, contractAddress, blockTag);
+    } catch (error) {
+      // Failures are not cached, so detection is retried on the next request
+      logger.warn(`Proxy detection failed for ${contractAddress}:`, error.message);
+      return null;
+    }
+
+    // Results read at 'latest' (including the non-archive fallback) can change on upgrade
+    const ttl = blockTag === 'latest' || (proxy && proxy.blockTag === 'latest') ? PROXY_LATEST_CACHE_TTL : PROXY_CACHE_TTL;
+    await this.cacheProxy(cacheKey, proxy, ttl);
+    return proxy;
+  }
+
+  /**
+   * Cached proxy detection ({ proxy } so that "not a proxy" is cached too)
+   */
+  async getCachedProxy(cacheKey) {
+    if (!this.redisClient) return null;
+
+    try {
+      const cached = await this.redisClient.get(cacheKey);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      logger.error('Failed to get cached proxy detection:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cache a proxy detection result in Redis
+   */
+  async cacheProxy(cacheKey, proxy, ttl) {
+    if (!this.redisClient) return;
+
+    try {
+      await this.redisClient.setEx(cacheKey, ttl, JSON.stringify({ proxy }));
+    } catch (error) {
+      logger.error('Failed to cache proxy detection:', error.message);
+    }
+  }
+
   /**
    * Cache ABI in Redis
    */
-  async cacheABI(contractAddress, abi) {
+  async cacheABI(contractAddress, abi, chainId) {
     if (!this.redisClient) return;
     
     try {
-      const key = `abi:${contractAddress.toLowerCase()}`;
-      await this.redisClient.setEx(key, 86400, JSON.stringify(abi)); // Cache for 24 hours
+      await this.redisClient.setEx(abiCacheKey(contractAddress, chainId), 86400, JSON.stringify(abi)); // Cache for 24 hours
       logger.info(`ABI cached for ${contractAddress}`);
     } catch (error) {
       logger.error('Failed to cache ABI:', error.message);
@@ -111,12 +234,11 @@ class ABIFetcher {
   /**
    * Get cached ABI from Redis
    */
-  async getCachedABI(contractAddress) {
+  async getCachedABI(contractAddress, chainId) {
     if (!this.redisClient) return null;
     
     try {
-      const key = `abi:${contractAddress.toLowerCase()}`;
-      const cached = await this.redisClient.get(key);
+      const cached = await this.redisClient.get(abiCacheKey(contractAddress, chainId));
       return cached ? JSON.parse(cached) : null;
     } catch (error) {
       logger.error('Failed to get cached ABI:', error.message);
@@ -133,6 +255,8 @@ class ABIFetcher {
       transfers: [],
       failures: [],
       partialTransfers: [],
+      uris: [],
+      approvals: [],
       contractType: 'Custom',
       contractInfo: {},
       parsedEvents: []
@@ -152,8 +276,16 @@ class ABIFetcher {
               logIndex: log.logIndex
             };
 
-            // Categorize events based on name patterns
-            if (parsedLog.name.toLowerCase().includes('transfer')) {
+            // ERC-1155 events put the operator first, so name-based guessing would misread them
+            const erc1155Events = decodeERC1155Log(log);
+            const approval = decodeApprovalLog(log);
+            if (approval) {
+              parsedLogs.approvals.push(approval);
+            } else if (erc1155Events) {
+              parsedLogs.transfers.push(...erc1155Events.transfers);
+              parsedLogs.uris.push(...erc1155Events.uris);
+              parsedLogs.contractType = 'ERC1155';
+            } else if (parsedLog.name.toLowerCase().includes('transfer')) {
               if (parsedLog.name.toLowerCase().includes('failed')) {
                 parsedLogs.failures.push({
                   type: parsedLog.name,
@@ -184,6 +316,18 @@ class ABIFetcher {
             }
 
             parsedLogs.parsedEvents.push(eventData);
+          } else {
+            // Not in the contract's ABI (e.g. emitted by a library or another contract)
+            const decodedEvent = signatureDatabase.decodeEventLog(log);
+            if (decodedEvent) {
+              parsedLogs.parsedEvents.push({
+                name: decodedEvent.name,
+                args: decodedEvent.args.map(arg => arg.value),
+                signature: decodedEvent.signature,
+                source: 'signatureDatabase',
+                logIndex: log.logIndex
+              });
+            }
           }
         } catch (error) {
           // If parsing fails, add as unknown event
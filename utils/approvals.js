@@ -0,0 +1,65 @@
+const { ethers } = require('ethers');
+
+// ERC-20 and ERC-721 share the Approval signature; they differ in whether the third argument is indexed
+const ERC20_APPROVAL_ABI = [
+  'event Approval(address indexed owner, address indexed spender, uint256 value)',
+  'function allowance(address owner, address spender) view returns (uint256)'
+];
+
+const ERC721_APPROVAL_ABI = [
+  'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+  'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)',
+  'function getApproved(uint256 tokenId) view returns (address)',
+  'function isApprovedForAll(address owner, address operator) view returns (bool)'
+];
+
+const erc20ApprovalInterface = new ethers.Interface(ERC20_APPROVAL_ABI);
+const erc721ApprovalInterface = new ethers.Interface(ERC721_APPROVAL_ABI);
+
+const APPROVAL_TOPIC = erc20ApprovalInterface.getEvent('Approval').topicHash;
+const APPROVAL_FOR_ALL_TOPIC = erc721ApprovalInterface.getEvent('ApprovalForAll').topicHash;
+
+// Allowances at or above half of uint256 max are treated as "unlimited" approvals
+const UNLIMITED_THRESHOLD = ethers.MaxUint256 / 2n;
+
+/**
+ * Decode an Approval (ERC-20 or ERC-721) or ApprovalForAll log
+ * @param {Object} log - Raw log (address, topics, data, logIndex, blockNumber)
+ * @returns {Object|null} - Approval entry, or null if the log is not an approval
+ */
+const decodeApprovalLog = (log) => {
+  const topic = log.topics && log.topics[0];
+  if (topic !== APPROVAL_TOPIC && topic !== APPROVAL_FOR_ALL_TOPIC) return null;
+
+  const base = {
+    contract: log.address,
+    logIndex: log.logIndex,
+    blockNumber: log.blockNumber
+  };
+
+  try {
+    if (topic === APPROVAL_FOR_ALL_TOPIC) {
+      const parsedLog = erc721ApprovalInterface.parseLog(log);
+      return { type: 'ApprovalForAll', owner: parsedLog.args[0], spender: parsedLog.args[1], approved: parsedLog.args[2], ...base };
+    }
+
+    if (log.topics.length === 4) {
+      const parsedLog = erc721ApprovalInterface.parseLog(log);
+      return { type: 'ERC721Approval', owner: parsedLog.args[0], spender: parsedLog.args[1], tokenId: parsedLog.args[2].toString(), ...base };
+    }
+
+    const parsedLog = erc20ApprovalInterface.parseLog(log);
+    return { type: 'ERC20Approval', owner: parsedLog.args[0], spender: parsedLog.args[1], value: parsedLog.args[2].toString(), ...base };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  ERC20_APPROVAL_ABI,
+  ERC721_APPROVAL_ABI,
+  APPROVAL_TOPIC,
+  APPROVAL_FOR_ALL_TOPIC,
+  UNLIMITED_THRESHOLD,
+  decodeApprovalLog
+};
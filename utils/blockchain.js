@@ -1,7 +1,25 @@
 const { ethers } = require('ethers');
 const logger = require('../config/logger');
 const { getRedisClient } = require('../config/database');
+const { getChain } = require('../config/chains');
+const RpcPool = require('./rpcPool');
+const { ERC1155_ABI } = require('./erc1155');
+const {
+  ERC20_APPROVAL_ABI,
+  ERC721_APPROVAL_ABI,
+  APPROVAL_TOPIC,
+  APPROVAL_FOR_ALL_TOPIC,
+  UNLIMITED_THRESHOLD,
+  decodeApprovalLog
+} = require('./approvals');
+const { fromCallTracer, fromParityTraces, summarizeCallTree } = require('./callTrace');
+const { transferTopics, scanLogs, resolveBlockRange } = require('./logScanner');
 const abiFetcher = require('./abiFetcher');
+const signatureDatabase = require('./signatureDatabase');
+const logDecoders = require('./logDecoders');
+const { decodeCalldataWithABI } = require('./calldata');
+const { analyzeFees } = require('./feeAnalysis');
+const nftMetadata = require('./nftMetadata');
 
 // Standard ERC-20 and ERC-721 ABIs
 const ERC20_ABI = [
@@ -9,7 +27,10 @@ const ERC20_ABI = [
   'function balanceOf(address owner) view returns (uint256)',
   'function decimals() view returns (uint8)',
   'function symbol() view returns (string)',
-  'function name() view returns (string)'
+  'function name() view returns (string)',
+  'function transfer(address to, uint256 amount) returns (bool)',
+  'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+  'function approve(address spender, uint256 amount) returns (bool)'
 ];
 
 const ERC721_ABI = [
@@ -17,7 +38,11 @@ const ERC721_ABI = [
   'function ownerOf(uint256 tokenId) view returns (address)',
   'function balanceOf(address owner) view returns (uint256)',
   'function name() view returns (string)',
-  'function symbol() view returns (string)'
+  'function symbol() view returns (string)',
+  'function tokenURI(uint256 tokenId) view returns (string)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId)',
+  'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+  'function setApprovalForAll(address operator, bool approved)'
 ];
 
 // Monad Testnet DummyDisputeContract ABI
@@ -30,43 +55,96 @@ const DUMMY_DISPUTE_CONTRACT_ABI = [
   'function balanceOf(address account) external view returns (uint256)',
   'function ownerOf(uint256 tokenId) external view returns (address)',
   'function getTotalSupply() external view returns (uint256)',
-  'function getNextTokenId() external view returns (uint256)'
+  'function getNextTokenId() external view returns (uint256)',
+  'function sendTokens(address to, uint256 amount) external returns (bool success)',
+  'function partialTransfer(address to, uint256 amount) external returns (bool success)',
+  'function mintTokens(address to, uint256 amount) external',
+  'function mintNFT(address to) external returns (uint256 tokenId)',
+  'function transferNFT(address to, uint256 tokenId) external returns (bool success)',
+  'error InsufficientBalance()',
+  'error InvalidRecipient()',
+  'error AmountTooHigh()',
+  'error ZeroAmount()',
+  'error TokenNotOwned()'
 ];
 
+// Standard Solidity revert payloads
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const PANIC_CODES = {
+  0x00: 'Generic compiler panic',
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division or modulo by zero',
+  0x21: 'Invalid enum value',
+  0x22: 'Invalid storage byte array encoding',
+  0x31: 'pop() on an empty array',
+  0x32: 'Array index out of bounds',
+  0x41: 'Out of memory',
+  0x51: 'Call to a zero-initialized function'
+};
+
+// Human-readable reasons for DummyDisputeContract custom errors (match its TransferFailed reasons)
+const KNOWN_ERROR_MESSAGES = {
+  InsufficientBalance: 'Insufficient balance',
+  InvalidRecipient: 'Invalid recipient: zero address',
+  AmountTooHigh: 'Amount too high: exceeds 1000',
+  ZeroAmount: 'Invalid amount: zero',
+  TokenNotOwned: 'Token not owned by sender'
+};
+
+// One service per chain, created on first use
+const chainServices = new Map();
+
 class BlockchainService {
-  constructor() {
-    this.provider = null;
-    this.redisClient = getRedisClient();
+  constructor(chainId) {
+    this.chain = getChain(chainId);
+    this.chainId = this.chain.chainId;
+    this.rpcPool = null;
     this.initProvider();
   }
 
   /**
-   * Initialize Ethereum provider with retry logic
+   * Provider of the healthiest RPC endpoint, for contract reads
    */
-  async initProvider() {
-    const maxRetries = 3;
-    let retries = 0;
+  get provider() {
+    return this.rpcPool.getProvider();
+  }
 
-    while (retries < maxRetries) {
-      try {
-        // Use Monad Testnet RPC URL if available, otherwise fall back to Ethereum
-        const rpcUrl = process.env.MONAD_RPC_URL || process.env.ETHEREUM_RPC_URL;
-        this.provider = new ethers.JsonRpcProvider(rpcUrl);
-        await this.provider.getNetwork(); // Test connection
-        logger.info(`Provider initialized successfully for ${rpcUrl.includes('monad') ? 'Monad Testnet' : 'Ethereum'}`);
-        break;
-      } catch (error) {
-        retries++;
-        logger.error(`Provider initialization attempt ${retries} failed:`, error.message);
-        
-        if (retries >= maxRetries) {
-          throw new Error('Failed to initialize provider after 3 attempts');
-        }
-        
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 1000 * retries));
-      }
+  /**
+   * Blockchain service bound to the given chain (defaults to the default chain)
+   */
+  forChain(chainId) {
+    const id = getChain(chainId).chainId;
+    if (!chainServices.has(id)) {
+      chainServices.set(id, new BlockchainService(id));
     }
+    return chainServices.get(id);
+  }
+
+  /**
+   * Redis client is resolved lazily since connectRedis runs after services load
+   */
+  get redisClient() {
+    return getRedisClient();
+  }
+
+  /**
+   * Initialize the RPC pool for the chain and start background health probes.
+   * Unreachable endpoints are reported by the probes instead of failing startup.
+   */
+  initProvider() {
+    this.rpcPool = new RpcPool({ chainId: this.chainId, urls: this.chain.rpcUrls });
+    this.rpcPool.startProbes();
+    logger.info(`RPC pool initialized for ${this.chain.name} (chain ${this.chainId}) with ${this.chain.rpcUrls.length} endpoint(s)`);
+  }
+
+  /**
+   * RPC endpoint health for /health
+   */
+  getRpcHealth() {
+    return this.rpcPool.getHealth();
   }
 
   /**
@@ -77,7 +155,12 @@ class BlockchainService {
     
     while (retries < maxRetries) {
       try {
-        const receipt = await this.provider.getTransactionReceipt(txHash);
+        // Receipts decide the dispute, so require RPC_QUORUM endpoints to agree on them
+        const receipt = await this.rpcPool.quorum(
+          'getTransactionReceipt',
+          provider => provider.getTransactionReceipt(txHash),
+          result => `${result.blockHash}:${result.status}`
+        );
         return receipt;
       } catch (error) {
         retries++;
@@ -97,7 +180,7 @@ class BlockchainService {
    */
   async getTransaction(txHash) {
     try {
-      const tx = await this.provider.getTransaction(txHash);
+      const tx = await this.rpcPool.execute('getTransaction', provider => provider.getTransaction(txHash));
       return tx;
     } catch (error) {
       logger.error(`Failed to get transaction ${txHash}:`, error.message);
@@ -106,22 +189,192 @@ class BlockchainService {
   }
 
   /**
-   * Parse logs for ERC-20, ERC-721, and Monad DummyDisputeContract transfers
+   * Work out what happened to a transaction that has no receipt: still in the mempool, dropped,
+   * or replaced by another transaction with the same nonce (speed-up or cancel)
+   * @param {string} txHash - Transaction hash
+   * @param {Object|null} transaction - getTransaction result; null once the node has forgotten the transaction
+   * @param {Object|null} known - Status from an earlier check, which remembers the sender and nonce of dropped transactions
+   * @returns {Object|null} - Status with state 'pending', 'dropped', 'replaced' or 'mined', or null if the transaction was never seen
+   */
+  async getPendingTransactionStatus(txHash, transaction, known = null) {
+    const from = transaction?.from || known?.from;
+    const nonce = transaction?.nonce ?? known?.nonce;
+    if (!from || nonce === undefined || nonce === null) {
+      return null;
+    }
+
+    const [latestBlock, minedNonce] = await Promise.all([
+      this.rpcPool.execute('getBlockNumber', provider => provider.getBlockNumber()),
+      this.rpcPool.execute('getTransactionCount', provider => provider.getTransactionCount(from, 'latest'))
+    ]);
+
+    const status = {
+      state: null,
+      txHash,
+      from,
+      nonce,
+      to: transaction ? transaction.to : known?.to ?? null,
+      value: transaction ? transaction.value.toString() : known?.value ?? null,
+      // Hash of the calldata, to tell a speed-up (same call) from a different transaction
+      inputHash: transaction ? ethers.keccak256(transaction.data) : known?.inputHash ?? null,
+      gasPrice: transaction?.gasPrice?.toString() ?? known?.gasPrice ?? null,
+      maxFeePerGas: transaction?.maxFeePerGas?.toString() ?? known?.maxFeePerGas ?? null,
+      // Transactions with lower nonces from the same sender that must be mined first
+      noncesAhead: Math.max(0, nonce - minedNonce),
+      firstSeenAt: known?.firstSeenAt ?? new Date().toISOString(),
+      firstSeenBlock: known?.firstSeenBlock ?? latestBlock,
+      checkedAt: new Date().toISOString(),
+      checkedBlock: latestBlock,
+      replacement: null
+    };
+
+    if (minedNonce <= nonce) {
+      status.state = transaction ? 'pending' : 'dropped';
+      return status;
+    }
+
+    // The nonce has been used: find the transaction that used it
+    status.state = 'replaced';
+    try {
+      status.replacement = await this.findNonceTransaction(from, nonce, latestBlock, status);
+    } catch (error) {
+      logger.warn(`Could not find the transaction that used nonce ${nonce} of ${from}:`, error.message);
+    }
+
+    if (status.replacement && status.replacement.hash.toLowerCase() === txHash.toLowerCase()) {
+      status.state = 'mined';
+      status.replacement = null;
+    }
+    return status;
+  }
+
+  /**
+   * Find the mined transaction that used a sender's nonce. The block is located by binary search
+   * on the sender's nonce (historical state, so archive data for old blocks), then scanned.
+   * @returns {Object|null} - hash, blockNumber, kind ('speedup', 'cancel' or 'other'), to, value
+   */
+  async findNonceTransaction(from, nonce, latestBlock, original) {
+    const lookback = parseInt(process.env.REPLACEMENT_LOOKBACK_BLOCKS) || 10000;
+    const nonceAt = blockTag => this.rpcPool.execute('getTransactionCount', provider => provider.getTransactionCount(from, blockTag));
+
+    // Smallest block after which the nonce is used
+    let low = Math.max(0, Math.min(original.firstSeenBlock, latestBlock) - lookback);
+    let high = latestBlock;
+    if (await nonceAt(low) > nonce) {
+      return null;
+    }
+    while (low + 1 < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (await nonceAt(middle) > nonce) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+
+    const block = await this.rpcPool.execute('getBlock', provider => provider.getBlock(high, true));
+    const mined = block && block.prefetchedTransactions.find(tx =>
+      tx.from.toLowerCase() === from.toLowerCase() && tx.nonce === nonce);
+    if (!mined) {
+      return null;
+    }
+
+    let kind = 'other';
+    if (mined.to && mined.to.toLowerCase() === from.toLowerCase() && mined.value === 0n && mined.data === '0x') {
+      kind = 'cancel';
+    } else if (original.inputHash && (mined.to || '').toLowerCase() === (original.to || '').toLowerCase() &&
+      mined.value.toString() === original.value && ethers.keccak256(mined.data) === original.inputHash) {
+      kind = 'speedup';
+    }
+
+    return {
+      hash: mined.hash,
+      blockNumber: mined.blockNumber ?? high,
+      kind,
+      to: mined.to,
+      value: mined.value.toString()
+    };
+  }
+
+  /**
+   * Confirmation count and finality of a mined block, after checking the block is still canonical.
+   * A block is finalized once the node's `finalized` tag reaches it (or finalityDepth confirmations
+   * when the tag is unsupported) and safe at the `safe` tag or the chain's confirmation depth.
+   * @param {Object} receipt - Anything with blockNumber and blockHash (a receipt or an earlier finality)
+   * @returns {Object} - state ('unsafe', 'safe', 'finalized' or 'reorged'), confirmations, canonical, blockNumber, blockHash, latestBlock
    */
-  async parseLogs(logs, contractAddress) {
+  async getFinality({ blockNumber, blockHash }) {
+    const taggedBlock = tag => this.rpcPool.execute('getBlock', provider => provider.getBlock(tag))
+      .then(block => (block ? block.number : null))
+      .catch(() => null);
+
+    const [latestBlock, canonicalHash, safeBlock, finalizedBlock] = await Promise.all([
+      this.rpcPool.execute('getBlockNumber', provider => provider.getBlockNumber()),
+      // Reorgs decide whether a resolution still stands, so require RPC_QUORUM endpoints to agree
+      this.rpcPool.quorum(
+        'getBlock',
+        provider => provider.getBlock(blockNumber).then(block => (block ? block.hash : null)),
+        hash => hash
+      ),
+      taggedBlock('safe'),
+      taggedBlock('finalized')
+    ]);
+
+    const canonical = Boolean(canonicalHash) && canonicalHash.toLowerCase() === blockHash.toLowerCase();
+    const confirmations = canonical ? Math.max(0, latestBlock - blockNumber + 1) : 0;
+
+    let state = 'reorged';
+    if (canonical) {
+      if (finalizedBlock !== null ? blockNumber <= finalizedBlock : confirmations >= this.chain.finalityDepth) {
+        state = 'finalized';
+      } else if ((safeBlock !== null && blockNumber <= safeBlock) || confirmations >= this.chain.confirmations) {
+        state = 'safe';
+      } else {
+        state = 'unsafe';
+      }
+    }
+
+    return {
+      state,
+      confirmations,
+      canonical,
+      blockNumber,
+      blockHash,
+      canonicalHash: canonicalHash || null,
+      latestBlock,
+      requiredConfirmations: this.chain.confirmations
+    };
+  }
+
+  /**
+   * Parse logs for ERC-20, ERC-721, ERC-1155 and Monad DummyDisputeContract transfers
+   * @param {number} blockTag - Block whose proxy implementation decodes the logs (the transaction's block;
+   *   defaults to the first log's block)
+   */
+  async parseLogs(logs, contractAddress, blockTag = logs.length > 0 ? logs[0].blockNumber : undefined) {
     const parsedLogs = {
       transfers: [],
       failures: [],
       partialTransfers: [],
+      uris: [],
+      approvals: [],
       contractType: null,
       contractInfo: {},
+      proxy: null,
       unknownEvents: [],
       parsedEvents: []
     };
 
     try {
-      // First try to fetch and use the actual contract ABI
-      const contractABI = await abiFetcher.fetchABI(contractAddress);
+      // First try to fetch and use the actual contract ABI (merged with the implementation's for proxies);
+      // native transfer disputes may have no contract, leaving only the decoder registry
+      const { abi: contractABI, proxy } = contractAddress
+        ? await abiFetcher.resolveContractABI(contractAddress, this.chainId, {
+          rpcPool: this.rpcPool,
+          blockTag
+        })
+        : { abi: null, proxy: null };
+      parsedLogs.proxy = proxy;
       
       if (contractABI) {
         logger.info(`Using fetched ABI for ${contractAddress}`);
@@ -131,129 +384,56 @@ class BlockchainService {
         parsedLogs.transfers = abiParsedLogs.transfers;
         parsedLogs.failures = abiParsedLogs.failures;
         parsedLogs.partialTransfers = abiParsedLogs.partialTransfers;
+        parsedLogs.uris = abiParsedLogs.uris;
+        parsedLogs.approvals = abiParsedLogs.approvals;
         parsedLogs.parsedEvents = abiParsedLogs.parsedEvents;
         parsedLogs.contractType = abiParsedLogs.contractType;
         
         return parsedLogs;
       }
 
-      // Fallback to known ABIs if no contract ABI found
-      logger.info(`No ABI found for ${contractAddress}, using fallback parsing`);
-      
-      // Try to determine contract type and parse logs
-      const erc20Contract = new ethers.Contract(contractAddress, ERC20_ABI, this.provider);
-      const erc721Contract = new ethers.Contract(contractAddress, ERC721_ABI, this.provider);
-      const dummyContract = new ethers.Contract(contractAddress, DUMMY_DISPUTE_CONTRACT_ABI, this.provider);
+      // Fallback to the log decoder registry if no contract ABI found
+      logger.info(`No ABI found for ${contractAddress || 'native transfer'}, using fallback parsing`);
 
-      for (const log of logs) {
+      for (const { log, decoded } of logDecoders.decodeLogs(logs)) {
         let parsed = false;
-        
-        try {
-          // Try to parse as ERC-20 Transfer
-          const erc20Interface = new ethers.Interface(ERC20_ABI);
-          const parsedLog = erc20Interface.parseLog(log);
-          
-          if (parsedLog && parsedLog.name === 'Transfer') {
-            parsedLogs.transfers.push({
-              type: 'ERC20',
-              from: parsedLog.args[0],
-              to: parsedLog.args[1],
-              value: parsedLog.args[2].toString(),
-              logIndex: log.logIndex
-            });
-            parsedLogs.contractType = 'ERC20';
-            parsed = true;
+
+        // Standard token events, DummyDisputeContract events and custom decoders (LOG_DECODERS)
+        if (decoded) {
+          for (const [kind, records] of Object.entries(decoded.records)) {
+            parsedLogs[kind].push(...records);
           }
-        } catch (error) {
-          try {
-            // Try to parse as ERC-721 Transfer
-            const erc721Interface = new ethers.Interface(ERC721_ABI);
-            const parsedLog = erc721Interface.parseLog(log);
-            
-            if (parsedLog && parsedLog.name === 'Transfer') {
-              parsedLogs.transfers.push({
-                type: 'ERC721',
-                from: parsedLog.args[0],
-                to: parsedLog.args[1],
-                tokenId: parsedLog.args[2].toString(),
-                logIndex: log.logIndex
-              });
-              parsedLogs.contractType = 'ERC721';
-              parsed = true;
-            }
-          } catch (erc721Error) {
-            try {
-              // Try to parse as Monad DummyDisputeContract events
-              const dummyInterface = new ethers.Interface(DUMMY_DISPUTE_CONTRACT_ABI);
-              const parsedLog = dummyInterface.parseLog(log);
-              
-              if (parsedLog) {
-                switch (parsedLog.name) {
-                  case 'Transfer':
-                    parsedLogs.transfers.push({
-                      type: 'MonadToken',
-                      from: parsedLog.args[0],
-                      to: parsedLog.args[1],
-                      amount: parsedLog.args[2].toString(),
-                      logIndex: log.logIndex
-                    });
-                    parsedLogs.contractType = 'MonadDummyContract';
-                    parsed = true;
-                    break;
-                  case 'TransferFailed':
-                    parsedLogs.failures.push({
-                      type: 'TransferFailed',
-                      from: parsedLog.args[0],
-                      to: parsedLog.args[1],
-                      amount: parsedLog.args[2].toString(),
-                      reason: parsedLog.args[3],
-                      logIndex: log.logIndex
-                    });
-                    parsedLogs.contractType = 'MonadDummyContract';
-                    parsed = true;
-                    break;
-                  case 'PartialTransfer':
-                    parsedLogs.partialTransfers.push({
-                      type: 'PartialTransfer',
-                      from: parsedLog.args[0],
-                      to: parsedLog.args[1],
-                      requested: parsedLog.args[2].toString(),
-                      sent: parsedLog.args[3].toString(),
-                      logIndex: log.logIndex
-                    });
-                    parsedLogs.contractType = 'MonadDummyContract';
-                    parsed = true;
-                    break;
-                  case 'TokenMinted':
-                    parsedLogs.transfers.push({
-                      type: 'TokenMinted',
-                      to: parsedLog.args[0],
-                      tokenId: parsedLog.args[1].toString(),
-                      logIndex: log.logIndex
-                    });
-                    parsedLogs.contractType = 'MonadDummyContract';
-                    parsed = true;
-                    break;
-                  case 'TokenTransferFailed':
-                    parsedLogs.failures.push({
-                      type: 'TokenTransferFailed',
-                      from: parsedLog.args[0],
-                      to: parsedLog.args[1],
-                      tokenId: parsedLog.args[2].toString(),
-                      reason: parsedLog.args[3],
-                      logIndex: log.logIndex
-                    });
-                    parsedLogs.contractType = 'MonadDummyContract';
-                    parsed = true;
-                    break;
-                }
-              }
-            } catch (dummyError) {
-              // Continue to unknown event handling
+          if (decoded.contractType) {
+            parsedLogs.contractType = decoded.contractType;
+          }
+          parsed = true;
+        }
+
+        // Events outside the known ABIs: decode with the local signature database when it knows the topic
+        if (!parsed && log.topics && log.topics.length > 0) {
+          const decodedEvent = signatureDatabase.decodeEventLog(log);
+          if (decodedEvent) {
+            const addressArgs = decodedEvent.args.filter(arg => arg.type === 'address');
+            const amountArg = decodedEvent.args.find(arg => arg.type.startsWith('uint') && !arg.indexed);
+            parsedLogs.unknownEvents.push({
+              type: decodedEvent.name,
+              eventSignature: log.topics[0],
+              signature: decodedEvent.signature,
+              source: 'signatureDatabase',
+              from: addressArgs[0]?.value || null,
+              to: addressArgs[1]?.value || null,
+              amount: amountArg ? amountArg.value : null,
+              args: decodedEvent.args,
+              logIndex: log.logIndex,
+              rawData: log.data
+            });
+            if (!parsedLogs.contractType) {
+              parsedLogs.contractType = 'Unknown';
             }
+            parsed = true;
           }
         }
-        
+
         // If we couldn't parse the log with known ABIs, add it as unknown event
         if (!parsed && log.topics && log.topics.length > 0) {
           // Extract comprehensive information from raw log
@@ -411,6 +591,43 @@ class BlockchainService {
             logger.error('Failed to get ERC-721 balance:', error.message);
           }
         }
+      } else if (parsedLogs.contractType === 'ERC1155') {
+        const contract = new ethers.Contract(contractAddress, ERC1155_ABI, this.provider);
+
+        // Balance of every (account, id) pair involved: the recipient for every id,
+        // or each transfer's receiver when no recipient was given
+        const erc1155Transfers = parsedLogs.transfers.filter(transfer => transfer.type === 'ERC1155');
+        const pairs = new Map();
+        for (const transfer of erc1155Transfers) {
+          const account = toAddress || transfer.to;
+          pairs.set(`${account.toLowerCase()}:${transfer.tokenId}`, { account, tokenId: transfer.tokenId });
+        }
+        const lookups = [...pairs.values()];
+
+        if (lookups.length > 0) {
+          state.tokenBalances = {};
+          const record = ({ account, tokenId }, balance) => {
+            state.tokenBalances[account] = state.tokenBalances[account] || {};
+            state.tokenBalances[account][tokenId] = balance.toString();
+          };
+
+          try {
+            const balances = await contract.balanceOfBatch(
+              lookups.map(lookup => lookup.account),
+              lookups.map(lookup => lookup.tokenId)
+            );
+            lookups.forEach((lookup, index) => record(lookup, balances[index]));
+          } catch (error) {
+            logger.warn('ERC-1155 balanceOfBatch failed, falling back to balanceOf:', error.message);
+            for (const lookup of lookups) {
+              try {
+                record(lookup, await contract.balanceOf(lookup.account, lookup.tokenId));
+              } catch (balanceError) {
+                logger.error(`Failed to get ERC-1155 balance of token ${lookup.tokenId}:`, balanceError.message);
+              }
+            }
+          }
+        }
       } else if (parsedLogs.contractType === 'MonadDummyContract') {
         const contract = new ethers.Contract(contractAddress, DUMMY_DISPUTE_CONTRACT_ABI, this.provider);
         
@@ -452,27 +669,622 @@ class BlockchainService {
   }
 
   /**
-   * Get historical logs for contract (last 1000 blocks)
+   * Resolve the metadata of the NFTs the transaction moved or minted (ERC-721 tokenURI, ERC-1155 uri
+   * or its URI event), so disputes about which item was received can be decided.
+   * At most NFT_METADATA_MAX_TOKENS tokens are resolved.
+   * @returns {Object|null} - { tokens, truncated }, or null when the transaction moved no NFTs
    */
-  async getHistoricalLogs(contractAddress, fromBlock = null) {
-    try {
-      const currentBlock = await this.provider.getBlockNumber();
-      const toBlock = currentBlock;
-      const fromBlockNumber = fromBlock || Math.max(0, currentBlock - 1000);
+  async getNftMetadata(contractAddress, parsedLogs) {
+    const nftTransfers = (parsedLogs.transfers || []).filter(transfer => transfer.source !== 'historical' &&
+      ['ERC721', 'ERC1155', 'TokenMinted'].includes(transfer.type) && transfer.tokenId !== undefined);
+    if (!contractAddress || nftTransfers.length === 0) return null;
+
+    const maxTokens = parseInt(process.env.NFT_METADATA_MAX_TOKENS) || 10;
+    const tokens = new Map();
+    for (const transfer of nftTransfers) {
+      if (!tokens.has(transfer.tokenId)) {
+        tokens.set(transfer.tokenId, { tokenId: transfer.tokenId, standard: transfer.type === 'ERC1155' ? 'ERC1155' : 'ERC721', to: transfer.to });
+      }
+    }
 
-      const logs = await this.provider.getLogs({
+    const erc721 = new ethers.Contract(contractAddress, ERC721_ABI, this.provider);
+    const erc1155 = new ethers.Contract(contractAddress, ERC1155_ABI, this.provider);
+    const resolved = [];
+    for (const token of [...tokens.values()].slice(0, maxTokens)) {
+      // A URI event in the same transaction is what the contract announced for the token
+      const uriEvent = token.standard === 'ERC1155' ? (parsedLogs.uris || []).find(entry => entry.tokenId === token.tokenId) : null;
+      let uri = uriEvent ? uriEvent.uri : null;
+      const uriSource = uriEvent ? 'URI event' : token.standard === 'ERC1155' ? 'uri' : 'tokenURI';
+
+      if (!uri) {
+        try {
+          uri = token.standard === 'ERC1155' ? await erc1155.uri(token.tokenId) : await erc721.tokenURI(token.tokenId);
+        } catch (error) {
+          logger.warn(`Could not read ${uriSource} of token ${token.tokenId}:`, error.shortMessage || error.message);
+          resolved.push({ ...token, uri: null, uriSource, resolvedFrom: null, metadata: null, valid: false, errors: [`${uriSource} call failed`] });
+          continue;
+        }
+      }
+
+      const result = await nftMetadata.resolve({ chainId: this.chainId, contractAddress, tokenId: token.tokenId, standard: token.standard, uri });
+      resolved.push({ ...result, to: token.to, uriSource });
+    }
+
+    return { tokens: resolved, truncated: tokens.size > maxTokens };
+  }
+
+  /**
+   * Check a native (MON/ETH) value transfer: the recipient and value the transaction carried, whether
+   * the recipient is a contract and, for plain transfers to contracts, whether it accepts value
+   * (a `receive` or payable `fallback`). The recipient's balance change comes from the balance snapshots.
+   * @param {Object} transaction - Transaction
+   * @param {Object} receipt - Its receipt
+   * @param {Object} options - toAddress (expected recipient), trace and balanceSnapshots from earlier steps
+   * @returns {Object} - Native transfer facts with flags for anything the rules should look at
+   */
+  async getNativeTransferAnalysis(transaction, receipt, { toAddress = null, trace = null, balanceSnapshots = null } = {}) {
+    const value = transaction.value ?? 0n;
+    const recipient = toAddress || transaction.to;
+    const succeeded = receipt.status === 1;
+    const plainTransfer = !transaction.data || transaction.data === '0x';
+
+    let recipientIsContract = false;
+    if (transaction.to) {
+      try {
+        const code = await this.rpcPool.execute('getCode', provider => provider.getCode(transaction.to, receipt.blockNumber));
+        recipientIsContract = code !== '0x';
+      } catch (error) {
+        logger.warn(`Could not read code at ${transaction.to}:`, error.message);
+        recipientIsContract = null;
+      }
+    }
+
+    // Does the contract accept plain value transfers? A successful transfer answers it; otherwise the ABI or a replay does
+    let payableFallback = null;
+    let payableFallbackSource = null;
+    if (recipientIsContract && plainTransfer && value > 0n) {
+      if (succeeded) {
+        payableFallback = true;
+        payableFallbackSource = 'receipt';
+      } else {
+        const blockTag = Math.max(0, receipt.blockNumber - 1);
+        let abi = null;
+        try {
+          abi = await abiFetcher.fetchABI(transaction.to, this.chainId, { rpcPool: this.rpcPool, blockTag });
+        } catch (error) {
+          logger.warn('Could not fetch ABI for payable check:', error.message);
+        }
+
+        if (abi) {
+          payableFallback = new ethers.Interface(abi).fragments.some(fragment =>
+            fragment.type === 'receive' || (fragment.type === 'fallback' && fragment.payable));
+          payableFallbackSource = 'abi';
+        } else {
+          // Send 1 wei from the same sender with empty calldata, against the state the transaction ran on
+          try {
+            await this.rpcPool.execute('call', provider => provider.call({ from: transaction.from, to: transaction.to, value: 1n, data: '0x', blockTag }));
+            payableFallback = true;
+          } catch (error) {
+            if (error.code === 'CALL_EXCEPTION') payableFallback = false;
+          }
+          payableFallbackSource = payableFallback === null ? null : 'replay';
+        }
+      }
+    }
+
+    // Value forwarded to the recipient by contracts (smart wallets, splitters), from the call trace
+    const internalTransfersToRecipient = trace && trace.available
+      ? trace.internalTransfers.filter(transfer => !transfer.reverted && recipient && transfer.to && transfer.to.toLowerCase() === recipient.toLowerCase())
+      : [];
+
+    const balanceRow = balanceSnapshots && recipient
+      ? balanceSnapshots.balances.find(row => row.asset === 'native' && row.address.toLowerCase() === recipient.toLowerCase())
+      : null;
+
+    const recipientMatches = toAddress ? Boolean(transaction.to) && toAddress.toLowerCase() === transaction.to.toLowerCase() : null;
+    const receivedValue = (succeeded && recipientMatches !== false ? value : 0n) +
+      internalTransfersToRecipient.reduce((total, transfer) => total + BigInt(transfer.value), 0n);
+
+    const flags = [];
+    if (!transaction.to) flags.push('CONTRACT_CREATION');
+    if (recipientMatches === false) flags.push('RECIPIENT_MISMATCH');
+    if (value === 0n) flags.push('ZERO_VALUE');
+    if (!succeeded) flags.push('REVERTED');
+    if (payableFallback === false) flags.push('NON_PAYABLE_CONTRACT');
+
+    return {
+      from: transaction.from,
+      to: transaction.to,
+      recipient,
+      value: value.toString(),
+      valueFormatted: ethers.formatEther(value),
+      symbol: this.chain.nativeSymbol,
+      succeeded,
+      recipientMatches,
+      recipientIsContract,
+      plainTransfer,
+      payableFallback,
+      payableFallbackSource,
+      internalTransfersToRecipient,
+      receivedValue: receivedValue.toString(),
+      // Block-level change, so other transactions in the same block are included
+      recipientBalance: balanceRow
+        ? { before: balanceRow.before, after: balanceRow.after, delta: balanceRow.delta }
+        : null,
+      flags
+    };
+  }
+
+  /**
+   * Balances and ownership for the sender and recipient just before the transaction
+   * (blockNumber - 1), right after it (blockNumber) and now, with per-address deltas.
+   * Historical reads need an archive node; values that cannot be read are null.
+   */
+  async getBalanceSnapshots(contractAddress, { sender, recipient, blockNumber, parsedLogs }) {
+    const receiptTransfers = (parsedLogs.transfers || []).filter(transfer => transfer.source !== 'historical');
+    const parties = [];
+    const addParty = (address, role) => {
+      if (address && ethers.isAddress(address) && !parties.some(party => party.address.toLowerCase() === address.toLowerCase())) {
+        parties.push({ address: ethers.getAddress(address), role });
+      }
+    };
+    addParty(sender, 'sender');
+    if (recipient) {
+      addParty(recipient, 'recipient');
+    } else {
+      receiptTransfers.forEach(transfer => addParty(transfer.to, 'recipient'));
+    }
+    if (parties.length === 0) return null;
+
+    const currentBlock = await this.rpcPool.execute('getBlockNumber', provider => provider.getBlockNumber());
+    const blocks = {
+      before: Math.max(0, blockNumber - 1),
+      after: blockNumber,
+      current: currentBlock
+    };
+    const errors = new Set();
+
+    // Read a value at each of the three block tags; failures (pruned state) become null
+    const readAtBlocks = async (read) => {
+      const values = {};
+      for (const [point, blockTag] of Object.entries(blocks)) {
+        try {
+          const value = await read(blockTag);
+          values[point] = value === null || value === undefined ? null : value.toString();
+        } catch (error) {
+          values[point] = null;
+          errors.add(`${point}@${blockTag}: ${error.shortMessage || error.message}`);
+        }
+      }
+      return values;
+    };
+
+    const difference = (to, from) => (to !== null && from !== null ? (BigInt(to) - BigInt(from)).toString() : null);
+    const balances = [];
+    const addRow = (party, asset, values) => balances.push({
+      address: party.address,
+      role: party.role,
+      asset,
+      ...values,
+      delta: difference(values.after, values.before),
+      changedSince: difference(values.current, values.after)
+    });
+
+    const contractType = parsedLogs.contractType;
+    const erc1155Ids = [...new Set(receiptTransfers.filter(transfer => transfer.type === 'ERC1155').map(transfer => transfer.tokenId))];
+    const nftIds = [...new Set(receiptTransfers
+      .filter(transfer => transfer.tokenId !== undefined && transfer.type !== 'ERC1155')
+      .map(transfer => transfer.tokenId))];
+
+    for (const party of parties) {
+      addRow(party, 'native', await readAtBlocks(blockTag => this.rpcPool.execute('getBalance', provider => provider.getBalance(party.address, blockTag))));
+
+      if (!contractAddress) continue;
+
+      if (contractType === 'ERC1155') {
+        const contract = new ethers.Contract(contractAddress, ERC1155_ABI, this.provider);
+        for (const tokenId of erc1155Ids) {
+          addRow(party, `token:${tokenId}`, await readAtBlocks(blockTag => contract.balanceOf(party.address, tokenId, { blockTag })));
+        }
+      } else {
+        const contract = new ethers.Contract(contractAddress, contractType === 'ERC721' ? ERC721_ABI : ERC20_ABI, this.provider);
+        addRow(party, 'token', await readAtBlocks(blockTag => contract.balanceOf(party.address, { blockTag })));
+      }
+    }
+
+    const ownership = [];
+    if (contractAddress && nftIds.length > 0 && (contractType === 'ERC721' || contractType === 'MonadDummyContract')) {
+      const contract = new ethers.Contract(contractAddress, contractType === 'ERC721' ? ERC721_ABI : DUMMY_DISPUTE_CONTRACT_ABI, this.provider);
+      for (const tokenId of nftIds) {
+        ownership.push({ tokenId, ...(await readAtBlocks(blockTag => contract.ownerOf(tokenId, { blockTag }))) });
+      }
+    }
+
+    return {
+      blocks,
+      balances,
+      ownership,
+      archiveUnavailable: balances.some(row => row.before === null || row.after === null),
+      errors: [...errors].slice(0, 10)
+    };
+  }
+
+  /**
+   * Work out which spenders could have moved the owners' tokens: approval events from the
+   * transaction and the APPROVAL_LOOKBACK_BLOCKS blocks up to its block, plus live allowance and
+   * operator lookups. Owners are the transaction sender and anyone whose tokens it moved.
+   * @param {number|null} blockNumber - Block of the disputed transaction (receipt.blockNumber)
+   */
+  async getApprovalAnalysis(contractAddress, transaction, parsedLogs, blockNumber = null) {
+    const sender = transaction?.from || null;
+    const owners = [...new Set([
+      sender,
+      ...(parsedLogs.transfers || [])
+        .filter(transfer => transfer.source !== 'historical')
+        .map(transfer => transfer.from)
+    ].filter(owner => ethers.isAddress(owner) && owner !== ethers.ZeroAddress).map(owner => ethers.getAddress(owner)))];
+
+    if (owners.length === 0) return null;
+
+    const isOwner = (address) => owners.some(owner => owner.toLowerCase() === (address || '').toLowerCase());
+    const isContract = (address) => !address || address.toLowerCase() === contractAddress.toLowerCase();
+
+    const approvals = (parsedLogs.approvals || [])
+      .filter(approval => isOwner(approval.owner) && isContract(approval.contract))
+      .map(approval => ({ ...approval, source: 'transaction' }));
+
+    let scannedRange = null;
+    try {
+      // Grants made after the transaction cannot explain it, so the scan ends at its block
+      const toBlock = blockNumber ?? transaction?.blockNumber ??
+        await this.rpcPool.execute('getBlockNumber', provider => provider.getBlockNumber());
+      const lookback = parseInt(process.env.APPROVAL_LOOKBACK_BLOCKS) || 1000;
+      scannedRange = { fromBlock: Math.max(0, toBlock - lookback), toBlock };
+      const { logs } = await scanLogs(this.rpcPool, {
         address: contractAddress,
-        fromBlock: fromBlockNumber,
-        toBlock: toBlock
+        topics: [[APPROVAL_TOPIC, APPROVAL_FOR_ALL_TOPIC], owners.map(owner => ethers.zeroPadValue(owner, 32))],
+        ...scannedRange
       });
 
-      return logs;
+      const seen = new Set(approvals.map(approval => `${approval.blockNumber}:${approval.logIndex}`));
+      for (const log of logs) {
+        const approval = decodeApprovalLog(log);
+        if (approval && !seen.has(`${approval.blockNumber}:${approval.logIndex}`)) {
+          approvals.push({ ...approval, source: 'historical' });
+        }
+      }
+    } catch (error) {
+      logger.warn('Could not scan historical approvals:', error.message);
+    }
+
+    // Latest grant per (owner, spender, kind, tokenId), then check whether it is still live
+    approvals.sort((a, b) => ((a.blockNumber ?? 0) - (b.blockNumber ?? 0)) || ((a.logIndex ?? 0) - (b.logIndex ?? 0)));
+    const grants = new Map();
+    for (const approval of approvals) {
+      const key = [approval.owner, approval.spender, approval.type, approval.tokenId || ''].join(':').toLowerCase();
+      grants.set(key, approval);
+    }
+
+    const erc20 = new ethers.Contract(contractAddress, ERC20_APPROVAL_ABI, this.provider);
+    const erc721 = new ethers.Contract(contractAddress, ERC721_APPROVAL_ABI, this.provider);
+    const spenders = [];
+
+    for (const approval of grants.values()) {
+      const entry = {
+        owner: approval.owner,
+        spender: approval.spender,
+        kind: approval.type,
+        source: approval.source,
+        blockNumber: approval.blockNumber ?? null,
+        currentAccess: null
+      };
+
+      try {
+        if (approval.type === 'ERC20Approval') {
+          const allowance = await erc20.allowance(approval.owner, approval.spender);
+          entry.allowance = allowance.toString();
+          entry.unlimited = allowance >= UNLIMITED_THRESHOLD;
+          entry.currentAccess = allowance > 0n;
+        } else if (approval.type === 'ApprovalForAll') {
+          entry.currentAccess = await erc721.isApprovedForAll(approval.owner, approval.spender);
+        } else {
+          entry.tokenId = approval.tokenId;
+          const approved = await erc721.getApproved(approval.tokenId);
+          entry.currentAccess = approved.toLowerCase() === approval.spender.toLowerCase();
+        }
+      } catch (error) {
+        logger.warn(`Could not check live approval for spender ${approval.spender}:`, error.message);
+      }
+
+      spenders.push(entry);
+    }
+
+    // Transfers of someone else's tokens sent by this transaction's sender (a spender or operator acting)
+    const movedBySpender = (parsedLogs.transfers || [])
+      .map((transfer, index) => ({ transfer, ref: `parsedLogs.transfers[${index}]` }))
+      .filter(({ transfer }) => transfer.source !== 'historical' && transfer.from && sender &&
+        transfer.from !== ethers.ZeroAddress && transfer.from.toLowerCase() !== sender.toLowerCase())
+      .map(({ transfer, ref }) => ({
+        ref,
+        owner: transfer.from,
+        caller: sender,
+        approvedCaller: spenders.some(spender => spender.spender.toLowerCase() === sender.toLowerCase() &&
+          spender.owner.toLowerCase() === transfer.from.toLowerCase())
+      }));
+
+    return {
+      owners,
+      scannedRange,
+      approvals,
+      spenders,
+      spendersWithAccess: spenders.filter(spender => spender.currentAccess).map(spender => spender.spender),
+      movedBySpender
+    };
+  }
+
+  /**
+   * Scan a contract's historical logs in paginated windows
+   * @param {string} contractAddress - Contract to scan
+   * @param {Object} options - fromBlock, toBlock, fromTime, toTime (unix seconds), around (block
+   *   to centre the range on), span (blocks either side), from/to (indexed transfer addresses)
+   * @returns {Object} - logs plus the scanned range and paging stats; logs is empty on failure
+   */
+  async getHistoricalLogs(contractAddress, options = {}) {
+    try {
+      const { fromBlock, toBlock } = await resolveBlockRange(this.rpcPool, options);
+      return await scanLogs(this.rpcPool, {
+        address: contractAddress,
+        topics: transferTopics({ from: options.from, to: options.to }),
+        fromBlock,
+        toBlock
+      });
     } catch (error) {
       logger.error('Error getting historical logs:', error.message);
-      return [];
+      return { logs: [], error: error.message };
+    }
+  }
+
+  /**
+   * Explain the fee a mined transaction paid: out-of-gas detection, its base and priority fees
+   * against the median of the FEE_HISTORY_BLOCKS blocks up to its own (eth_feeHistory), and the
+   * fee charged. Without eth_feeHistory the market comparison is left out.
+   */
+  async getFeeAnalysis(transaction, receipt, trace = null) {
+    const blocks = parseInt(process.env.FEE_HISTORY_BLOCKS) || 20;
+
+    let block = null;
+    try {
+      block = await this.rpcPool.execute('getBlock', provider => provider.getBlock(receipt.blockNumber));
+    } catch (error) {
+      logger.warn(`Could not read block ${receipt.blockNumber} for fee analysis:`, error.message);
+    }
+
+    let feeHistory = null;
+    try {
+      feeHistory = await this.rpcPool.execute('eth_feeHistory', provider => provider.send('eth_feeHistory', [
+        ethers.toQuantity(blocks),
+        ethers.toQuantity(receipt.blockNumber),
+        [50]
+      ]));
+    } catch (error) {
+      logger.warn('eth_feeHistory unavailable for fee analysis:', error.message);
+    }
+
+    return analyzeFees({
+      transaction,
+      receipt,
+      block,
+      feeHistory,
+      trace,
+      chain: this.chain,
+      overpayRatio: parseFloat(process.env.FEE_OVERPAY_RATIO) || 2
+    });
+  }
+
+  /**
+   * Trace internal calls with debug_traceTransaction (callTracer), falling back to
+   * trace_transaction. Returns { available: false } when the RPC supports neither.
+   */
+  async getTransactionTrace(txHash) {
+    if (process.env.TRACE_ENABLED === 'false') {
+      return { available: false, reason: 'Tracing disabled (TRACE_ENABLED=false)' };
+    }
+
+    const maxFrames = parseInt(process.env.TRACE_MAX_FRAMES) || 500;
+    const attempts = [
+      {
+        source: 'debug_traceTransaction',
+        run: provider => provider.send('debug_traceTransaction', [txHash, { tracer: 'callTracer' }]),
+        toTree: result => fromCallTracer(result)
+      },
+      {
+        source: 'trace_transaction',
+        run: provider => provider.send('trace_transaction', [txHash]),
+        toTree: result => fromParityTraces(result)
+      }
+    ];
+
+    const errors = [];
+    for (const attempt of attempts) {
+      try {
+        const result = await this.rpcPool.execute(attempt.source, attempt.run);
+        const callTree = result ? attempt.toTree(result) : null;
+        if (!callTree) {
+          errors.push(`${attempt.source}: empty trace`);
+          continue;
+        }
+
+        return {
+          available: true,
+          source: attempt.source,
+          callTree,
+          ...summarizeCallTree(callTree, maxFrames)
+        };
+      } catch (error) {
+        errors.push(`${attempt.source}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Call tracing unavailable for ${txHash}`);
+    return { available: false, reason: errors.join('; ') };
+  }
+
+  /**
+   * Replay a failed transaction with eth_call at its parent block and decode the revert reason
+   */
+  async getRevertReason(transaction, receipt) {
+    if (!transaction || !receipt || receipt.status !== 0) return null;
+
+    const blockTag = Math.max(0, receipt.blockNumber - 1);
+
+    try {
+      await this.rpcPool.execute('call', provider => provider.call({
+        to: transaction.to,
+        from: transaction.from,
+        data: transaction.data,
+        value: transaction.value,
+        gasLimit: transaction.gasLimit,
+        blockTag
+      }));
+
+      // The replay succeeded, so the failure depended on state changed earlier in the same block
+      return {
+        replayed: true,
+        blockTag,
+        type: 'NoRevertOnReplay',
+        reason: null
+      };
+    } catch (error) {
+      const revertData = error.data || error.info?.error?.data || error.error?.data || null;
+
+      if (typeof revertData !== 'string') {
+        logger.warn(`Could not replay failed transaction ${transaction.hash}:`, error.message);
+        return {
+          replayed: false,
+          blockTag,
+          type: 'Unavailable',
+          reason: error.shortMessage || error.message
+        };
+      }
+
+      let abi = null;
+      try {
+        abi = transaction.to ? await abiFetcher.fetchABI(transaction.to, this.chainId, { rpcPool: this.rpcPool, blockTag }) : null;
+      } catch (abiError) {
+        logger.warn('Could not fetch ABI for revert decoding:', abiError.message);
+      }
+
+      return {
+        replayed: true,
+        blockTag,
+        ...this.decodeRevertData(revertData, abi)
+      };
     }
   }
 
+  /**
+   * Decode revert data into Error(string), Panic(uint256) or a custom error
+   */
+  decodeRevertData(data, abi = null) {
+    if (!data || data === '0x') {
+      return {
+        type: 'Empty',
+        reason: 'Reverted without a reason (require without message, out of gas or invalid opcode)',
+        data: data || '0x'
+      };
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+
+    try {
+      if (selector === ERROR_STRING_SELECTOR) {
+        const [reason] = coder.decode(['string'], '0x' + data.slice(10));
+        return { type: 'Error', selector, reason, data };
+      }
+
+      if (selector === PANIC_SELECTOR) {
+        const [code] = coder.decode(['uint256'], '0x' + data.slice(10));
+        const panicCode = Number(code);
+        return {
+          type: 'Panic',
+          selector,
+          code: `0x${panicCode.toString(16).padStart(2, '0')}`,
+          reason: PANIC_CODES[panicCode] || 'Unknown panic code',
+          data
+        };
+      }
+    } catch (error) {
+      logger.warn('Failed to decode standard revert payload:', error.message);
+    }
+
+    // Custom errors: try the fetched ABI first, then the known fallback ABIs
+    const candidateAbis = [abi, DUMMY_DISPUTE_CONTRACT_ABI].filter(Boolean);
+    for (const candidate of candidateAbis) {
+      try {
+        const parsedError = new ethers.Interface(candidate).parseError(data);
+        if (parsedError) {
+          return {
+            type: 'CustomError',
+            selector,
+            name: parsedError.name,
+            signature: parsedError.signature,
+            args: parsedError.args.map(arg => arg.toString()),
+            reason: KNOWN_ERROR_MESSAGES[parsedError.name] || parsedError.name,
+            data
+          };
+        }
+      } catch (error) {
+        // Try the next ABI
+      }
+    }
+
+    return {
+      type: 'Unknown',
+      selector,
+      reason: `Unrecognised custom error ${selector}`,
+      data
+    };
+  }
+
+  /**
+   * Decode what the transaction called: the called contract's ABI first (merged with its
+   * implementation's for proxies), then the built-in ABIs, then the signature database
+   * @returns {Object|null} - selector, name, signature, args, exact and source; null for
+   *   plain native transfers and contract creations
+   */
+  async decodeCalldata(transaction) {
+    if (!transaction || !transaction.to || !transaction.data || transaction.data === '0x') return null;
+
+    const { data } = transaction;
+    let abi = null;
+    try {
+      abi = await abiFetcher.fetchABI(transaction.to, this.chainId, { rpcPool: this.rpcPool, blockTag: transaction.blockNumber ?? undefined });
+    } catch (error) {
+      logger.warn('Could not fetch ABI for calldata decoding:', error.message);
+    }
+
+    const fromABI = decodeCalldataWithABI(data, abi);
+    if (fromABI) return { ...fromABI, source: 'abi' };
+
+    for (const fallbackABI of [DUMMY_DISPUTE_CONTRACT_ABI, ERC20_ABI, ERC721_ABI, ERC1155_ABI]) {
+      const decoded = decodeCalldataWithABI(data, fallbackABI);
+      if (decoded) return { ...decoded, source: 'fallbackAbi' };
+    }
+
+    const fromDatabase = signatureDatabase.decodeFunctionData(data);
+    if (fromDatabase) return { ...fromDatabase, source: 'signatureDatabase' };
+
+    return {
+      selector: data.slice(0, 10).toLowerCase(),
+      name: null,
+      signature: null,
+      args: [],
+      exact: false,
+      source: 'unknown'
+    };
+  }
+
   /**
    * Cache data in Redis
    */
@@ -501,6 +1313,19 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Remove cached entries from Redis
+   */
+  async deleteCachedData(...keys) {
+    if (!this.redisClient || keys.length === 0) return;
+    
+    try {
+      await this.redisClient.del(keys);
+    } catch (error) {
+      logger.error('Redis delete error:', error.message);
+    }
+  }
+
   /**
    * Analyze transaction patterns without ABI
    */
@@ -526,6 +1351,15 @@ class BlockchainService {
       analysis.patterns.push('ETH_TRANSFER');
     }
 
+    // Native value forwarded by contracts (from the call trace)
+    const internalTransfers = (parsedLogs.internalTransfers || []).filter(transfer => !transfer.reverted);
+    if (internalTransfers.length > 0) {
+      analysis.internalValueTransferred = internalTransfers
+        .reduce((total, transfer) => total + BigInt(transfer.value), 0n)
+        .toString();
+      analysis.patterns.push('INTERNAL_VALUE_TRANSFER');
+    }
+
     // Analyze events
     if (parsedLogs.unknownEvents && parsedLogs.unknownEvents.length > 0) {
       analysis.eventsEmitted = parsedLogs.unknownEvents.length;
@@ -555,4 +1389,7 @@ class BlockchainService {
   }
 }
 
-module.exports = new BlockchainService(); 
\ No newline at end of file
+const blockchainService = new BlockchainService();
+chainServices.set(blockchainService.chainId, blockchainService);
+
+module.exports = blockchainService;
@@ -0,0 +1,41 @@
+const { getDefaultChainId } = require('../config/chains');
+
+const chainOf = (chainId) => chainId || getDefaultChainId();
+
+/**
+ * Redis keys under which a dispute resolution is cached (scoped by chain)
+ */
+const disputeCacheKeys = {
+  byRequest: (txHash, contractAddress, toAddress, chainId) => `dispute:${chainOf(chainId)}:${txHash}:${contractAddress}:${toAddress || 'null'}`,
+  byId: (disputeId) => `dispute:id:${disputeId}`,
+  byTx: (txHash, chainId) => `dispute:${chainOf(chainId)}:tx:${txHash}`
+};
+
+/**
+ * Redis key under which getTransactionLogs results are cached
+ */
+const logsCacheKey = (txHash, contractAddress, chainId) => `logs:${chainOf(chainId)}:${txHash}:${contractAddress}`;
+
+/**
+ * Redis key under which a fetched contract ABI is cached
+ */
+const abiCacheKey = (contractAddress, chainId) => `abi:${chainOf(chainId)}:${contractAddress.toLowerCase()}`;
+
+/**
+ * Redis key under which a contract's proxy detection at a block is cached
+ */
+const proxyCacheKey = (contractAddress, blockTag, chainId) => `proxy:${chainOf(chainId)}:${contractAddress.toLowerCase()}:${blockTag}`;
+
+/**
+ * Redis key under which a token's resolved NFT metadata is cached
+ */
+const nftMetadataCacheKey = (contractAddress, tokenId, chainId) => `nft:${chainOf(chainId)}:${contractAddress.toLowerCase()}:${tokenId}`;
+
+module.exports = {
+  DISPUTE_CACHE_TTL: 3600,
+  disputeCacheKeys,
+  logsCacheKey,
+  abiCacheKey,
+  proxyCacheKey,
+  nftMetadataCacheKey
+};
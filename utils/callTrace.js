@@ -0,0 +1,142 @@
+/**
+ * Normalizes debug_traceTransaction (callTracer) and trace_transaction (Parity/Erigon)
+ * output into one call tree, and extracts internal native value transfers and
+ * reverted subcalls from it.
+ */
+
+const toDecimal = (value) => {
+  if (value === undefined || value === null || value === '') return '0';
+  try {
+    return BigInt(value).toString();
+  } catch (error) {
+    return '0';
+  }
+};
+
+const selectorOf = (input) => (input && input.length >= 10 ? input.slice(0, 10) : null);
+
+/**
+ * Convert a callTracer frame (and its children) into the normalized shape
+ */
+const fromCallTracer = (frame, path = '0', depth = 0) => ({
+  type: (frame.type || 'CALL').toUpperCase(),
+  from: frame.from || null,
+  to: frame.to || null,
+  value: toDecimal(frame.value),
+  gas: toDecimal(frame.gas),
+  gasUsed: toDecimal(frame.gasUsed),
+  selector: selectorOf(frame.input),
+  error: frame.error || null,
+  revertReason: frame.revertReason || null,
+  depth,
+  path,
+  calls: (frame.calls || []).map((child, index) => fromCallTracer(child, `${path}.${index}`, depth + 1))
+});
+
+/**
+ * Rebuild a call tree from trace_transaction's flat list (ordered, addressed by traceAddress)
+ */
+const fromParityTraces = (traces) => {
+  let root = null;
+
+  for (const trace of traces) {
+    const action = trace.action || {};
+    const result = trace.result || {};
+    const traceAddress = trace.traceAddress || [];
+    const frame = {
+      type: (action.callType || trace.type || 'CALL').toUpperCase(),
+      from: action.from || null,
+      to: action.to || result.address || null,
+      value: toDecimal(action.value),
+      gas: toDecimal(action.gas),
+      gasUsed: toDecimal(result.gasUsed),
+      selector: selectorOf(action.input || action.init),
+      error: trace.error || null,
+      revertReason: null,
+      depth: traceAddress.length,
+      path: ['0', ...traceAddress].join('.'),
+      calls: []
+    };
+
+    if (traceAddress.length === 0) {
+      root = frame;
+      continue;
+    }
+
+    let parent = root;
+    for (const index of traceAddress.slice(0, -1)) {
+      parent = parent && parent.calls[index];
+    }
+    if (parent) parent.calls[traceAddress[traceAddress.length - 1]] = frame;
+  }
+
+  return root;
+};
+
+/**
+ * Walk the tree collecting internal value transfers and reverted frames.
+ * Value sent inside a reverted frame (or under one) never moved, so it is flagged as reverted.
+ */
+const summarizeCallTree = (root, maxFrames = 500) => {
+  const internalTransfers = [];
+  const revertedCalls = [];
+  let frames = 0;
+  let truncated = false;
+
+  const walk = (frame, ancestorReverted) => {
+    if (frames >= maxFrames) {
+      truncated = true;
+      return;
+    }
+    frames++;
+
+    const reverted = ancestorReverted || Boolean(frame.error);
+
+    if (frame.error) {
+      revertedCalls.push({
+        path: frame.path,
+        type: frame.type,
+        from: frame.from,
+        to: frame.to,
+        error: frame.error,
+        revertReason: frame.revertReason,
+        gasUsed: frame.gasUsed
+      });
+    }
+
+    if (frame.depth > 0 && frame.value !== '0') {
+      internalTransfers.push({
+        type: 'Internal',
+        callType: frame.type,
+        from: frame.from,
+        to: frame.to,
+        value: frame.value,
+        path: frame.path,
+        reverted
+      });
+    }
+
+    for (const child of frame.calls) {
+      if (child) walk(child, reverted);
+    }
+  };
+
+  if (root) walk(root, false);
+
+  return {
+    internalTransfers,
+    revertedCalls,
+    totalInternalValue: internalTransfers
+      .filter(transfer => !transfer.reverted)
+      .reduce((total, transfer) => total + BigInt(transfer.value), 0n)
+      .toString(),
+    frames,
+    truncated
+  };
+};
+
+module.exports = {
+  fromCallTracer,
+  fromParityTraces,
+  summarizeCallTree
+};
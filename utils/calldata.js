@@ -0,0 +1,57 @@
+const { ethers } = require('ethers');
+
+/**
+ * JSON-safe form of a decoded ABI value (bigints as strings, indexed dynamic values as their hash)
+ */
+const formatValue = (value) => {
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof ethers.Indexed) return { hash: value.hash };
+  if (Array.isArray(value)) return Array.from(value, formatValue);
+  return value;
+};
+
+/**
+ * Decode calldata against an ABI
+ * @param {string} data - Transaction input
+ * @param {Array} abi - Any ABI ethers.Interface accepts
+ * @returns {Object|null} - selector, name, signature, args [{ name, type, value }] and exact
+ *   (false when the calldata has trailing bytes the function does not account for); null if
+ *   the ABI has no function for the selector or the arguments do not decode
+ */
+const decodeCalldataWithABI = (data, abi) => {
+  if (!data || data.length < 10 || !abi) return null;
+
+  try {
+    const contractInterface = new ethers.Interface(abi);
+    const fragment = contractInterface.getFunction(data.slice(0, 10));
+    if (!fragment) return null;
+
+    const values = contractInterface.decodeFunctionData(fragment, data);
+    return {
+      selector: fragment.selector,
+      name: fragment.name,
+      signature: fragment.format('sighash'),
+      args: fragment.inputs.map((input, index) => ({
+        name: input.name || null,
+        type: input.type,
+        value: formatValue(values[index])
+      })),
+      exact: contractInterface.encodeFunctionData(fragment, values) === data.toLowerCase()
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * One-line summary of a decoded call, e.g. "partialTransfer(to=0x12..., amount=600)"
+ */
+const formatCall = (call) => `${call.name}(${call.args
+  .map(arg => `${arg.name || arg.type}=${typeof arg.value === 'string' ? arg.value : JSON.stringify(arg.value)}`)
+  .join(', ')})`;
+
+module.exports = {
+  formatValue,
+  decodeCalldataWithABI,
+  formatCall
+};
@@ -0,0 +1,77 @@
+/**
+ * Dispute lifecycle states
+ */
+const DISPUTE_STATUSES = [
+  'open',
+  'analyzing',
+  'awaiting_counterparty',
+  'resolved',
+  'appealed',
+  'escalated',
+  'closed'
+];
+
+/**
+ * Allowed transitions for each dispute status
+ */
+const STATUS_TRANSITIONS = {
+  open: ['analyzing', 'awaiting_counterparty', 'escalated', 'closed'],
+  analyzing: ['awaiting_counterparty', 'resolved', 'escalated'],
+  awaiting_counterparty: ['analyzing', 'resolved', 'escalated', 'closed'],
+  resolved: ['appealed', 'closed'],
+  appealed: ['analyzing', 'escalated', 'resolved'],
+  escalated: ['resolved', 'closed'],
+  closed: []
+};
+
+/**
+ * Transaction states that leave a dispute open until the watcher can resolve it
+ */
+const PENDING_TRANSACTION_STATES = ['pending', 'dropped', 'replaced'];
+
+/**
+ * What a dispute is about: a token contract's transfer, or a native (MON/ETH) value transfer
+ */
+const DISPUTE_TYPES = ['token', 'native'];
+
+/**
+ * Checks whether a dispute can move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} - True if the transition is allowed
+ */
+const canTransition = (from, to) => {
+  const allowed = STATUS_TRANSITIONS[from];
+  return Array.isArray(allowed) && allowed.includes(to);
+};
+
+/**
+ * Lists the statuses reachable from the given status
+ * @param {string} status - Current status
+ * @returns {string[]} - Allowed next statuses
+ */
+const getAllowedTransitions = (status) => STATUS_TRANSITIONS[status] || [];
+
+/**
+ * Throws if the transition is not allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ */
+const assertTransition = (from, to) => {
+  if (!DISPUTE_STATUSES.includes(to)) {
+    throw new Error(`Invalid status transition: unknown status '${to}'`);
+  }
+  if (!canTransition(from, to)) {
+    throw new Error(`Invalid status transition from '${from}' to '${to}'`);
+  }
+};
+
+module.exports = {
+  DISPUTE_STATUSES,
+  STATUS_TRANSITIONS,
+  PENDING_TRANSACTION_STATES,
+  DISPUTE_TYPES,
+  canTransition,
+  getAllowedTransitions,
+  assertTransition
+};
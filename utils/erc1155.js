@@ -0,0 +1,82 @@
+const { ethers } = require('ethers');
+
+// ERC-1155 multi-token standard
+const ERC1155_ABI = [
+  'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+  'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+  'event ApprovalForAll(address indexed account, address indexed operator, bool approved)',
+  'event URI(string value, uint256 indexed id)',
+  'function balanceOf(address account, uint256 id) view returns (uint256)',
+  'function balanceOfBatch(address[] accounts, uint256[] ids) view returns (uint256[])',
+  'function isApprovedForAll(address account, address operator) view returns (bool)',
+  'function uri(uint256 id) view returns (string)'
+];
+
+const erc1155Interface = new ethers.Interface(ERC1155_ABI);
+
+/**
+ * Decode an ERC-1155 TransferSingle, TransferBatch or URI log
+ * @param {Object} log - Raw log (topics, data, logIndex)
+ * @returns {{ transfers: Object[], uris: Object[] }|null} - null if the log is not an ERC-1155 transfer/URI event
+ */
+const decodeERC1155Log = (log) => {
+  let parsedLog;
+  try {
+    parsedLog = erc1155Interface.parseLog(log);
+  } catch (error) {
+    return null;
+  }
+  if (!parsedLog) return null;
+
+  const [operator, from, to] = parsedLog.args;
+
+  switch (parsedLog.name) {
+    case 'TransferSingle':
+      return {
+        transfers: [{
+          type: 'ERC1155',
+          operator,
+          from,
+          to,
+          tokenId: parsedLog.args[3].toString(),
+          amount: parsedLog.args[4].toString(),
+          logIndex: log.logIndex
+        }],
+        uris: []
+      };
+    case 'TransferBatch': {
+      const [, , , ids, values] = parsedLog.args;
+      // One transfer entry per id so balances and claims can be checked per token
+      return {
+        transfers: ids.map((id, batchIndex) => ({
+          type: 'ERC1155',
+          operator,
+          from,
+          to,
+          tokenId: id.toString(),
+          amount: values[batchIndex].toString(),
+          batchIndex,
+          logIndex: log.logIndex
+        })),
+        uris: []
+      };
+    }
+    case 'URI':
+      return {
+        transfers: [],
+        uris: [{
+          tokenId: parsedLog.args[1].toString(),
+          uri: parsedLog.args[0],
+          logIndex: log.logIndex
+        }]
+      };
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  ERC1155_ABI,
+  erc1155Interface,
+  decodeERC1155Log
+};
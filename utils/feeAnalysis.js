@@ -0,0 +1,147 @@
+const { ethers } = require('ethers');
+
+/**
+ * Explains what a transaction paid for gas: whether it ran out of gas, how its base and
+ * priority fees compare to the market when it was mined, and the fee charged in native units.
+ */
+
+const OUT_OF_GAS_PATTERN = /out of gas/i;
+
+const toBigInt = (value) => {
+  if (value === undefined || value === null) return null;
+  try {
+    return BigInt(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const median = (values) => {
+  const sorted = values.filter(value => value !== null).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2n;
+};
+
+// a / b with two decimals, or null when b is zero or unknown
+const ratio = (a, b) => (a !== null && b !== null && b > 0n ? Number((a * 100n) / b) / 100 : null);
+
+const asString = (value) => (value === null ? null : value.toString());
+
+/**
+ * Market fees around a block from an eth_feeHistory result requested with the [50] percentile
+ * @param {Object|null} feeHistory - { baseFeePerGas, reward, oldestBlock } (hex quantities)
+ * @returns {Object|null} - Median base fee over the window and the block's median priority fee
+ */
+const summarizeFeeHistory = (feeHistory) => {
+  if (!feeHistory || !Array.isArray(feeHistory.baseFeePerGas)) return null;
+
+  // baseFeePerGas has one extra entry: the base fee of the block after the window
+  const baseFees = feeHistory.baseFeePerGas.slice(0, -1).map(toBigInt);
+  const rewards = (feeHistory.reward || []).map(reward => toBigInt(reward && reward[0]));
+
+  return {
+    blocks: baseFees.length,
+    oldestBlock: feeHistory.oldestBlock !== undefined ? Number(feeHistory.oldestBlock) : null,
+    medianBaseFeePerGas: median(baseFees),
+    // The transaction's block is the newest in the window
+    blockMedianPriorityFeePerGas: rewards.length > 0 ? rewards[rewards.length - 1] : null,
+    windowMedianPriorityFeePerGas: median(rewards)
+  };
+};
+
+/**
+ * Did the transaction run out of gas? The call trace says so directly; otherwise a failed
+ * transaction that used (nearly) its whole gas limit is taken as out of gas. Subcalls keep 1/64
+ * of the gas (EIP-150), so "nearly" means at least 63/64 of the limit.
+ */
+const detectOutOfGas = ({ receipt, gasLimit, gasUsed, trace, chargesGasLimit }) => {
+  if (trace && trace.available) {
+    const frame = (trace.callTree && OUT_OF_GAS_PATTERN.test(trace.callTree.error || ''))
+      ? { path: '0', error: trace.callTree.error }
+      : trace.revertedCalls.find(call => OUT_OF_GAS_PATTERN.test(call.error || ''));
+    if (frame) {
+      return { detected: true, source: 'trace', path: frame.path };
+    }
+  }
+
+  // Chains that charge the gas limit may report it as gasUsed, so the comparison says nothing there
+  if (receipt.status === 0 && !chargesGasLimit && gasLimit !== null && gasUsed !== null && gasUsed * 64n >= gasLimit * 63n) {
+    return { detected: true, source: 'gasUsed', path: null };
+  }
+
+  return { detected: false, source: null, path: null };
+};
+
+/**
+ * Build the fee analysis of a mined transaction
+ * @param {Object} input - transaction, receipt, block (for baseFeePerGas), feeHistory (eth_feeHistory result or null),
+ *   trace, chain ({ nativeSymbol, chargesGasLimit }) and overpayRatio (fee ratio above which a fee is flagged)
+ * @returns {Object} - Gas usage, fees paid vs. the market, fee charged and flags
+ */
+const analyzeFees = ({ transaction, receipt, block = null, feeHistory = null, trace = null, chain = {}, overpayRatio = 2 }) => {
+  const gasLimit = toBigInt(transaction.gasLimit);
+  const gasUsed = toBigInt(receipt.gasUsed);
+  const effectiveGasPrice = toBigInt(receipt.gasPrice ?? receipt.effectiveGasPrice ?? transaction.gasPrice);
+  const baseFeePerGas = toBigInt(block && block.baseFeePerGas);
+  const priorityFeePerGas = effectiveGasPrice !== null && baseFeePerGas !== null ? effectiveGasPrice - baseFeePerGas : null;
+  const chargesGasLimit = Boolean(chain.chargesGasLimit);
+
+  const gasCharged = chargesGasLimit ? gasLimit : gasUsed;
+  const feeCharged = gasCharged !== null && effectiveGasPrice !== null ? gasCharged * effectiveGasPrice : null;
+
+  const market = summarizeFeeHistory(feeHistory);
+  const medianPriorityFeePerGas = market ? market.blockMedianPriorityFeePerGas : null;
+  // What the same gas would have cost at the block's base fee plus its median tip
+  const feeAtMedian = gasCharged !== null && baseFeePerGas !== null && medianPriorityFeePerGas !== null
+    ? gasCharged * (baseFeePerGas + medianPriorityFeePerGas)
+    : null;
+
+  const outOfGas = detectOutOfGas({ receipt, gasLimit, gasUsed, trace, chargesGasLimit });
+  const priorityFeeRatio = ratio(priorityFeePerGas, medianPriorityFeePerGas);
+  const baseFeeRatio = ratio(baseFeePerGas, market ? market.medianBaseFeePerGas : null);
+
+  const flags = [];
+  if (outOfGas.detected) flags.push('OUT_OF_GAS');
+  if (priorityFeeRatio !== null && priorityFeeRatio >= overpayRatio) flags.push('PRIORITY_FEE_ABOVE_MEDIAN');
+  if (baseFeeRatio !== null && baseFeeRatio >= overpayRatio) flags.push('BASE_FEE_SPIKE');
+  if (chargesGasLimit && gasLimit !== null && gasUsed !== null && gasUsed < gasLimit) flags.push('UNUSED_GAS_CHARGED');
+  if (transaction.type === 0 || transaction.type === 1) flags.push('LEGACY_GAS_PRICE');
+
+  return {
+    transactionType: transaction.type ?? null,
+    gasLimit: asString(gasLimit),
+    gasUsed: asString(gasUsed),
+    gasUsedRatio: ratio(gasUsed, gasLimit),
+    outOfGas,
+    effectiveGasPrice: asString(effectiveGasPrice),
+    baseFeePerGas: asString(baseFeePerGas),
+    priorityFeePerGas: asString(priorityFeePerGas),
+    maxFeePerGas: asString(toBigInt(transaction.maxFeePerGas)),
+    maxPriorityFeePerGas: asString(toBigInt(transaction.maxPriorityFeePerGas)),
+    market: market
+      ? {
+        blocks: market.blocks,
+        oldestBlock: market.oldestBlock,
+        medianBaseFeePerGas: asString(market.medianBaseFeePerGas),
+        blockMedianPriorityFeePerGas: asString(market.blockMedianPriorityFeePerGas),
+        windowMedianPriorityFeePerGas: asString(market.windowMedianPriorityFeePerGas)
+      }
+      : null,
+    baseFeeRatio,
+    priorityFeeRatio,
+    feeBasis: chargesGasLimit ? 'gasLimit' : 'gasUsed',
+    feeCharged: asString(feeCharged),
+    feeChargedFormatted: feeCharged !== null ? ethers.formatEther(feeCharged) : null,
+    feeAtMedian: asString(feeAtMedian),
+    feeAtMedianFormatted: feeAtMedian !== null ? ethers.formatEther(feeAtMedian) : null,
+    symbol: chain.nativeSymbol || null,
+    flags
+  };
+};
+
+module.exports = {
+  summarizeFeeHistory,
+  detectOutOfGas,
+  analyzeFees
+};
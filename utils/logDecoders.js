@@ -0,0 +1,258 @@
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('../config/logger');
+const { decodeERC1155Log } = require('./erc1155');
+const { decodeApprovalLog } = require('./approvals');
+
+// Record lists a decoder can fill; they map one-to-one onto the parsedLogs fields
+const RECORD_KINDS = ['transfers', 'failures', 'partialTransfers', 'uris', 'approvals'];
+
+/**
+ * Decoders for the standard token events and the Monad DummyDisputeContract.
+ * A decoder lists the events it understands (indexed markers included, since they decide the
+ * topic count) and turns a parsed log into records; returning null leaves the log unclaimed.
+ */
+const BUILTIN_DECODERS = [
+  {
+    name: 'ERC20',
+    contractType: 'ERC20',
+    events: ['event Transfer(address indexed from, address indexed to, uint256 value)'],
+    decode: (parsedLog, log) => ({
+      transfers: [{
+        type: 'ERC20',
+        from: parsedLog.args[0],
+        to: parsedLog.args[1],
+        value: parsedLog.args[2].toString(),
+        logIndex: log.logIndex
+      }]
+    })
+  },
+  {
+    name: 'ERC721',
+    contractType: 'ERC721',
+    events: ['event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)'],
+    decode: (parsedLog, log) => ({
+      transfers: [{
+        type: 'ERC721',
+        from: parsedLog.args[0],
+        to: parsedLog.args[1],
+        tokenId: parsedLog.args[2].toString(),
+        logIndex: log.logIndex
+      }]
+    })
+  },
+  {
+    name: 'MonadDummyContract',
+    contractType: 'MonadDummyContract',
+    events: [
+      'event Transfer(address indexed from, address indexed to, uint256 amount)',
+      'event TransferFailed(address indexed from, address indexed to, uint256 amount, string reason)',
+      'event PartialTransfer(address indexed from, address indexed to, uint256 requested, uint256 sent)',
+      'event TokenMinted(address indexed to, uint256 tokenId)',
+      'event TokenTransferFailed(address indexed from, address indexed to, uint256 tokenId, string reason)'
+    ],
+    decode: (parsedLog, log) => {
+      const [from, to] = parsedLog.args;
+      switch (parsedLog.name) {
+        case 'Transfer':
+          return { transfers: [{ type: 'MonadToken', from, to, amount: parsedLog.args[2].toString(), logIndex: log.logIndex }] };
+        case 'TransferFailed':
+          return { failures: [{ type: 'TransferFailed', from, to, amount: parsedLog.args[2].toString(), reason: parsedLog.args[3], logIndex: log.logIndex }] };
+        case 'PartialTransfer':
+          return {
+            partialTransfers: [{
+              type: 'PartialTransfer',
+              from,
+              to,
+              requested: parsedLog.args[2].toString(),
+              sent: parsedLog.args[3].toString(),
+              logIndex: log.logIndex
+            }]
+          };
+        case 'TokenMinted':
+          return { transfers: [{ type: 'TokenMinted', to: parsedLog.args[0], tokenId: parsedLog.args[1].toString(), logIndex: log.logIndex }] };
+        case 'TokenTransferFailed':
+          return { failures: [{ type: 'TokenTransferFailed', from, to, tokenId: parsedLog.args[2].toString(), reason: parsedLog.args[3], logIndex: log.logIndex }] };
+        default:
+          return null;
+      }
+    }
+  },
+  {
+    name: 'ERC1155',
+    contractType: 'ERC1155',
+    events: [
+      'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+      'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)',
+      'event URI(string value, uint256 indexed id)'
+    ],
+    decode: (parsedLog, log) => decodeERC1155Log(log)
+  },
+  {
+    // Approvals say nothing about the token standard, so they leave contractType alone
+    name: 'Approvals',
+    contractType: null,
+    events: [
+      'event Approval(address indexed owner, address indexed spender, uint256 value)',
+      'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+      'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)'
+    ],
+    decode: (parsedLog, log) => {
+      const approval = decodeApprovalLog(log);
+      return approval ? { approvals: [approval] } : null;
+    }
+  }
+];
+
+/**
+ * Registry of log decoders, keyed by topic hash and topic count.
+ * Custom decoders come from registerDecoder() or the modules listed in LOG_DECODERS and are
+ * consulted before the built-in ones; decoders scoped to `addresses` go before unscoped ones.
+ */
+class LogDecoderRegistry {
+  constructor() {
+    this.entries = new Map();
+    this.decoders = [];
+    this.loaded = false;
+  }
+
+  /**
+   * Register the built-in decoders and the LOG_DECODERS modules on first use
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    BUILTIN_DECODERS.forEach(decoder => this.registerDecoder(decoder, { builtin: true }));
+
+    const modules = (process.env.LOG_DECODERS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    for (const modulePath of modules) {
+      try {
+        const exported = require(path.resolve(process.cwd(), modulePath));
+        [].concat(exported).forEach(decoder => this.registerDecoder(decoder));
+        logger.info(`Loaded log decoders from ${modulePath}`);
+      } catch (error) {
+        logger.error(`Failed to load log decoders from ${modulePath}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Register a decoder
+   * @param {Object} decoder - name, events (human-readable or JSON event fragments), decode(parsedLog, log),
+   *   and optionally contractType and addresses (only claim logs emitted by these contracts)
+   */
+  registerDecoder(decoder, { builtin = false } = {}) {
+    if (!builtin) this.load();
+
+    if (!decoder || typeof decoder.name !== 'string' || typeof decoder.decode !== 'function' ||
+        !Array.isArray(decoder.events) || decoder.events.length === 0) {
+      throw new Error('Invalid log decoder: name, events and decode are required');
+    }
+
+    const addresses = decoder.addresses ? new Set(decoder.addresses.map(address => address.toLowerCase())) : null;
+    const registered = { ...decoder, contractType: decoder.contractType || null, addresses, builtin };
+
+    for (const event of decoder.events) {
+      const fragment = ethers.EventFragment.from(event);
+      if (fragment.anonymous) {
+        throw new Error(`Invalid log decoder ${decoder.name}: anonymous events have no topic hash`);
+      }
+
+      const key = entryKey(fragment.topicHash, 1 + fragment.inputs.filter(input => input.indexed).length);
+      const entries = this.entries.get(key) || [];
+      // One interface per event, built once: two decoders may declare the same signature
+      entries.push({ decoder: registered, contractInterface: new ethers.Interface([fragment]) });
+      entries.sort(compareEntries);
+      this.entries.set(key, entries);
+    }
+
+    this.decoders.push(registered);
+  }
+
+  /**
+   * Entries whose signature matches the log exactly, in order of precedence
+   */
+  candidates(log) {
+    this.load();
+    if (!log.topics || log.topics.length === 0) return [];
+
+    const address = log.address ? log.address.toLowerCase() : null;
+    return (this.entries.get(entryKey(log.topics[0], log.topics.length)) || [])
+      .filter(({ decoder }) => !decoder.addresses || (address && decoder.addresses.has(address)));
+  }
+
+  /**
+   * Decode the logs of one transaction.
+   * When several decoders declare the same signature (a plain Transfer, say), the one that is
+   * the only match for another log in the batch wins, so a DummyDisputeContract Transfer is
+   * not reported as ERC-20 when the contract also emitted TransferFailed.
+   * @returns {Array} - { log, decoded } per log; decoded is { decoder, contractType, records } or null
+   */
+  decodeLogs(logs) {
+    const candidatesPerLog = logs.map(log => this.candidates(log));
+    const identified = new Set(candidatesPerLog
+      .filter(candidates => new Set(candidates.map(({ decoder }) => decoder)).size === 1)
+      .map(candidates => candidates[0].decoder));
+
+    return logs.map((log, index) => {
+      const candidates = [...candidatesPerLog[index]]
+        .sort((a, b) => identified.has(b.decoder) - identified.has(a.decoder));
+      return { log, decoded: decodeWith(candidates, log) };
+    });
+  }
+
+  /**
+   * Decode a single log
+   */
+  decodeLog(log) {
+    return decodeWith(this.candidates(log), log);
+  }
+
+  /**
+   * Registered decoders, for diagnostics
+   */
+  listDecoders() {
+    this.load();
+    return this.decoders.map(decoder => ({
+      name: decoder.name,
+      contractType: decoder.contractType,
+      builtin: decoder.builtin,
+      addresses: decoder.addresses ? [...decoder.addresses] : null,
+      events: decoder.events.map(event => ethers.EventFragment.from(event).format('full'))
+    }));
+  }
+}
+
+const entryKey = (topicHash, topicCount) => `${String(topicHash).toLowerCase()}:${topicCount}`;
+
+// Address-scoped decoders first, then custom before built-in, then in registration order
+const compareEntries = (a, b) => (Boolean(b.decoder.addresses) - Boolean(a.decoder.addresses)) ||
+  (a.decoder.builtin - b.decoder.builtin);
+
+/**
+ * First candidate that parses the log and claims it
+ */
+const decodeWith = (candidates, log) => {
+  for (const { decoder, contractInterface } of candidates) {
+    let records;
+    try {
+      const parsedLog = contractInterface.parseLog({ topics: log.topics, data: log.data || '0x' });
+      records = parsedLog ? decoder.decode(parsedLog, log) : null;
+    } catch (error) {
+      logger.debug(`Log decoder ${decoder.name} could not decode log ${log.logIndex}:`, error.message);
+      continue;
+    }
+    if (!records) continue;
+
+    return {
+      decoder: decoder.name,
+      contractType: decoder.contractType,
+      records: Object.fromEntries(RECORD_KINDS.map(kind => [kind, [].concat(records[kind] || [])
+        .map(record => ({ ...record, logIndex: record.logIndex ?? log.logIndex }))]))
+    };
+  }
+  return null;
+};
+
+module.exports = new LogDecoderRegistry();
@@ -0,0 +1,180 @@
+const { ethers } = require('ethers');
+const RpcPool = require('./rpcPool');
+
+/**
+ * Paginated eth_getLogs over a block range. Windows halve when an endpoint refuses a
+ * query as too large and double again after a run of successful pages, so one busy
+ * block range does not force tiny windows for the rest of the scan.
+ */
+
+// Successful pages in a row before the window is allowed to grow again
+const GROW_AFTER_PAGES = 3;
+
+const scanSettings = () => ({
+  windowSize: parseInt(process.env.LOG_SCAN_WINDOW) || 1000,
+  minWindowSize: parseInt(process.env.LOG_SCAN_MIN_WINDOW) || 1,
+  maxWindows: parseInt(process.env.LOG_SCAN_MAX_WINDOWS) || 100,
+  maxLogs: parseInt(process.env.LOG_SCAN_MAX_LOGS) || 5000
+});
+
+/**
+ * Pad an address into a 32-byte topic
+ */
+const addressTopic = (address) => ethers.zeroPadValue(ethers.getAddress(address), 32);
+
+/**
+ * Topic filter for events with indexed (from, to) as their first two arguments
+ * (ERC-20/721 Transfer and the dispute contract events). Missing addresses match anything.
+ */
+const transferTopics = ({ from, to } = {}) => {
+  if (!from && !to) return undefined;
+  return [null, from ? addressTopic(from) : null, to ? addressTopic(to) : null];
+};
+
+/**
+ * Scan logs in windows between fromBlock and toBlock (inclusive)
+ * @param {RpcPool} rpcPool - Pool of the chain to scan
+ * @param {Object} filter - address, topics, fromBlock, toBlock
+ * @param {Object} options - windowSize, minWindowSize, maxWindows, maxLogs (defaults from LOG_SCAN_*)
+ * @returns {Object} - logs, fromBlock, toBlock, scannedToBlock, windows, shrinks, truncated
+ */
+const scanLogs = async (rpcPool, filter, options = {}) => {
+  const settings = { ...scanSettings(), ...options };
+  const { address, topics, fromBlock, toBlock } = filter;
+
+  const logs = [];
+  let windowSize = settings.windowSize;
+  let start = fromBlock;
+  let windows = 0;
+  let shrinks = 0;
+  let pagesSinceResize = 0;
+  let truncated = false;
+
+  while (start <= toBlock) {
+    if (windows >= settings.maxWindows || logs.length >= settings.maxLogs) {
+      truncated = true;
+      break;
+    }
+
+    const end = Math.min(toBlock, start + windowSize - 1);
+    try {
+      const page = await rpcPool.execute('getLogs', provider => provider.getLogs({
+        address,
+        topics,
+        fromBlock: start,
+        toBlock: end
+      }));
+      windows++;
+      logs.push(...page);
+      start = end + 1;
+      if (++pagesSinceResize >= GROW_AFTER_PAGES) {
+        windowSize = Math.min(settings.windowSize, windowSize * 2);
+        pagesSinceResize = 0;
+      }
+    } catch (error) {
+      if (!RpcPool.isLimitError(error) || windowSize <= settings.minWindowSize) {
+        throw error;
+      }
+      windowSize = Math.max(settings.minWindowSize, Math.floor(windowSize / 2));
+      pagesSinceResize = 0;
+      shrinks++;
+    }
+  }
+
+  if (logs.length > settings.maxLogs) {
+    logs.length = settings.maxLogs;
+    truncated = true;
+  }
+
+  return {
+    logs,
+    fromBlock,
+    toBlock,
+    scannedToBlock: Math.min(toBlock, start - 1),
+    windows,
+    shrinks,
+    truncated
+  };
+};
+
+/**
+ * Binary search the first block with timestamp >= the given unix time
+ * @param {RpcPool} rpcPool - Pool of the chain to search
+ * @param {number} timestamp - Unix seconds
+ * @param {number} latestBlock - Upper bound of the search
+ * @returns {number|null} - null when even the latest block is older than the timestamp
+ */
+const findBlockByTimestamp = async (rpcPool, timestamp, latestBlock) => {
+  const timestampOf = async (blockNumber) => {
+    const block = await rpcPool.execute('getBlock', provider => provider.getBlock(blockNumber));
+    if (!block) {
+      throw new Error(`Provider error: block ${blockNumber} not available`);
+    }
+    return block.timestamp;
+  };
+
+  let low = 0;
+  let high = latestBlock;
+  if (await timestampOf(high) < timestamp) return null;
+
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (await timestampOf(mid) < timestamp) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+/**
+ * Turn a caller's range into concrete block numbers. Explicit blocks win over times; an open
+ * end runs to the chain head (or `span` blocks back). With no bounds at all the range is
+ * `around` +/- `span` blocks, or the last `span` blocks.
+ * @param {RpcPool} rpcPool - Pool of the chain to scan
+ * @param {Object} range - fromBlock, toBlock, fromTime, toTime (unix seconds), around, span
+ * @returns {{ fromBlock: number, toBlock: number }}
+ */
+const resolveBlockRange = async (rpcPool, range = {}) => {
+  const latestBlock = await rpcPool.execute('getBlockNumber', provider => provider.getBlockNumber());
+  const span = range.span || parseInt(process.env.LOG_SCAN_RANGE) || 1000;
+  const has = (value) => value !== undefined && value !== null;
+
+  let fromBlock = range.fromBlock;
+  let toBlock = range.toBlock;
+
+  if (!has(fromBlock) && has(range.fromTime)) {
+    fromBlock = await findBlockByTimestamp(rpcPool, range.fromTime, latestBlock);
+    if (fromBlock === null) {
+      throw new Error('Invalid log scan range: fromTime is after the latest block');
+    }
+  }
+  if (!has(toBlock) && has(range.toTime)) {
+    // Last block at or before toTime
+    const firstAfter = await findBlockByTimestamp(rpcPool, range.toTime + 1, latestBlock);
+    toBlock = firstAfter === null ? latestBlock : firstAfter - 1;
+  }
+
+  if (has(range.around) && !has(fromBlock) && !has(toBlock)) {
+    fromBlock = Math.max(0, range.around - span);
+    toBlock = range.around + span;
+  }
+  if (!has(toBlock)) toBlock = latestBlock;
+  if (!has(fromBlock)) fromBlock = Math.max(0, toBlock - span);
+
+  toBlock = Math.min(toBlock, latestBlock);
+  if (fromBlock > toBlock) {
+    throw new Error(`Invalid log scan range: fromBlock ${fromBlock} is after toBlock ${toBlock}`);
+  }
+
+  return { fromBlock, toBlock };
+};
+
+module.exports = {
+  addressTopic,
+  transferTopics,
+  scanLogs,
+  findBlockByTimestamp,
+  resolveBlockRange
+};
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const dns = require('dns');
+const net = require('net');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../config/logger');
+const { getRedisClient } = require('../config/database');
+const { nftMetadataCacheKey } = require('./cacheKeys');
+
+// Metadata documents larger than this are not NFT metadata
+const MAX_METADATA_BYTES = 1024 * 1024;
+
+// Loopback, private, link-local, shared (CGNAT), unspecified, multicast and reserved ranges token URIs may not point into
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Fetches and validates NFT metadata JSON from a tokenURI/uri.
+ * ipfs:// URIs go through NFT_METADATA_GATEWAY; http(s), ar:// and data: URIs are supported too. When the gateway is a local directory
+ * (file:///path or an absolute path), every URI is read from disk instead of the network:
+ * ipfs://<cid>/<path> from <dir>/<cid>/<path> and http(s)://<host>/<path> from <dir>/<host>/<path>.
+ * Token URIs are chosen by whoever deployed the contract, so they may not leave the local directory
+ * or reach private network addresses; only the configured gateway is trusted.
+ */
+class NftMetadataResolver {
+  constructor() {
+    this.gateway = process.env.NFT_METADATA_GATEWAY || 'https://ipfs.io/ipfs/';
+    this.timeout = parseInt(process.env.NFT_METADATA_TIMEOUT_MS) || 10000;
+    this.cacheTtl = parseInt(process.env.NFT_METADATA_CACHE_TTL) || 86400;
+  }
+
+  /**
+   * Redis client is resolved lazily since connectRedis runs after services load
+   */
+  get redisClient() {
+    return getRedisClient();
+  }
+
+  /**
+   * Local directory standing in for the network, or null when the gateway is a URL
+   */
+  get localDirectory() {
+    if (this.gateway.startsWith('file://')) return new URL(this.gateway).pathname;
+    return path.isAbsolute(this.gateway) ? this.gateway : null;
+  }
+
+  /**
+   * Path of a URI under the local directory; `..` segments that would leave it are rejected
+   */
+  localPath(directory, ...segments) {
+    const root = path.resolve(directory);
+    const location = path.resolve(path.join(root, ...segments));
+    if (!location.startsWith(root + path.sep)) {
+      throw new Error('Metadata URI points outside the metadata directory');
+    }
+    return location;
+  }
+
+  /**
+   * Whether a parsed URL is on the configured gateway: the same origin, and a normalized path under the
+   * gateway's path (encoded slashes are refused, since the gateway could decode them into `..` segments)
+   */
+  isGatewayUrl(url) {
+    let gateway;
+    try {
+      gateway = new URL(this.gateway.replace(/\/?$/, '/'));
+    } catch (error) {
+      return false;
+    }
+    return url.origin === gateway.origin && url.pathname.startsWith(gateway.pathname) && !/%2f|%5c/i.test(url.pathname);
+  }
+
+  /**
+   * Resolve a metadata host, rejecting it when any of its addresses is loopback, private or link-local
+   * @returns {Object[]} - { address, family } entries from dns.lookup
+   */
+  async lookupPublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true });
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      throw new Error(`Metadata host ${host} resolves to a private address (${blocked.address})`);
+    }
+    return addresses;
+  }
+
+  /**
+   * Substitute the ERC-1155 {id} placeholder: lowercase hex, zero-padded to 64 characters
+   */
+  expandTokenUri(uri, tokenId) {
+    return uri.replace(/\{id\}/g, BigInt(tokenId).toString(16).padStart(64, '0'));
+  }
+
+  /**
+   * Where a token URI is fetched from: a URL, a file path (local gateway) or inline data
+   * @param {string} uri - tokenURI/uri result, with any ERC-1155 {id} placeholder substituted
+   * @returns {{ kind: 'http'|'file'|'data', location: string }}
+   */
+  locate(uri) {
+    // Arweave has a single public gateway, so ar:// is treated as the https URL it stands for
+    const value = uri.trim().replace(/^ar:\/\//, 'https://arweave.net/');
+    if (value.startsWith('data:')) {
+      return { kind: 'data', location: value };
+    }
+
+    const ipfsPath = value.startsWith('ipfs://')
+      ? value.slice('ipfs://'.length).replace(/^ipfs\//, '')
+      : null;
+    const directory = this.localDirectory;
+
+    if (directory) {
+      if (ipfsPath !== null) return { kind: 'file', location: this.localPath(directory, ipfsPath) };
+      if (/^https?:\/\//.test(value)) {
+        const url = new URL(value);
+        return { kind: 'file', location: this.localPath(directory, url.host, url.pathname) };
+      }
+    } else {
+      if (ipfsPath !== null) return { kind: 'http', location: `${this.gateway.replace(/\/?$/, '/')}${ipfsPath}` };
+      if (/^https?:\/\//.test(value)) return { kind: 'http', location: value };
+    }
+
+    throw new Error(`Unsupported metadata URI scheme: ${value.slice(0, 40)}`);
+  }
+
+  /**
+   * Load the raw metadata document
+   */
+  async load({ kind, location }) {
+    if (kind === 'data') {
+      const match = location.match(/^data:([^,;]*)((?:;[^,;]+)*?)(;base64)?,(.*)$/s);
+      if (!match) throw new Error('Malformed data URI');
+      if (match[3]) return Buffer.from(match[4], 'base64').toString('utf8');
+      try {
+        return decodeURIComponent(match[4]);
+      } catch (error) {
+        return match[4];
+      }
+    }
+
+    if (kind === 'file') {
+      const { size } = await fs.promises.stat(location);
+      if (size > MAX_METADATA_BYTES) throw new Error(`Metadata file is larger than ${MAX_METADATA_BYTES} bytes`);
+      return fs.promises.readFile(location, 'utf8');
+    }
+
+    // The gateway is configured by the operator and may be a local IPFS node; any other host must be public.
+    // The check runs again as the request's DNS lookup, so the host cannot re-resolve to a private address
+    const url = new URL(location);
+    const fromGateway = this.isGatewayUrl(url);
+    if (!fromGateway) {
+      await this.lookupPublicHost(url.hostname);
+    }
+
+    // Request the normalized URL that was checked, not the raw token URI
+    const response = await axios.get(url.href, {
+      timeout: this.timeout,
+      maxContentLength: MAX_METADATA_BYTES,
+      // A redirect could lead anywhere, including the private addresses checked above
+      maxRedirects: 0,
+      responseType: 'text',
+      headers: { 'Accept': 'application/json' },
+      lookup: fromGateway ? undefined : async (hostname) => {
+        const [{ address, family }] = await this.lookupPublicHost(hostname);
+        return [address, family];
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * URL a wallet would display an image from (ipfs:// through the gateway; unchanged otherwise)
+   */
+  displayUrl(uri) {
+    if (typeof uri !== 'string' || !/^(ipfs|ar):\/\//.test(uri) || this.localDirectory) return uri;
+    return this.locate(uri).location;
+  }
+
+  /**
+   * Check the fields wallets and marketplaces rely on
+   * @returns {string[]} - Problems found; empty when the metadata is valid
+   */
+  validate(metadata) {
+    const errors = [];
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      return ['Metadata is not a JSON object'];
+    }
+
+    if (typeof metadata.name !== 'string' || metadata.name.trim() === '') {
+      errors.push('name is missing or not a string');
+    }
+    if (typeof metadata.image !== 'string' || metadata.image.trim() === '') {
+      errors.push('image is missing or not a string');
+    } else if (!/^(ipfs|https?|ar|data):/i.test(metadata.image)) {
+      errors.push('image is not an ipfs, http(s), ar or data URI');
+    }
+    if (metadata.attributes !== undefined) {
+      if (!Array.isArray(metadata.attributes)) {
+        errors.push('attributes is not an array');
+      } else {
+        metadata.attributes.forEach((attribute, index) => {
+          if (!attribute || typeof attribute !== 'object' || attribute.value === undefined) {
+            errors.push(`attributes[${index}] has no value`);
+          }
+        });
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Resolve a token's metadata, from the cache when possible
+   * @param {Object} token - chainId, contractAddress, tokenId, standard and uri (the tokenURI/uri result)
+   * @returns {Object} - uri, resolvedFrom, metadata (name, description, image, imageUrl, attributes), valid, errors
+   */
+  async resolve({ chainId, contractAddress, tokenId, standard, uri }) {
+    const cacheKey = nftMetadataCacheKey(contractAddress, tokenId, chainId);
+    const cached = await this.getCached(cacheKey);
+    if (cached && cached.uri === uri) {
+      return { ...cached, cached: true };
+    }
+
+    const result = { tokenId, standard, uri, resolvedFrom: null, metadata: null, valid: false, errors: [] };
+    try {
+      const location = this.locate(standard === 'ERC1155' ? this.expandTokenUri(uri, tokenId) : uri);
+      result.resolvedFrom = location.kind === 'data' ? 'data' : location.location;
+
+      const raw = await this.load(location);
+      const metadata = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      result.errors = this.validate(metadata);
+      result.valid = result.errors.length === 0;
+      result.metadata = metadata && typeof metadata === 'object'
+        ? {
+          name: metadata.name ?? null,
+          description: metadata.description ?? null,
+          image: metadata.image ?? null,
+          imageUrl: this.displayUrl(metadata.image) ?? null,
+          attributes: Array.isArray(metadata.attributes) ? metadata.attributes : []
+        }
+        : null;
+    } catch (error) {
+      logger.warn(`Could not resolve metadata for token ${tokenId} of ${contractAddress}:`, error.message);
+      result.errors.push(error.message);
+      // Fetch failures are not cached, so a gateway outage is retried on the next dispute
+      return { ...result, cached: false };
+    }
+
+    await this.cache(cacheKey, result);
+    return { ...result, cached: false };
+  }
+
+  /**
+   * Cached metadata result
+   */
+  async getCached(key) {
+    if (!this.redisClient) return null;
+
+    try {
+      const cached = await this.redisClient.get(key);
+      return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+      logger.error('Failed to get cached NFT metadata:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cache a resolved metadata result for NFT_METADATA_CACHE_TTL seconds
+   */
+  async cache(key, result) {
+    if (!this.redisClient) return;
+
+    try {
+      await this.redisClient.setEx(key, this.cacheTtl, JSON.stringify(result));
+    } catch (error) {
+      logger.error('Failed to cache NFT metadata:', error.message);
+    }
+  }
+}
+
+module.exports = new NftMetadataResolver();
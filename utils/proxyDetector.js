@@ -0,0 +1,128 @@
+const { ethers } = require('ethers');
+const logger = require('../config/logger');
+
+/**
+ * Detects upgradeable and minimal proxies from their standard storage slots and bytecode,
+ * so logs emitted through a proxy can be decoded with the implementation's ABI.
+ */
+
+const PROXY_SLOTS = {
+  // bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+  EIP1967: '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc',
+  // bytes32(uint256(keccak256('eip1967.proxy.beacon')) - 1)
+  EIP1967Beacon: '0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50',
+  // keccak256('PROXIABLE')
+  EIP1822: '0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7',
+  // keccak256('org.zeppelinos.proxy.implementation'), used by OpenZeppelin proxies before EIP-1967
+  ZeppelinOS: '0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3'
+};
+
+// EIP-1167 runtime code: the implementation address sits between the fixed prefix and suffix
+const EIP1167_BYTECODE = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+// implementation() on an EIP-1967 beacon
+const BEACON_ABI = ['function implementation() view returns (address)'];
+const beaconInterface = new ethers.Interface(BEACON_ABI);
+
+/**
+ * Address stored in the low 20 bytes of a storage word, or null when the slot is empty
+ */
+const addressFromSlot = (value) => {
+  if (!value || BigInt(value) === 0n) return null;
+  return ethers.getAddress(ethers.dataSlice(ethers.zeroPadValue(value, 32), 12));
+};
+
+/**
+ * Read the proxy slots and code of an address at one block
+ */
+const readProxyState = async (rpcPool, address, blockTag) => {
+  const slotNames = Object.keys(PROXY_SLOTS);
+  const [code, ...slotValues] = await Promise.all([
+    rpcPool.execute('getCode', provider => provider.getCode(address, blockTag)),
+    ...slotNames.map(name => rpcPool.execute('getStorage', provider => provider.getStorage(address, PROXY_SLOTS[name], blockTag)))
+  ]);
+
+  const slots = {};
+  slotNames.forEach((name, index) => {
+    slots[name] = addressFromSlot(slotValues[index]);
+  });
+  return { code, slots };
+};
+
+/**
+ * Detect whether an address is a proxy and resolve its implementation
+ * @param {RpcPool} rpcPool - Pool of the contract's chain
+ * @param {string} address - Contract address
+ * @param {number|string} blockTag - Block to resolve the implementation at (default latest)
+ * @returns {Object|null} - type, implementation, beacon, blockTag; null when not a proxy
+ */
+const detectProxy = async (rpcPool, address, blockTag = 'latest') => {
+  let state;
+  let resolvedAt = blockTag;
+  try {
+    state = await readProxyState(rpcPool, address, blockTag);
+  } catch (error) {
+    if (blockTag === 'latest') throw error;
+    // Non-archive nodes cannot serve old state; the current implementation is the best guess
+    logger.warn(`Could not read proxy state of ${address} at block ${blockTag}, using latest:`, error.message);
+    resolvedAt = 'latest';
+    state = await readProxyState(rpcPool, address, resolvedAt);
+  }
+
+  const { code, slots } = state;
+
+  const minimal = code && code.match(EIP1167_BYTECODE);
+  if (minimal) {
+    return { type: 'EIP1167', implementation: ethers.getAddress(`0x${minimal[1]}`), beacon: null, blockTag: resolvedAt };
+  }
+
+  if (slots.EIP1967) {
+    return { type: 'EIP1967', implementation: slots.EIP1967, beacon: null, blockTag: resolvedAt };
+  }
+
+  if (slots.EIP1967Beacon) {
+    const result = await rpcPool.execute('call', provider => provider.call({
+      to: slots.EIP1967Beacon,
+      data: beaconInterface.encodeFunctionData('implementation'),
+      blockTag: resolvedAt
+    }));
+    const [implementation] = beaconInterface.decodeFunctionResult('implementation', result);
+    return { type: 'EIP1967Beacon', implementation, beacon: slots.EIP1967Beacon, blockTag: resolvedAt };
+  }
+
+  if (slots.EIP1822) {
+    return { type: 'EIP1822', implementation: slots.EIP1822, beacon: null, blockTag: resolvedAt };
+  }
+
+  if (slots.ZeppelinOS) {
+    return { type: 'ZeppelinOS', implementation: slots.ZeppelinOS, beacon: null, blockTag: resolvedAt };
+  }
+
+  return null;
+};
+
+/**
+ * Merge a proxy's ABI with its implementation's. The proxy's own entries win on
+ * duplicates, and only one constructor is kept.
+ */
+const mergeABIs = (proxyABI, implementationABI) => {
+  const merged = new Map();
+
+  for (const abi of [proxyABI, implementationABI]) {
+    if (!abi) continue;
+    for (const fragment of new ethers.Interface(abi).fragments) {
+      const key = fragment.type === 'constructor' ? 'constructor' : `${fragment.type}:${fragment.format('sighash')}`;
+      if (!merged.has(key)) {
+        merged.set(key, JSON.parse(fragment.format('json')));
+      }
+    }
+  }
+
+  return [...merged.values()];
+};
+
+module.exports = {
+  PROXY_SLOTS,
+  detectProxy,
+  mergeABIs
+};
@@ -0,0 +1,333 @@
+const { ethers } = require('ethers');
+const logger = require('../config/logger');
+
+const DEFAULT_TIMEOUT = 10000; // 10 seconds
+const SCORE_DECAY = 0.8; // Weight of history in the rolling success score
+
+/**
+ * Endpoint weight: 1 when unset or invalid; 0 drains the endpoint
+ */
+const parseWeight = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return 1;
+  const weight = Number(value);
+  return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+};
+
+/**
+ * Parse an RPC endpoint entry: a URL, "url|weight", or { url, weight }
+ */
+const parseEndpoint = (entry) => {
+  if (typeof entry === 'object' && entry !== null) {
+    return { url: entry.url, weight: parseWeight(entry.weight) };
+  }
+  const [url, weight] = String(entry).split('|');
+  return { url: url.trim(), weight: parseWeight(weight) };
+};
+
+/**
+ * The endpoint answered, but does not implement the method (e.g. debug_/trace_ namespaces)
+ */
+const isUnsupportedMethod = (error) => {
+  const rpcError = error && (error.error || error.info?.error);
+  return Boolean(rpcError && (rpcError.code === -32601 || /method .*(not found|not supported|does not exist|not available)/i.test(rpcError.message || '')));
+};
+
+/**
+ * The endpoint refused a query as too large (eth_getLogs result or block range limits)
+ */
+const isLimitError = (error) => {
+  const rpcError = error && (error.error || error.info?.error);
+  const message = `${rpcError?.message || ''} ${error?.message || ''}`;
+  return rpcError?.code === -32005 ||
+    /more than \d+ (results|logs)|too many (results|logs|blocks)|limit exceeded|response (size|is too big)|block range|range (is )?too (large|wide)|exceeds? (the )?(max|limit)/i.test(message);
+};
+
+/**
+ * Reverts, bad arguments and size limits are answers, not endpoint failures
+ */
+const isAnswerError = (error) => error.code === 'CALL_EXCEPTION' || error.code === 'INVALID_ARGUMENT' || isLimitError(error);
+
+/**
+ * Hide API keys embedded in RPC URL paths or query strings
+ */
+const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    const hasSecret = parsed.pathname.length > 1 || parsed.search;
+    return `${parsed.origin}${hasSecret ? '/***' : ''}`;
+  } catch (error) {
+    return 'invalid-url';
+  }
+};
+
+/**
+ * Pool of RPC endpoints for one chain with weighted failover, quorum reads
+ * and periodic health probes
+ */
+class RpcPool {
+  constructor({ chainId, urls }) {
+    this.chainId = chainId;
+    this.quorumSize = parseInt(process.env.RPC_QUORUM) || 2;
+    this.maxFailures = parseInt(process.env.RPC_MAX_FAILURES) || 3;
+    this.maxBlockLag = parseInt(process.env.RPC_MAX_BLOCK_LAG) || 10;
+    this.probeIntervalMs = parseInt(process.env.RPC_PROBE_INTERVAL_MS) || 30000;
+    this.probeTimer = null;
+
+    const network = ethers.Network.from(chainId);
+    const timeout = parseInt(process.env.RPC_TIMEOUT_MS) || DEFAULT_TIMEOUT;
+
+    // Zero-weight endpoints are drained: configured but never called
+    this.endpoints = urls.map(parseEndpoint).filter(endpoint => endpoint.url && endpoint.weight > 0).map(({ url, weight }) => {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = timeout;
+
+      return {
+        url,
+        weight,
+        // staticNetwork skips ethers' network detection loop, which never gives up on a dead URL
+        provider: new ethers.JsonRpcProvider(request, network, { staticNetwork: network }),
+        healthy: true,
+        // Set and cleared only by probes, so successful calls do not put a lagging endpoint back in front
+        lagging: false,
+        lagBlocks: null,
+        score: 1,
+        latencyMs: null,
+        blockNumber: null,
+        consecutiveFailures: 0,
+        lastError: null,
+        lastCheckedAt: null
+      };
+    });
+
+    if (this.endpoints.length === 0) {
+      throw new Error(`No RPC URLs with a weight above 0 configured for chain ${chainId}`);
+    }
+  }
+
+  /**
+   * Healthy and caught up with the other endpoints
+   */
+  isAvailable(endpoint) {
+    return endpoint.healthy && !endpoint.lagging;
+  }
+
+  /**
+   * Endpoints in the order they should be tried: available first, then by weight x score
+   */
+  getOrderedEndpoints() {
+    return [...this.endpoints].sort((a, b) => {
+      if (this.isAvailable(a) !== this.isAvailable(b)) return this.isAvailable(a) ? -1 : 1;
+      return (b.weight * b.score) - (a.weight * a.score);
+    });
+  }
+
+  /**
+   * Provider of the best endpoint (for contract reads that need a provider object)
+   */
+  getProvider() {
+    return this.getOrderedEndpoints()[0].provider;
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.score = endpoint.score * SCORE_DECAY + (1 - SCORE_DECAY);
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : Math.round(endpoint.latencyMs * SCORE_DECAY + latencyMs * (1 - SCORE_DECAY));
+    endpoint.consecutiveFailures = 0;
+    endpoint.healthy = true;
+    endpoint.lastCheckedAt = new Date().toISOString();
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.score = endpoint.score * SCORE_DECAY;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = error.shortMessage || error.message;
+    endpoint.lastCheckedAt = new Date().toISOString();
+
+    if (endpoint.healthy && endpoint.consecutiveFailures >= this.maxFailures) {
+      endpoint.healthy = false;
+      logger.warn(`RPC endpoint ${redactUrl(endpoint.url)} marked unhealthy on chain ${this.chainId}: ${endpoint.lastError}`);
+    }
+  }
+
+  /**
+   * Run a call against one endpoint, updating its health
+   */
+  async callEndpoint(endpoint, fn) {
+    const startTime = Date.now();
+    try {
+      const result = await fn(endpoint.provider);
+      this.recordSuccess(endpoint, Date.now() - startTime);
+      return result;
+    } catch (error) {
+      if (isAnswerError(error) || isUnsupportedMethod(error)) {
+        this.recordSuccess(endpoint, Date.now() - startTime);
+      } else {
+        this.recordFailure(endpoint, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run a call on the best endpoint, failing over to the next one on error
+   * @param {string} method - Name used in logs
+   * @param {Function} fn - Receives an ethers provider
+   */
+  async execute(method, fn) {
+    let lastError = null;
+
+    for (const endpoint of this.getOrderedEndpoints()) {
+      try {
+        return await this.callEndpoint(endpoint, fn);
+      } catch (error) {
+        if (isAnswerError(error)) {
+          throw error;
+        }
+        lastError = error;
+        logger.warn(`RPC ${method} failed on ${redactUrl(endpoint.url)}, trying next endpoint:`, error.shortMessage || error.message);
+      }
+    }
+
+    throw new Error(`Provider error: all RPC endpoints failed for ${method} on chain ${this.chainId}: ${lastError.shortMessage || lastError.message}`);
+  }
+
+  /**
+   * Run a call on several endpoints and only accept an answer enough of them agree on.
+   * With fewer reachable endpoints than the quorum, a unanimous answer is accepted.
+   * A null result (receipt or block not found) is no answer yet: the endpoint may be behind,
+   * so more endpoints are asked, and null is returned only if no endpoint has a result.
+   * @param {string} method - Name used in logs
+   * @param {Function} fn - Receives an ethers provider
+   * @param {Function} keyOf - Maps a result to the value endpoints must agree on
+   */
+  async quorum(method, fn, keyOf) {
+    const required = Math.min(this.quorumSize, this.endpoints.length);
+    if (required <= 1) {
+      return this.execute(method, fn);
+    }
+
+    const pending = this.getOrderedEndpoints();
+    const answers = new Map();
+    let notFound = 0;
+    let lastError = null;
+
+    const record = (result) => {
+      const key = keyOf(result);
+      const answer = answers.get(key) || { result, votes: 0 };
+      answer.votes++;
+      answers.set(key, answer);
+      return answer;
+    };
+
+    // Ask the best `required` endpoints at once, then one more at a time until they agree
+    let batch = pending.splice(0, required);
+    while (batch.length > 0) {
+      const results = await Promise.allSettled(batch.map(endpoint => this.callEndpoint(endpoint, fn)));
+      for (const outcome of results) {
+        if (outcome.status === 'fulfilled' && (outcome.value === null || outcome.value === undefined)) {
+          notFound++;
+        } else if (outcome.status === 'fulfilled') {
+          const answer = record(outcome.value);
+          if (answer.votes >= required) return answer.result;
+        } else {
+          lastError = outcome.reason;
+        }
+      }
+      batch = pending.splice(0, 1);
+    }
+
+    if (answers.size === 1) {
+      const [{ result, votes }] = answers.values();
+      logger.warn(`RPC ${method} quorum degraded on chain ${this.chainId}: ${votes}/${required} endpoints answered${notFound > 0 ? `, ${notFound} found nothing` : ''}`);
+      return result;
+    }
+
+    if (answers.size > 1) {
+      throw new Error(`Provider error: RPC endpoints disagree on ${method} for chain ${this.chainId}`);
+    }
+
+    if (notFound > 0) {
+      return null;
+    }
+
+    throw new Error(`Provider error: all RPC endpoints failed for ${method} on chain ${this.chainId}: ${lastError.shortMessage || lastError.message}`);
+  }
+
+  /**
+   * Probe every endpoint for latency and block height; endpoints lagging behind the
+   * highest block by more than RPC_MAX_BLOCK_LAG are flagged as lagging until a later probe sees them caught up
+   */
+  async probe() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      try {
+        endpoint.blockNumber = await this.callEndpoint(endpoint, provider => provider.getBlockNumber());
+      } catch (error) {
+        // Already recorded on the endpoint
+      }
+    }));
+
+    const heights = this.endpoints.map(endpoint => endpoint.blockNumber).filter(height => height !== null);
+    const highest = heights.length > 0 ? Math.max(...heights) : null;
+    for (const endpoint of this.endpoints) {
+      // Endpoints that failed this probe keep their previous lag state
+      if (highest === null || endpoint.blockNumber === null || endpoint.consecutiveFailures > 0) continue;
+
+      const lag = highest - endpoint.blockNumber;
+      const lagging = lag > this.maxBlockLag;
+      if (lagging && !endpoint.lagging) {
+        logger.warn(`RPC endpoint ${redactUrl(endpoint.url)} is lagging ${lag} blocks behind on chain ${this.chainId}`);
+      }
+      endpoint.lagging = lagging;
+      endpoint.lagBlocks = lagging ? lag : null;
+    }
+  }
+
+  /**
+   * Start periodic health probes (does not keep the process alive)
+   */
+  startProbes() {
+    if (this.probeTimer) return;
+
+    this.probe().catch(error => logger.error('RPC probe failed:', error.message));
+    this.probeTimer = setInterval(() => {
+      this.probe().catch(error => logger.error('RPC probe failed:', error.message));
+    }, this.probeIntervalMs);
+    this.probeTimer.unref();
+  }
+
+  stopProbes() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  /**
+   * Endpoint health for /health (URLs are redacted)
+   */
+  getHealth() {
+    return {
+      chainId: this.chainId,
+      healthy: this.endpoints.some(endpoint => this.isAvailable(endpoint)),
+      quorum: Math.min(this.quorumSize, this.endpoints.length),
+      endpoints: this.getOrderedEndpoints().map(endpoint => ({
+        url: redactUrl(endpoint.url),
+        weight: endpoint.weight,
+        healthy: endpoint.healthy,
+        lagging: endpoint.lagging,
+        lagBlocks: endpoint.lagBlocks,
+        score: Number(endpoint.score.toFixed(3)),
+        latencyMs: endpoint.latencyMs,
+        blockNumber: endpoint.blockNumber,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        lastError: endpoint.lastError,
+        lastCheckedAt: endpoint.lastCheckedAt
+      }))
+    };
+  }
+}
+
+RpcPool.parseEndpoint = parseEndpoint;
+RpcPool.isUnsupportedMethod = isUnsupportedMethod;
+RpcPool.isLimitError = isLimitError;
+
+module.exports = RpcPool;
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('../config/logger');
+const { formatValue, decodeCalldataWithABI } = require('./calldata');
+
+// Signatures shipped with the service
+const BUNDLED_DB_PATH = path.join(__dirname, '../data/signatures.json');
+
+/**
+ * Offline database of event topic hashes and function selectors mapped to their signatures.
+ * The bundled file is read-only; imported signatures are kept in SIGNATURE_DB_PATH.
+ */
+class SignatureDatabase {
+  constructor() {
+    this.customPath = process.env.SIGNATURE_DB_PATH || path.join(__dirname, '../data/signatures.custom.json');
+    this.events = null;
+    this.functions = null;
+    this.custom = null;
+  }
+
+  /**
+   * Load the bundled and custom signature files on first use
+   */
+  load() {
+    if (this.events) return;
+
+    const bundled = JSON.parse(fs.readFileSync(BUNDLED_DB_PATH, 'utf8'));
+    this.custom = { events: {}, functions: {} };
+    if (fs.existsSync(this.customPath)) {
+      try {
+        this.custom = { events: {}, functions: {}, ...JSON.parse(fs.readFileSync(this.customPath, 'utf8')) };
+      } catch (error) {
+        logger.error(`Failed to read custom signature database ${this.customPath}:`, error.message);
+      }
+    }
+
+    this.events = {};
+    this.functions = {};
+    for (const source of [bundled, this.custom]) {
+      this.addAll(this.events, source.events);
+      this.addAll(this.functions, source.functions);
+    }
+  }
+
+  addAll(target, entries = {}) {
+    for (const [hash, signatures] of Object.entries(entries)) {
+      const key = hash.toLowerCase();
+      target[key] = [...new Set([...(target[key] || []), ...signatures])];
+    }
+  }
+
+  /**
+   * Candidate event signatures for a topic hash
+   */
+  lookupEvent(topicHash) {
+    this.load();
+    return this.events[String(topicHash).toLowerCase()] || [];
+  }
+
+  /**
+   * Candidate function signatures for a 4-byte selector
+   */
+  lookupFunction(selector) {
+    this.load();
+    return this.functions[String(selector).toLowerCase()] || [];
+  }
+
+  /**
+   * Decode a log with the event signatures known for its topic hash.
+   * Signatures imported without `indexed` markers are tried with every placement of the
+   * indexed parameters that fits the log's topic count.
+   * @returns {Object|null} - name, signature, args [{ name, type, indexed, value }], guessedIndexing
+   */
+  decodeEventLog(log) {
+    if (!log.topics || log.topics.length === 0) return null;
+
+    for (const signature of this.lookupEvent(log.topics[0])) {
+      let fragment;
+      try {
+        fragment = ethers.EventFragment.from(signature);
+      } catch (error) {
+        continue;
+      }
+
+      for (const candidate of indexedVariants(fragment, log.topics.length - 1)) {
+        const decoded = tryDecodeEvent(candidate, log);
+        if (decoded) return { ...decoded, guessedIndexing: candidate !== fragment };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decode transaction calldata with the function signatures known for its selector
+   * @returns {Object|null} - selector, name, signature, args [{ name, type, value }], exact
+   *   (false when the calldata has trailing bytes the signature does not account for)
+   */
+  decodeFunctionData(data) {
+    if (!data || data.length < 10) return null;
+
+    const selector = data.slice(0, 10).toLowerCase();
+    let loose = null;
+
+    // Selectors collide, so prefer a candidate that accounts for every byte of the calldata
+    for (const signature of this.lookupFunction(selector)) {
+      const decoded = decodeCalldataWithABI(data, [signature]);
+      if (decoded && decoded.exact) return decoded;
+      loose = loose || decoded;
+    }
+    return loose;
+  }
+
+  /**
+   * Import event and function signatures into the custom database
+   * @param {Object} signatures - events and functions: arrays of human-readable signatures
+   * @returns {Object} - added, existing and invalid entries
+   */
+  async importSignatures({ events = [], functions = [] }) {
+    this.load();
+    const result = { added: [], existing: [], invalid: [] };
+
+    const importAll = (list, parse, keyOf, kind) => {
+      for (const signature of list) {
+        let fragment;
+        try {
+          fragment = parse(signature);
+        } catch (error) {
+          result.invalid.push({ signature, error: error.shortMessage || error.message });
+          continue;
+        }
+
+        const key = keyOf(fragment).toLowerCase();
+        const text = fragment.format('full');
+        if ((this[kind][key] || []).includes(text)) {
+          result.existing.push({ hash: key, signature: text });
+          continue;
+        }
+
+        this[kind][key] = [...(this[kind][key] || []), text];
+        this.custom[kind][key] = [...(this.custom[kind][key] || []), text];
+        result.added.push({ hash: key, signature: text });
+      }
+    };
+
+    importAll(events, signature => ethers.EventFragment.from(signature), fragment => fragment.topicHash, 'events');
+    importAll(functions, signature => ethers.FunctionFragment.from(signature), fragment => fragment.selector, 'functions');
+
+    if (result.added.length > 0) {
+      await fs.promises.mkdir(path.dirname(this.customPath), { recursive: true });
+      await fs.promises.writeFile(this.customPath, JSON.stringify(this.custom, null, 2));
+      logger.info(`Imported ${result.added.length} signature(s) into ${this.customPath}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Counts for the admin API
+   */
+  getStats() {
+    this.load();
+    return {
+      events: Object.keys(this.events).length,
+      functions: Object.keys(this.functions).length,
+      customEvents: Object.keys(this.custom.events).length,
+      customFunctions: Object.keys(this.custom.functions).length
+    };
+  }
+}
+
+/**
+ * Every way of marking `indexedCount` parameters as indexed, in order of likelihood
+ * (leading parameters first). Fragments that already declare indexed parameters are used as-is.
+ */
+const indexedVariants = (fragment, indexedCount) => {
+  const declared = fragment.inputs.filter(input => input.indexed).length;
+  if (declared > 0 || indexedCount === 0) {
+    return declared === indexedCount ? [fragment] : [];
+  }
+  if (indexedCount > fragment.inputs.length) return [];
+
+  const json = JSON.parse(fragment.format('json'));
+  const variants = [];
+  const choose = (start, chosen) => {
+    if (chosen.length === indexedCount) {
+      variants.push(ethers.EventFragment.from({
+        ...json,
+        inputs: json.inputs.map((input, index) => ({ ...input, indexed: chosen.includes(index) }))
+      }));
+      return;
+    }
+    for (let index = start; index < fragment.inputs.length; index++) {
+      choose(index + 1, [...chosen, index]);
+    }
+  };
+  choose(0, []);
+  return variants;
+};
+
+/**
+ * Decode a log with one fragment, accepting it only if the data re-encodes exactly
+ */
+const tryDecodeEvent = (fragment, log) => {
+  try {
+    const contractInterface = new ethers.Interface([fragment]);
+    const parsedLog = contractInterface.parseLog({ topics: log.topics, data: log.data || '0x' });
+    if (!parsedLog) return null;
+
+    const dataInputs = fragment.inputs.filter(input => !input.indexed);
+    const dataValues = fragment.inputs.map((input, index) => parsedLog.args[index]).filter((value, index) => !fragment.inputs[index].indexed);
+    const reencoded = ethers.AbiCoder.defaultAbiCoder().encode(dataInputs, dataValues);
+    if (reencoded !== (log.data || '0x').toLowerCase()) return null;
+
+    return {
+      name: fragment.name,
+      signature: fragment.format('full'),
+      args: fragment.inputs.map((input, index) => ({
+        name: input.name || null,
+        type: input.type,
+        indexed: Boolean(input.indexed),
+        value: formatValue(parsedLog.args[index])
+      }))
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = new SignatureDatabase();
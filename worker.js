@@ -0,0 +1,46 @@
+require('dotenv').config();
+const logger = require('./config/logger');
+const { connectMongoDB, connectRedis } = require('./config/database');
+const jobQueue = require('./services/jobQueue');
+const pendingWatcher = require('./services/pendingWatcher');
+
+// Registers the resolveDispute job handler
+require('./services/disputeService');
+
+// Graceful shutdown handling
+const shutdown = (signal) => {
+  logger.info(`${signal} received, stopping job worker`);
+  jobQueue.stop();
+  pendingWatcher.stop();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Unhandled promise rejection handler
+process.on('unhandledRejection', (reason, promise) => {
+  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+});
+
+// Connect to databases and start processing jobs
+async function startWorker() {
+  try {
+    await Promise.all([
+      connectMongoDB(),
+      connectRedis()
+    ]);
+
+    if (!process.env.REDIS_URL) {
+      logger.warn('REDIS_URL not set: a standalone worker cannot see jobs queued by the API server');
+    }
+
+    jobQueue.start();
+    pendingWatcher.start();
+  } catch (error) {
+    logger.error('Failed to start job worker:', error);
+    process.exit(1);
+  }
+}
+
+startWorker();